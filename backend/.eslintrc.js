@@ -0,0 +1,24 @@
+module.exports = {
+  root: true,
+  env: {
+    node: true,
+    es2021: true
+  },
+  parserOptions: {
+    ecmaVersion: 2021,
+    sourceType: 'script'
+  },
+  extends: 'eslint:recommended',
+  ignorePatterns: ['node_modules/', 'uploads/', 'coverage/'],
+  rules: {
+    'no-unused-vars': ['error', { args: 'none' }]
+  },
+  overrides: [
+    {
+      files: ['tests/**/*.js'],
+      env: {
+        jest: true
+      }
+    }
+  ]
+};
@@ -0,0 +1,260 @@
+// ISO 3166-1 countries and territories: alpha-2 and alpha-3 codes, English
+// short name, demonym and international dialling code (null where there is
+// none). `aliases` are other names and codes people use for the country,
+// accepted by utils/countries.js when normalising input.
+
+const COUNTRIES = [
+  { code: 'AD', alpha3: 'AND', name: 'Andorra', demonym: 'Andorran', dialling_code: '+376' },
+  { code: 'AE', alpha3: 'ARE', name: 'United Arab Emirates', demonym: 'Emirati', dialling_code: '+971', aliases: ['UAE'] },
+  { code: 'AF', alpha3: 'AFG', name: 'Afghanistan', demonym: 'Afghan', dialling_code: '+93' },
+  { code: 'AG', alpha3: 'ATG', name: 'Antigua and Barbuda', demonym: 'Antiguan or Barbudan', dialling_code: '+1268' },
+  { code: 'AI', alpha3: 'AIA', name: 'Anguilla', demonym: 'Anguillian', dialling_code: '+1264' },
+  { code: 'AL', alpha3: 'ALB', name: 'Albania', demonym: 'Albanian', dialling_code: '+355' },
+  { code: 'AM', alpha3: 'ARM', name: 'Armenia', demonym: 'Armenian', dialling_code: '+374' },
+  { code: 'AO', alpha3: 'AGO', name: 'Angola', demonym: 'Angolan', dialling_code: '+244' },
+  { code: 'AQ', alpha3: 'ATA', name: 'Antarctica', demonym: 'Antarctic', dialling_code: '+672' },
+  { code: 'AR', alpha3: 'ARG', name: 'Argentina', demonym: 'Argentine', dialling_code: '+54' },
+  { code: 'AS', alpha3: 'ASM', name: 'American Samoa', demonym: 'American Samoan', dialling_code: '+1684' },
+  { code: 'AT', alpha3: 'AUT', name: 'Austria', demonym: 'Austrian', dialling_code: '+43' },
+  { code: 'AU', alpha3: 'AUS', name: 'Australia', demonym: 'Australian', dialling_code: '+61' },
+  { code: 'AW', alpha3: 'ABW', name: 'Aruba', demonym: 'Aruban', dialling_code: '+297' },
+  { code: 'AX', alpha3: 'ALA', name: 'Åland Islands', demonym: 'Ålandish', dialling_code: '+358' },
+  { code: 'AZ', alpha3: 'AZE', name: 'Azerbaijan', demonym: 'Azerbaijani', dialling_code: '+994' },
+  { code: 'BA', alpha3: 'BIH', name: 'Bosnia and Herzegovina', demonym: 'Bosnian and Herzegovinian', dialling_code: '+387' },
+  { code: 'BB', alpha3: 'BRB', name: 'Barbados', demonym: 'Barbadian', dialling_code: '+1246' },
+  { code: 'BD', alpha3: 'BGD', name: 'Bangladesh', demonym: 'Bangladeshi', dialling_code: '+880' },
+  { code: 'BE', alpha3: 'BEL', name: 'Belgium', demonym: 'Belgian', dialling_code: '+32' },
+  { code: 'BF', alpha3: 'BFA', name: 'Burkina Faso', demonym: 'Burkinabe', dialling_code: '+226' },
+  { code: 'BG', alpha3: 'BGR', name: 'Bulgaria', demonym: 'Bulgarian', dialling_code: '+359' },
+  { code: 'BH', alpha3: 'BHR', name: 'Bahrain', demonym: 'Bahraini', dialling_code: '+973' },
+  { code: 'BI', alpha3: 'BDI', name: 'Burundi', demonym: 'Burundian', dialling_code: '+257' },
+  { code: 'BJ', alpha3: 'BEN', name: 'Benin', demonym: 'Beninese', dialling_code: '+229' },
+  { code: 'BL', alpha3: 'BLM', name: 'Saint Barthélemy', demonym: 'Barthélemois', dialling_code: '+590' },
+  { code: 'BM', alpha3: 'BMU', name: 'Bermuda', demonym: 'Bermudian', dialling_code: '+1441' },
+  { code: 'BN', alpha3: 'BRN', name: 'Brunei', demonym: 'Bruneian', dialling_code: '+673', aliases: ['Brunei Darussalam'] },
+  { code: 'BO', alpha3: 'BOL', name: 'Bolivia', demonym: 'Bolivian', dialling_code: '+591' },
+  { code: 'BQ', alpha3: 'BES', name: 'Caribbean Netherlands', demonym: 'Dutch', dialling_code: '+599', aliases: ['Bonaire, Sint Eustatius and Saba'] },
+  { code: 'BR', alpha3: 'BRA', name: 'Brazil', demonym: 'Brazilian', dialling_code: '+55' },
+  { code: 'BS', alpha3: 'BHS', name: 'Bahamas', demonym: 'Bahamian', dialling_code: '+1242' },
+  { code: 'BT', alpha3: 'BTN', name: 'Bhutan', demonym: 'Bhutanese', dialling_code: '+975' },
+  { code: 'BV', alpha3: 'BVT', name: 'Bouvet Island', demonym: 'Norwegian', dialling_code: null },
+  { code: 'BW', alpha3: 'BWA', name: 'Botswana', demonym: 'Motswana', dialling_code: '+267' },
+  { code: 'BY', alpha3: 'BLR', name: 'Belarus', demonym: 'Belarusian', dialling_code: '+375' },
+  { code: 'BZ', alpha3: 'BLZ', name: 'Belize', demonym: 'Belizean', dialling_code: '+501' },
+  { code: 'CA', alpha3: 'CAN', name: 'Canada', demonym: 'Canadian', dialling_code: '+1' },
+  { code: 'CC', alpha3: 'CCK', name: 'Cocos (Keeling) Islands', demonym: 'Cocos Islander', dialling_code: '+61' },
+  { code: 'CD', alpha3: 'COD', name: 'Democratic Republic of the Congo', demonym: 'Congolese', dialling_code: '+243', aliases: ['Congo, Democratic Republic of the', 'DR Congo'] },
+  { code: 'CF', alpha3: 'CAF', name: 'Central African Republic', demonym: 'Central African', dialling_code: '+236' },
+  { code: 'CG', alpha3: 'COG', name: 'Republic of the Congo', demonym: 'Congolese', dialling_code: '+242', aliases: ['Congo'] },
+  { code: 'CH', alpha3: 'CHE', name: 'Switzerland', demonym: 'Swiss', dialling_code: '+41' },
+  { code: 'CI', alpha3: 'CIV', name: 'Côte d\'Ivoire', demonym: 'Ivorian', dialling_code: '+225', aliases: ['Ivory Coast'] },
+  { code: 'CK', alpha3: 'COK', name: 'Cook Islands', demonym: 'Cook Islander', dialling_code: '+682' },
+  { code: 'CL', alpha3: 'CHL', name: 'Chile', demonym: 'Chilean', dialling_code: '+56' },
+  { code: 'CM', alpha3: 'CMR', name: 'Cameroon', demonym: 'Cameroonian', dialling_code: '+237' },
+  { code: 'CN', alpha3: 'CHN', name: 'China', demonym: 'Chinese', dialling_code: '+86' },
+  { code: 'CO', alpha3: 'COL', name: 'Colombia', demonym: 'Colombian', dialling_code: '+57' },
+  { code: 'CR', alpha3: 'CRI', name: 'Costa Rica', demonym: 'Costa Rican', dialling_code: '+506' },
+  { code: 'CU', alpha3: 'CUB', name: 'Cuba', demonym: 'Cuban', dialling_code: '+53' },
+  { code: 'CV', alpha3: 'CPV', name: 'Cabo Verde', demonym: 'Cape Verdean', dialling_code: '+238', aliases: ['Cape Verde'] },
+  { code: 'CW', alpha3: 'CUW', name: 'Curaçao', demonym: 'Curaçaoan', dialling_code: '+599' },
+  { code: 'CX', alpha3: 'CXR', name: 'Christmas Island', demonym: 'Christmas Islander', dialling_code: '+61' },
+  { code: 'CY', alpha3: 'CYP', name: 'Cyprus', demonym: 'Cypriot', dialling_code: '+357' },
+  { code: 'CZ', alpha3: 'CZE', name: 'Czechia', demonym: 'Czech', dialling_code: '+420', aliases: ['Czech Republic'] },
+  { code: 'DE', alpha3: 'DEU', name: 'Germany', demonym: 'German', dialling_code: '+49' },
+  { code: 'DJ', alpha3: 'DJI', name: 'Djibouti', demonym: 'Djiboutian', dialling_code: '+253' },
+  { code: 'DK', alpha3: 'DNK', name: 'Denmark', demonym: 'Danish', dialling_code: '+45' },
+  { code: 'DM', alpha3: 'DMA', name: 'Dominica', demonym: 'Dominican', dialling_code: '+1767' },
+  { code: 'DO', alpha3: 'DOM', name: 'Dominican Republic', demonym: 'Dominican', dialling_code: '+1809' },
+  { code: 'DZ', alpha3: 'DZA', name: 'Algeria', demonym: 'Algerian', dialling_code: '+213' },
+  { code: 'EC', alpha3: 'ECU', name: 'Ecuador', demonym: 'Ecuadorian', dialling_code: '+593' },
+  { code: 'EE', alpha3: 'EST', name: 'Estonia', demonym: 'Estonian', dialling_code: '+372' },
+  { code: 'EG', alpha3: 'EGY', name: 'Egypt', demonym: 'Egyptian', dialling_code: '+20' },
+  { code: 'EH', alpha3: 'ESH', name: 'Western Sahara', demonym: 'Sahrawi', dialling_code: '+212' },
+  { code: 'ER', alpha3: 'ERI', name: 'Eritrea', demonym: 'Eritrean', dialling_code: '+291' },
+  { code: 'ES', alpha3: 'ESP', name: 'Spain', demonym: 'Spanish', dialling_code: '+34' },
+  { code: 'ET', alpha3: 'ETH', name: 'Ethiopia', demonym: 'Ethiopian', dialling_code: '+251' },
+  { code: 'FI', alpha3: 'FIN', name: 'Finland', demonym: 'Finnish', dialling_code: '+358' },
+  { code: 'FJ', alpha3: 'FJI', name: 'Fiji', demonym: 'Fijian', dialling_code: '+679' },
+  { code: 'FK', alpha3: 'FLK', name: 'Falkland Islands', demonym: 'Falkland Islander', dialling_code: '+500' },
+  { code: 'FM', alpha3: 'FSM', name: 'Micronesia', demonym: 'Micronesian', dialling_code: '+691' },
+  { code: 'FO', alpha3: 'FRO', name: 'Faroe Islands', demonym: 'Faroese', dialling_code: '+298' },
+  { code: 'FR', alpha3: 'FRA', name: 'France', demonym: 'French', dialling_code: '+33', aliases: ['French'] },
+  { code: 'GA', alpha3: 'GAB', name: 'Gabon', demonym: 'Gabonese', dialling_code: '+241' },
+  { code: 'GB', alpha3: 'GBR', name: 'United Kingdom', demonym: 'British', dialling_code: '+44', aliases: ['UK', 'Great Britain', 'British'] },
+  { code: 'GD', alpha3: 'GRD', name: 'Grenada', demonym: 'Grenadian', dialling_code: '+1473' },
+  { code: 'GE', alpha3: 'GEO', name: 'Georgia', demonym: 'Georgian', dialling_code: '+995' },
+  { code: 'GF', alpha3: 'GUF', name: 'French Guiana', demonym: 'French Guianese', dialling_code: '+594' },
+  { code: 'GG', alpha3: 'GGY', name: 'Guernsey', demonym: 'Channel Islander', dialling_code: '+44' },
+  { code: 'GH', alpha3: 'GHA', name: 'Ghana', demonym: 'Ghanaian', dialling_code: '+233' },
+  { code: 'GI', alpha3: 'GIB', name: 'Gibraltar', demonym: 'Gibraltarian', dialling_code: '+350' },
+  { code: 'GL', alpha3: 'GRL', name: 'Greenland', demonym: 'Greenlandic', dialling_code: '+299' },
+  { code: 'GM', alpha3: 'GMB', name: 'Gambia', demonym: 'Gambian', dialling_code: '+220' },
+  { code: 'GN', alpha3: 'GIN', name: 'Guinea', demonym: 'Guinean', dialling_code: '+224' },
+  { code: 'GP', alpha3: 'GLP', name: 'Guadeloupe', demonym: 'Guadeloupean', dialling_code: '+590' },
+  { code: 'GQ', alpha3: 'GNQ', name: 'Equatorial Guinea', demonym: 'Equatorial Guinean', dialling_code: '+240' },
+  { code: 'GR', alpha3: 'GRC', name: 'Greece', demonym: 'Greek', dialling_code: '+30' },
+  { code: 'GS', alpha3: 'SGS', name: 'South Georgia and the South Sandwich Islands', demonym: 'South Georgian', dialling_code: '+500' },
+  { code: 'GT', alpha3: 'GTM', name: 'Guatemala', demonym: 'Guatemalan', dialling_code: '+502' },
+  { code: 'GU', alpha3: 'GUM', name: 'Guam', demonym: 'Guamanian', dialling_code: '+1671' },
+  { code: 'GW', alpha3: 'GNB', name: 'Guinea-Bissau', demonym: 'Bissau-Guinean', dialling_code: '+245' },
+  { code: 'GY', alpha3: 'GUY', name: 'Guyana', demonym: 'Guyanese', dialling_code: '+592' },
+  { code: 'HK', alpha3: 'HKG', name: 'Hong Kong', demonym: 'Hongkonger', dialling_code: '+852' },
+  { code: 'HM', alpha3: 'HMD', name: 'Heard Island and McDonald Islands', demonym: 'Heard Islander', dialling_code: null },
+  { code: 'HN', alpha3: 'HND', name: 'Honduras', demonym: 'Honduran', dialling_code: '+504' },
+  { code: 'HR', alpha3: 'HRV', name: 'Croatia', demonym: 'Croatian', dialling_code: '+385' },
+  { code: 'HT', alpha3: 'HTI', name: 'Haiti', demonym: 'Haitian', dialling_code: '+509' },
+  { code: 'HU', alpha3: 'HUN', name: 'Hungary', demonym: 'Hungarian', dialling_code: '+36' },
+  { code: 'ID', alpha3: 'IDN', name: 'Indonesia', demonym: 'Indonesian', dialling_code: '+62' },
+  { code: 'IE', alpha3: 'IRL', name: 'Ireland', demonym: 'Irish', dialling_code: '+353' },
+  { code: 'IL', alpha3: 'ISR', name: 'Israel', demonym: 'Israeli', dialling_code: '+972' },
+  { code: 'IM', alpha3: 'IMN', name: 'Isle of Man', demonym: 'Manx', dialling_code: '+44' },
+  { code: 'IN', alpha3: 'IND', name: 'India', demonym: 'Indian', dialling_code: '+91' },
+  { code: 'IO', alpha3: 'IOT', name: 'British Indian Ocean Territory', demonym: 'British', dialling_code: '+246' },
+  { code: 'IQ', alpha3: 'IRQ', name: 'Iraq', demonym: 'Iraqi', dialling_code: '+964' },
+  { code: 'IR', alpha3: 'IRN', name: 'Iran', demonym: 'Iranian', dialling_code: '+98', aliases: ['Iran, Islamic Republic of'] },
+  { code: 'IS', alpha3: 'ISL', name: 'Iceland', demonym: 'Icelandic', dialling_code: '+354' },
+  { code: 'IT', alpha3: 'ITA', name: 'Italy', demonym: 'Italian', dialling_code: '+39' },
+  { code: 'JE', alpha3: 'JEY', name: 'Jersey', demonym: 'Channel Islander', dialling_code: '+44' },
+  { code: 'JM', alpha3: 'JAM', name: 'Jamaica', demonym: 'Jamaican', dialling_code: '+1876' },
+  { code: 'JO', alpha3: 'JOR', name: 'Jordan', demonym: 'Jordanian', dialling_code: '+962' },
+  { code: 'JP', alpha3: 'JPN', name: 'Japan', demonym: 'Japanese', dialling_code: '+81' },
+  { code: 'KE', alpha3: 'KEN', name: 'Kenya', demonym: 'Kenyan', dialling_code: '+254' },
+  { code: 'KG', alpha3: 'KGZ', name: 'Kyrgyzstan', demonym: 'Kyrgyzstani', dialling_code: '+996' },
+  { code: 'KH', alpha3: 'KHM', name: 'Cambodia', demonym: 'Cambodian', dialling_code: '+855' },
+  { code: 'KI', alpha3: 'KIR', name: 'Kiribati', demonym: 'I-Kiribati', dialling_code: '+686' },
+  { code: 'KM', alpha3: 'COM', name: 'Comoros', demonym: 'Comoran', dialling_code: '+269' },
+  { code: 'KN', alpha3: 'KNA', name: 'Saint Kitts and Nevis', demonym: 'Kittitian or Nevisian', dialling_code: '+1869' },
+  { code: 'KP', alpha3: 'PRK', name: 'North Korea', demonym: 'North Korean', dialling_code: '+850', aliases: ['Korea, Democratic People\'s Republic of'] },
+  { code: 'KR', alpha3: 'KOR', name: 'South Korea', demonym: 'South Korean', dialling_code: '+82', aliases: ['Korea, Republic of'] },
+  { code: 'KW', alpha3: 'KWT', name: 'Kuwait', demonym: 'Kuwaiti', dialling_code: '+965' },
+  { code: 'KY', alpha3: 'CYM', name: 'Cayman Islands', demonym: 'Caymanian', dialling_code: '+1345' },
+  { code: 'KZ', alpha3: 'KAZ', name: 'Kazakhstan', demonym: 'Kazakhstani', dialling_code: '+7' },
+  { code: 'LA', alpha3: 'LAO', name: 'Laos', demonym: 'Lao', dialling_code: '+856', aliases: ['Lao People\'s Democratic Republic'] },
+  { code: 'LB', alpha3: 'LBN', name: 'Lebanon', demonym: 'Lebanese', dialling_code: '+961' },
+  { code: 'LC', alpha3: 'LCA', name: 'Saint Lucia', demonym: 'Saint Lucian', dialling_code: '+1758' },
+  { code: 'LI', alpha3: 'LIE', name: 'Liechtenstein', demonym: 'Liechtensteiner', dialling_code: '+423' },
+  { code: 'LK', alpha3: 'LKA', name: 'Sri Lanka', demonym: 'Sri Lankan', dialling_code: '+94' },
+  { code: 'LR', alpha3: 'LBR', name: 'Liberia', demonym: 'Liberian', dialling_code: '+231' },
+  { code: 'LS', alpha3: 'LSO', name: 'Lesotho', demonym: 'Basotho', dialling_code: '+266' },
+  { code: 'LT', alpha3: 'LTU', name: 'Lithuania', demonym: 'Lithuanian', dialling_code: '+370' },
+  { code: 'LU', alpha3: 'LUX', name: 'Luxembourg', demonym: 'Luxembourgish', dialling_code: '+352' },
+  { code: 'LV', alpha3: 'LVA', name: 'Latvia', demonym: 'Latvian', dialling_code: '+371' },
+  { code: 'LY', alpha3: 'LBY', name: 'Libya', demonym: 'Libyan', dialling_code: '+218' },
+  { code: 'MA', alpha3: 'MAR', name: 'Morocco', demonym: 'Moroccan', dialling_code: '+212' },
+  { code: 'MC', alpha3: 'MCO', name: 'Monaco', demonym: 'Monegasque', dialling_code: '+377' },
+  { code: 'MD', alpha3: 'MDA', name: 'Moldova', demonym: 'Moldovan', dialling_code: '+373' },
+  { code: 'ME', alpha3: 'MNE', name: 'Montenegro', demonym: 'Montenegrin', dialling_code: '+382' },
+  { code: 'MF', alpha3: 'MAF', name: 'Saint Martin', demonym: 'Saint-Martinois', dialling_code: '+590' },
+  { code: 'MG', alpha3: 'MDG', name: 'Madagascar', demonym: 'Malagasy', dialling_code: '+261' },
+  { code: 'MH', alpha3: 'MHL', name: 'Marshall Islands', demonym: 'Marshallese', dialling_code: '+692' },
+  { code: 'MK', alpha3: 'MKD', name: 'North Macedonia', demonym: 'Macedonian', dialling_code: '+389', aliases: ['Macedonia'] },
+  { code: 'ML', alpha3: 'MLI', name: 'Mali', demonym: 'Malian', dialling_code: '+223' },
+  { code: 'MM', alpha3: 'MMR', name: 'Myanmar', demonym: 'Burmese', dialling_code: '+95', aliases: ['Burma'] },
+  { code: 'MN', alpha3: 'MNG', name: 'Mongolia', demonym: 'Mongolian', dialling_code: '+976' },
+  { code: 'MO', alpha3: 'MAC', name: 'Macao', demonym: 'Macanese', dialling_code: '+853', aliases: ['Macau'] },
+  { code: 'MP', alpha3: 'MNP', name: 'Northern Mariana Islands', demonym: 'Northern Mariana Islander', dialling_code: '+1670' },
+  { code: 'MQ', alpha3: 'MTQ', name: 'Martinique', demonym: 'Martinican', dialling_code: '+596' },
+  { code: 'MR', alpha3: 'MRT', name: 'Mauritania', demonym: 'Mauritanian', dialling_code: '+222' },
+  { code: 'MS', alpha3: 'MSR', name: 'Montserrat', demonym: 'Montserratian', dialling_code: '+1664' },
+  { code: 'MT', alpha3: 'MLT', name: 'Malta', demonym: 'Maltese', dialling_code: '+356' },
+  { code: 'MU', alpha3: 'MUS', name: 'Mauritius', demonym: 'Mauritian', dialling_code: '+230' },
+  { code: 'MV', alpha3: 'MDV', name: 'Maldives', demonym: 'Maldivian', dialling_code: '+960' },
+  { code: 'MW', alpha3: 'MWI', name: 'Malawi', demonym: 'Malawian', dialling_code: '+265' },
+  { code: 'MX', alpha3: 'MEX', name: 'Mexico', demonym: 'Mexican', dialling_code: '+52' },
+  { code: 'MY', alpha3: 'MYS', name: 'Malaysia', demonym: 'Malaysian', dialling_code: '+60' },
+  { code: 'MZ', alpha3: 'MOZ', name: 'Mozambique', demonym: 'Mozambican', dialling_code: '+258' },
+  { code: 'NA', alpha3: 'NAM', name: 'Namibia', demonym: 'Namibian', dialling_code: '+264' },
+  { code: 'NC', alpha3: 'NCL', name: 'New Caledonia', demonym: 'New Caledonian', dialling_code: '+687' },
+  { code: 'NE', alpha3: 'NER', name: 'Niger', demonym: 'Nigerien', dialling_code: '+227' },
+  { code: 'NF', alpha3: 'NFK', name: 'Norfolk Island', demonym: 'Norfolk Islander', dialling_code: '+672' },
+  { code: 'NG', alpha3: 'NGA', name: 'Nigeria', demonym: 'Nigerian', dialling_code: '+234' },
+  { code: 'NI', alpha3: 'NIC', name: 'Nicaragua', demonym: 'Nicaraguan', dialling_code: '+505' },
+  { code: 'NL', alpha3: 'NLD', name: 'Netherlands', demonym: 'Dutch', dialling_code: '+31', aliases: ['Dutch'] },
+  { code: 'NO', alpha3: 'NOR', name: 'Norway', demonym: 'Norwegian', dialling_code: '+47', aliases: ['Norwegian'] },
+  { code: 'NP', alpha3: 'NPL', name: 'Nepal', demonym: 'Nepalese', dialling_code: '+977' },
+  { code: 'NR', alpha3: 'NRU', name: 'Nauru', demonym: 'Nauruan', dialling_code: '+674' },
+  { code: 'NU', alpha3: 'NIU', name: 'Niue', demonym: 'Niuean', dialling_code: '+683' },
+  { code: 'NZ', alpha3: 'NZL', name: 'New Zealand', demonym: 'New Zealander', dialling_code: '+64' },
+  { code: 'OM', alpha3: 'OMN', name: 'Oman', demonym: 'Omani', dialling_code: '+968' },
+  { code: 'PA', alpha3: 'PAN', name: 'Panama', demonym: 'Panamanian', dialling_code: '+507' },
+  { code: 'PE', alpha3: 'PER', name: 'Peru', demonym: 'Peruvian', dialling_code: '+51' },
+  { code: 'PF', alpha3: 'PYF', name: 'French Polynesia', demonym: 'French Polynesian', dialling_code: '+689' },
+  { code: 'PG', alpha3: 'PNG', name: 'Papua New Guinea', demonym: 'Papua New Guinean', dialling_code: '+675' },
+  { code: 'PH', alpha3: 'PHL', name: 'Philippines', demonym: 'Filipino', dialling_code: '+63' },
+  { code: 'PK', alpha3: 'PAK', name: 'Pakistan', demonym: 'Pakistani', dialling_code: '+92' },
+  { code: 'PL', alpha3: 'POL', name: 'Poland', demonym: 'Polish', dialling_code: '+48' },
+  { code: 'PM', alpha3: 'SPM', name: 'Saint Pierre and Miquelon', demonym: 'Saint-Pierrais or Miquelonnais', dialling_code: '+508' },
+  { code: 'PN', alpha3: 'PCN', name: 'Pitcairn Islands', demonym: 'Pitcairn Islander', dialling_code: '+64' },
+  { code: 'PR', alpha3: 'PRI', name: 'Puerto Rico', demonym: 'Puerto Rican', dialling_code: '+1787' },
+  { code: 'PS', alpha3: 'PSE', name: 'Palestine', demonym: 'Palestinian', dialling_code: '+970', aliases: ['Palestine, State of'] },
+  { code: 'PT', alpha3: 'PRT', name: 'Portugal', demonym: 'Portuguese', dialling_code: '+351' },
+  { code: 'PW', alpha3: 'PLW', name: 'Palau', demonym: 'Palauan', dialling_code: '+680' },
+  { code: 'PY', alpha3: 'PRY', name: 'Paraguay', demonym: 'Paraguayan', dialling_code: '+595' },
+  { code: 'QA', alpha3: 'QAT', name: 'Qatar', demonym: 'Qatari', dialling_code: '+974' },
+  { code: 'RE', alpha3: 'REU', name: 'Réunion', demonym: 'Réunionese', dialling_code: '+262' },
+  { code: 'RO', alpha3: 'ROU', name: 'Romania', demonym: 'Romanian', dialling_code: '+40' },
+  { code: 'RS', alpha3: 'SRB', name: 'Serbia', demonym: 'Serbian', dialling_code: '+381' },
+  { code: 'RU', alpha3: 'RUS', name: 'Russia', demonym: 'Russian', dialling_code: '+7', aliases: ['Russian Federation'] },
+  { code: 'RW', alpha3: 'RWA', name: 'Rwanda', demonym: 'Rwandan', dialling_code: '+250' },
+  { code: 'SA', alpha3: 'SAU', name: 'Saudi Arabia', demonym: 'Saudi', dialling_code: '+966' },
+  { code: 'SB', alpha3: 'SLB', name: 'Solomon Islands', demonym: 'Solomon Islander', dialling_code: '+677' },
+  { code: 'SC', alpha3: 'SYC', name: 'Seychelles', demonym: 'Seychellois', dialling_code: '+248' },
+  { code: 'SD', alpha3: 'SDN', name: 'Sudan', demonym: 'Sudanese', dialling_code: '+249' },
+  { code: 'SE', alpha3: 'SWE', name: 'Sweden', demonym: 'Swedish', dialling_code: '+46' },
+  { code: 'SG', alpha3: 'SGP', name: 'Singapore', demonym: 'Singaporean', dialling_code: '+65' },
+  { code: 'SH', alpha3: 'SHN', name: 'Saint Helena, Ascension and Tristan da Cunha', demonym: 'Saint Helenian', dialling_code: '+290' },
+  { code: 'SI', alpha3: 'SVN', name: 'Slovenia', demonym: 'Slovenian', dialling_code: '+386' },
+  { code: 'SJ', alpha3: 'SJM', name: 'Svalbard and Jan Mayen', demonym: 'Norwegian', dialling_code: '+47' },
+  { code: 'SK', alpha3: 'SVK', name: 'Slovakia', demonym: 'Slovak', dialling_code: '+421' },
+  { code: 'SL', alpha3: 'SLE', name: 'Sierra Leone', demonym: 'Sierra Leonean', dialling_code: '+232' },
+  { code: 'SM', alpha3: 'SMR', name: 'San Marino', demonym: 'Sammarinese', dialling_code: '+378' },
+  { code: 'SN', alpha3: 'SEN', name: 'Senegal', demonym: 'Senegalese', dialling_code: '+221' },
+  { code: 'SO', alpha3: 'SOM', name: 'Somalia', demonym: 'Somali', dialling_code: '+252' },
+  { code: 'SR', alpha3: 'SUR', name: 'Suriname', demonym: 'Surinamese', dialling_code: '+597' },
+  { code: 'SS', alpha3: 'SSD', name: 'South Sudan', demonym: 'South Sudanese', dialling_code: '+211' },
+  { code: 'ST', alpha3: 'STP', name: 'Sao Tome and Principe', demonym: 'Santomean', dialling_code: '+239' },
+  { code: 'SV', alpha3: 'SLV', name: 'El Salvador', demonym: 'Salvadoran', dialling_code: '+503' },
+  { code: 'SX', alpha3: 'SXM', name: 'Sint Maarten', demonym: 'Sint Maartener', dialling_code: '+1721' },
+  { code: 'SY', alpha3: 'SYR', name: 'Syria', demonym: 'Syrian', dialling_code: '+963', aliases: ['Syrian Arab Republic'] },
+  { code: 'SZ', alpha3: 'SWZ', name: 'Eswatini', demonym: 'Swazi', dialling_code: '+268', aliases: ['Swaziland'] },
+  { code: 'TC', alpha3: 'TCA', name: 'Turks and Caicos Islands', demonym: 'Turks and Caicos Islander', dialling_code: '+1649' },
+  { code: 'TD', alpha3: 'TCD', name: 'Chad', demonym: 'Chadian', dialling_code: '+235' },
+  { code: 'TF', alpha3: 'ATF', name: 'French Southern Territories', demonym: 'French', dialling_code: null },
+  { code: 'TG', alpha3: 'TGO', name: 'Togo', demonym: 'Togolese', dialling_code: '+228' },
+  { code: 'TH', alpha3: 'THA', name: 'Thailand', demonym: 'Thai', dialling_code: '+66' },
+  { code: 'TJ', alpha3: 'TJK', name: 'Tajikistan', demonym: 'Tajikistani', dialling_code: '+992' },
+  { code: 'TK', alpha3: 'TKL', name: 'Tokelau', demonym: 'Tokelauan', dialling_code: '+690' },
+  { code: 'TL', alpha3: 'TLS', name: 'Timor-Leste', demonym: 'Timorese', dialling_code: '+670', aliases: ['East Timor'] },
+  { code: 'TM', alpha3: 'TKM', name: 'Turkmenistan', demonym: 'Turkmen', dialling_code: '+993' },
+  { code: 'TN', alpha3: 'TUN', name: 'Tunisia', demonym: 'Tunisian', dialling_code: '+216' },
+  { code: 'TO', alpha3: 'TON', name: 'Tonga', demonym: 'Tongan', dialling_code: '+676' },
+  { code: 'TR', alpha3: 'TUR', name: 'Türkiye', demonym: 'Turkish', dialling_code: '+90', aliases: ['Turkey'] },
+  { code: 'TT', alpha3: 'TTO', name: 'Trinidad and Tobago', demonym: 'Trinidadian or Tobagonian', dialling_code: '+1868' },
+  { code: 'TV', alpha3: 'TUV', name: 'Tuvalu', demonym: 'Tuvaluan', dialling_code: '+688' },
+  { code: 'TW', alpha3: 'TWN', name: 'Taiwan', demonym: 'Taiwanese', dialling_code: '+886' },
+  { code: 'TZ', alpha3: 'TZA', name: 'Tanzania', demonym: 'Tanzanian', dialling_code: '+255' },
+  { code: 'UA', alpha3: 'UKR', name: 'Ukraine', demonym: 'Ukrainian', dialling_code: '+380' },
+  { code: 'UG', alpha3: 'UGA', name: 'Uganda', demonym: 'Ugandan', dialling_code: '+256' },
+  { code: 'UM', alpha3: 'UMI', name: 'United States Minor Outlying Islands', demonym: 'American', dialling_code: null },
+  { code: 'US', alpha3: 'USA', name: 'United States', demonym: 'American', dialling_code: '+1', aliases: ['United States of America', 'American'] },
+  { code: 'UY', alpha3: 'URY', name: 'Uruguay', demonym: 'Uruguayan', dialling_code: '+598' },
+  { code: 'UZ', alpha3: 'UZB', name: 'Uzbekistan', demonym: 'Uzbekistani', dialling_code: '+998' },
+  { code: 'VA', alpha3: 'VAT', name: 'Vatican City', demonym: 'Vatican', dialling_code: '+379', aliases: ['Holy See'] },
+  { code: 'VC', alpha3: 'VCT', name: 'Saint Vincent and the Grenadines', demonym: 'Vincentian', dialling_code: '+1784' },
+  { code: 'VE', alpha3: 'VEN', name: 'Venezuela', demonym: 'Venezuelan', dialling_code: '+58' },
+  { code: 'VG', alpha3: 'VGB', name: 'British Virgin Islands', demonym: 'British Virgin Islander', dialling_code: '+1284' },
+  { code: 'VI', alpha3: 'VIR', name: 'U.S. Virgin Islands', demonym: 'U.S. Virgin Islander', dialling_code: '+1340' },
+  { code: 'VN', alpha3: 'VNM', name: 'Vietnam', demonym: 'Vietnamese', dialling_code: '+84', aliases: ['Viet Nam'] },
+  { code: 'VU', alpha3: 'VUT', name: 'Vanuatu', demonym: 'Ni-Vanuatu', dialling_code: '+678' },
+  { code: 'WF', alpha3: 'WLF', name: 'Wallis and Futuna', demonym: 'Wallisian or Futunan', dialling_code: '+681' },
+  { code: 'WS', alpha3: 'WSM', name: 'Samoa', demonym: 'Samoan', dialling_code: '+685' },
+  { code: 'YE', alpha3: 'YEM', name: 'Yemen', demonym: 'Yemeni', dialling_code: '+967' },
+  { code: 'YT', alpha3: 'MYT', name: 'Mayotte', demonym: 'Mahoran', dialling_code: '+262' },
+  { code: 'ZA', alpha3: 'ZAF', name: 'South Africa', demonym: 'South African', dialling_code: '+27' },
+  { code: 'ZM', alpha3: 'ZMB', name: 'Zambia', demonym: 'Zambian', dialling_code: '+260' },
+  { code: 'ZW', alpha3: 'ZWE', name: 'Zimbabwe', demonym: 'Zimbabwean', dialling_code: '+263' }
+];
+
+module.exports = {
+  COUNTRIES
+};
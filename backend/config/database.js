@@ -1,242 +1,230 @@
-const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
-const fs = require('fs').promises;
-
-const DB_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', 'database.sqlite');
-
-let db = null;
-
-// Initialize database connection
-function initializeDatabase() {
-  return new Promise((resolve, reject) => {
-    db = new sqlite3.Database(DB_PATH, (err) => {
-      if (err) {
-        console.error('❌ Error opening database:', err.message);
-        reject(err);
-      } else {
-        console.log('✅ Connected to SQLite database');
-        createTables()
-          .then(() => resolve())
-          .catch(reject);
-      }
+const { AsyncLocalStorage } = require('async_hooks');
+const { createMigrator } = require('./migrator');
+const { encryptParams, findEncryptedColumns, decryptRow } = require('./encryptedColumns');
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', 'database.sqlite');
+
+// DATABASE_URL=postgres://... selects PostgreSQL. Otherwise the SQLite file
+// at DATABASE_PATH (or a sqlite:<path> DATABASE_URL) is used.
+function createDriver() {
+  const url = process.env.DATABASE_URL;
+
+  if (url && /^postgres(ql)?:\/\//.test(url)) {
+    const { createPostgresDriver } = require('./drivers/postgres');
+    return createPostgresDriver({
+      connectionString: url,
+      poolSize: parseInt(process.env.DATABASE_POOL_SIZE, 10) || 10
     });
+  }
+
+  if (url && !url.startsWith('sqlite:')) {
+    throw new Error(`Unsupported DATABASE_URL scheme: ${url.split(':')[0]}`);
+  }
+
+  const { createSqliteDriver } = require('./drivers/sqlite');
+  return createSqliteDriver({
+    filename: url ? url.slice('sqlite:'.length) : (process.env.DATABASE_PATH || DEFAULT_SQLITE_PATH)
   });
 }
 
-// Create all necessary tables
-function createTables() {
-  return new Promise((resolve, reject) => {
-    const tables = [
-      // Visa applications table
-      `CREATE TABLE IF NOT EXISTS visa_applications (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        application_id TEXT UNIQUE NOT NULL,
-        full_name TEXT NOT NULL,
-        email TEXT NOT NULL,
-        phone TEXT NOT NULL,
-        nationality TEXT NOT NULL,
-        passport_number TEXT NOT NULL,
-        visa_type TEXT NOT NULL,
-        purpose_of_visit TEXT NOT NULL,
-        duration_of_stay INTEGER NOT NULL,
-        arrival_date TEXT NOT NULL,
-        departure_date TEXT NOT NULL,
-        accommodation_details TEXT,
-        sponsor_information TEXT,
-        previous_uae_visit TEXT,
-        criminal_record TEXT,
-        medical_conditions TEXT,
-        emergency_contact_name TEXT,
-        emergency_contact_phone TEXT,
-        emergency_contact_relationship TEXT,
-        passport_copy_path TEXT,
-        photo_path TEXT,
-        cv_path TEXT,
-        additional_documents_path TEXT,
-        status TEXT DEFAULT 'pending',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      // Contact messages table
-      `CREATE TABLE IF NOT EXISTS contact_messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        message_id TEXT UNIQUE NOT NULL,
-        full_name TEXT NOT NULL,
-        email TEXT NOT NULL,
-        phone TEXT,
-        inquiry_type TEXT NOT NULL,
-        subject TEXT NOT NULL,
-        message TEXT NOT NULL,
-        preferred_contact TEXT DEFAULT 'email',
-        urgency_level TEXT DEFAULT 'medium',
-        newsletter_subscription BOOLEAN DEFAULT false,
-        status TEXT DEFAULT 'new',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      // Feedback table
-      `CREATE TABLE IF NOT EXISTS feedback (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        feedback_id TEXT UNIQUE NOT NULL,
-        full_name TEXT NOT NULL,
-        email TEXT NOT NULL,
-        phone TEXT,
-        visa_type TEXT,
-        service_rating INTEGER NOT NULL CHECK (service_rating >= 1 AND service_rating <= 5),
-        would_recommend TEXT NOT NULL,
-        feedback_title TEXT NOT NULL,
-        feedback_message TEXT NOT NULL,
-        aspects_impressed TEXT,
-        allow_public_display BOOLEAN DEFAULT false,
-        allow_contact BOOLEAN DEFAULT false,
-        status TEXT DEFAULT 'pending',
-        is_featured BOOLEAN DEFAULT false,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      // Newsletter subscriptions table
-      `CREATE TABLE IF NOT EXISTS newsletter_subscriptions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        email TEXT UNIQUE NOT NULL,
-        full_name TEXT,
-        subscription_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-        is_active BOOLEAN DEFAULT true,
-        unsubscribe_token TEXT UNIQUE,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-      
-      // Application status tracking
-      `CREATE TABLE IF NOT EXISTS application_status_log (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        application_id TEXT NOT NULL,
-        old_status TEXT,
-        new_status TEXT NOT NULL,
-        notes TEXT,
-        changed_by TEXT DEFAULT 'system',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (application_id) REFERENCES visa_applications (application_id)
-      )`
-    ];
-
-    let completed = 0;
-    const total = tables.length;
-
-    tables.forEach((tableSQL, index) => {
-      db.run(tableSQL, (err) => {
-        if (err) {
-          console.error(`❌ Error creating table ${index + 1}:`, err.message);
-          reject(err);
-        } else {
-          completed++;
-          console.log(`✅ Table ${index + 1}/${total} created successfully`);
-          
-          if (completed === total) {
-            console.log('✅ All database tables created successfully');
-            resolve();
-          }
-        }
-      });
-    });
-  });
+const driver = createDriver();
+
+// Dialect helpers for SQL that differs between SQLite and PostgreSQL
+const { dialect } = driver;
+
+// Connect and bring the schema up to date.
+// Pending migrations run on startup unless AUTO_MIGRATE=false (then use npm run migrate).
+async function initializeDatabase(options = {}) {
+  const runPendingMigrations = options.migrate !== undefined ?
+    options.migrate :
+    process.env.AUTO_MIGRATE !== 'false';
+
+  try {
+    await driver.connect();
+  } catch (error) {
+    console.error('❌ Error opening database:', error.message);
+    throw error;
+  }
+
+  console.log(`✅ Connected to ${driver.label} database`);
+
+  if (runPendingMigrations) {
+    try {
+      await getMigrator().migrate();
+    } catch (error) {
+      console.error('❌ Database migration failed:', error.message);
+      throw error;
+    }
+  }
+}
+
+// The active storage driver (config/drivers/)
+function getDriver() {
+  return driver;
 }
 
-// Get database instance
-function getDatabase() {
-  if (!db) {
-    throw new Error('Database not initialized. Call initializeDatabase() first.');
+// The transaction the caller is running in, if any, is tracked with
+// AsyncLocalStorage so runQuery/getRow/getRows use its connection.
+// SQLite has one connection, so an open transaction would also capture
+// statements from concurrent requests; with that driver every other query
+// waits for the transaction to finish before running.
+const transactionContext = new AsyncLocalStorage();
+let activeTransaction = null;
+
+// The transaction holding the shared connection, unless it is the caller's own
+function otherTransaction() {
+  return activeTransaction && transactionContext.getStore() !== activeTransaction ? activeTransaction : null;
+}
+
+// Call statement once no other transaction holds the shared connection. The
+// last check and the call happen in the same tick, so a transaction that
+// starts while this one waits can't slip in between them.
+async function whenConnectionFree(statement) {
+  for (let other = otherTransaction(); other; other = otherTransaction()) {
+    await other.finished;
   }
-  return db;
+  return statement();
+}
+
+function currentConnection() {
+  const transaction = transactionContext.getStore();
+  return transaction ? transaction.connection : undefined;
 }
 
+// Sensitive columns are encrypted on the way in and decrypted on the way out
+// (config/encryptedColumns.js), so callers always deal in plaintext.
+
 // Execute a query with parameters
-function runQuery(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    const database = getDatabase();
-    database.run(sql, params, function(err) {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({ id: this.lastID, changes: this.changes });
-      }
-    });
-  });
+async function runQuery(sql, params = []) {
+  return whenConnectionFree(() => driver.run(sql, encryptParams(sql, params), currentConnection()));
 }
 
 // Get single row
-function getRow(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    const database = getDatabase();
-    database.get(sql, params, (err, row) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(row);
-      }
-    });
-  });
+async function getRow(sql, params = []) {
+  const row = await whenConnectionFree(() => driver.get(sql, params, currentConnection()));
+  return decryptRow(row, findEncryptedColumns(sql));
 }
 
 // Get multiple rows
-function getRows(sql, params = []) {
-  return new Promise((resolve, reject) => {
-    const database = getDatabase();
-    database.all(sql, params, (err, rows) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve(rows);
+async function getRows(sql, params = []) {
+  const rows = await whenConnectionFree(() => driver.all(sql, params, currentConnection()));
+  const columns = findEncryptedColumns(sql);
+  return rows.map(row => decryptRow(row, columns));
+}
+
+// Statement on the current transaction's connection (BEGIN/COMMIT/SAVEPOINT)
+function execute(sql) {
+  return driver.run(sql, [], currentConnection());
+}
+
+// Run fn inside a transaction. Everything fn awaits through runQuery/getRow/
+// getRows is part of it; a throw (including an AppError) rolls it back and is
+// re-thrown. Nested calls become savepoints, so an inner failure that the
+// outer function catches only undoes the inner work. Run nested calls one at a
+// time, not in parallel.
+async function withTransaction(fn) {
+  const current = transactionContext.getStore();
+
+  if (current) {
+    const savepoint = `sp_${++current.savepoints}`;
+    await execute(`SAVEPOINT ${savepoint}`);
+
+    try {
+      const result = await fn();
+      await execute(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (error) {
+      await execute(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      await execute(`RELEASE SAVEPOINT ${savepoint}`);
+      throw error;
+    }
+  }
+
+  let finish;
+  const transaction = {
+    savepoints: 0,
+    connection: null,
+    finished: new Promise(resolve => { finish = resolve; })
+  };
+
+  // Several transactions can be waiting for the same one to finish: each
+  // checks again when it wakes and claims the connection in the same tick
+  if (driver.sharedConnection) {
+    while (activeTransaction) {
+      await activeTransaction.finished;
+    }
+    activeTransaction = transaction;
+  }
+
+  // A connection whose ROLLBACK failed is handed back as broken so the pool discards it
+  let failure;
+
+  try {
+    transaction.connection = await driver.acquire();
+    await driver.run(driver.beginStatement, [], transaction.connection);
+
+    return await transactionContext.run(transaction, async () => {
+      try {
+        const result = await fn();
+        await execute('COMMIT');
+        return result;
+      } catch (error) {
+        await execute('ROLLBACK').catch((rollbackError) => {
+          failure = rollbackError;
+        });
+        throw error;
       }
     });
-  });
+  } finally {
+    if (transaction.connection) {
+      driver.release(transaction.connection, failure);
+    }
+    if (activeTransaction === transaction) {
+      activeTransaction = null;
+    }
+    finish();
+  }
+}
+
+// Whether the caller is running inside withTransaction()
+function inTransaction() {
+  return Boolean(transactionContext.getStore());
+}
+
+// Schema migrations (see config/migrator.js and migrations/)
+function getMigrator() {
+  return createMigrator({ runQuery, getRow, getRows, withTransaction, dialect });
 }
 
 // Close database connection
-function closeDatabase() {
-  return new Promise((resolve, reject) => {
-    if (db) {
-      db.close((err) => {
-        if (err) {
-          reject(err);
-        } else {
-          console.log('✅ Database connection closed');
-          db = null;
-          resolve();
-        }
-      });
-    } else {
-      resolve();
-    }
-  });
+async function closeDatabase() {
+  if (driver.isConnected()) {
+    await driver.close();
+    console.log('✅ Database connection closed');
+  }
 }
 
 // Database health check
-function healthCheck() {
-  return new Promise((resolve, reject) => {
-    if (!db) {
-      reject(new Error('Database not initialized'));
-      return;
-    }
-    
-    db.get('SELECT 1 as test', (err, row) => {
-      if (err) {
-        reject(err);
-      } else {
-        resolve({ status: 'healthy', test: row.test });
-      }
-    });
-  });
+async function healthCheck() {
+  if (!driver.isConnected()) {
+    throw new Error('Database not initialized');
+  }
+
+  const row = await getRow('SELECT 1 as test');
+  return { status: 'healthy', driver: driver.name, test: row.test };
 }
 
 module.exports = {
   initializeDatabase,
-  getDatabase,
+  getDriver,
+  dialect,
   runQuery,
   getRow,
   getRows,
+  withTransaction,
+  inTransaction,
+  getMigrator,
   closeDatabase,
   healthCheck
-};
\ No newline at end of file
+};
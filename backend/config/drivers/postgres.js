@@ -0,0 +1,146 @@
+const { Pool, types } = require('pg');
+
+const dialect = {
+  name: 'postgres',
+
+  // Column types
+  primaryKey: 'SERIAL PRIMARY KEY',
+  timestamp: 'TIMESTAMP',
+
+  // 'YYYY-MM' for a date column, for monthly grouping
+  month: column => `to_char(${column}, 'YYYY-MM')`,
+
+  // The date <amount> <unit> before today, e.g. dateAgo(12, 'months')
+  dateAgo: (amount, unit) => `(CURRENT_DATE - INTERVAL '${amount} ${unit}')`,
+
+  // Milliseconds since the epoch for a timestamp column
+  epochMillis: column => `(CAST(EXTRACT(EPOCH FROM ${column}) AS BIGINT) * 1000)`,
+
+  // <bytes> random bytes as upper-case hex
+  randomHex: bytes => `upper(substr(md5(random()::text), 1, ${bytes * 2}))`,
+
+  // Returns a row when <table> has <column>
+  columnExistsQuery: `
+    SELECT 1 AS found FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = ? AND column_name = ?
+  `
+};
+
+// Return rows shaped like the SQLite driver's: counts and averages as
+// numbers, timestamps and dates as the strings the database stored
+const TYPE_PARSERS = {
+  [types.builtins.INT8]: value => parseInt(value, 10),
+  [types.builtins.NUMERIC]: value => parseFloat(value),
+  [types.builtins.TIMESTAMP]: value => value,
+  [types.builtins.DATE]: value => value
+};
+
+const typeParsers = {
+  getTypeParser(oid, format) {
+    return TYPE_PARSERS[oid] || types.getTypeParser(oid, format);
+  }
+};
+
+// Routes write `?` placeholders; PostgreSQL wants $1, $2, ...
+function toPositionalParams(sql) {
+  let index = 0;
+  let quote = null;
+  let text = '';
+
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '?') {
+      text += `$${++index}`;
+      continue;
+    }
+    text += char;
+  }
+
+  return text;
+}
+
+// A connection pool. Queries outside a transaction go to any pooled
+// connection; a transaction holds one client from acquire() to release().
+// INSERTs only report an id when the statement ends in RETURNING id.
+function createPostgresDriver({ connectionString, poolSize = 10 }) {
+  let pool = null;
+
+  function getPool() {
+    if (!pool) {
+      throw new Error('Database not initialized. Call initializeDatabase() first.');
+    }
+    return pool;
+  }
+
+  function query(sql, params, connection) {
+    return (connection || getPool()).query(toPositionalParams(sql), params);
+  }
+
+  return {
+    name: 'postgres',
+    label: 'PostgreSQL',
+    dialect,
+    sharedConnection: false,
+    beginStatement: 'BEGIN',
+
+    async connect() {
+      pool = new Pool({ connectionString, max: poolSize, types: typeParsers });
+
+      try {
+        await pool.query('SELECT 1');
+      } catch (error) {
+        await pool.end();
+        pool = null;
+        throw error;
+      }
+    },
+
+    acquire() {
+      return getPool().connect();
+    },
+
+    release(connection, error) {
+      connection.release(error);
+    },
+
+    async run(sql, params = [], connection) {
+      const result = await query(sql, params, connection);
+      return {
+        id: result.rows.length > 0 ? result.rows[0].id : undefined,
+        changes: result.rowCount || 0
+      };
+    },
+
+    async get(sql, params = [], connection) {
+      const result = await query(sql, params, connection);
+      return result.rows[0];
+    },
+
+    async all(sql, params = [], connection) {
+      const result = await query(sql, params, connection);
+      return result.rows;
+    },
+
+    isConnected() {
+      return Boolean(pool);
+    },
+
+    async close() {
+      if (pool) {
+        await pool.end();
+        pool = null;
+      }
+    }
+  };
+}
+
+module.exports = {
+  dialect,
+  toPositionalParams,
+  createPostgresDriver
+};
@@ -0,0 +1,131 @@
+const sqlite3 = require('sqlite3').verbose();
+
+// SQL that differs between databases. Routes and migrations build those
+// fragments through the dialect instead of writing SQLite syntax directly.
+const dialect = {
+  name: 'sqlite',
+
+  // Column types
+  primaryKey: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+  timestamp: 'DATETIME',
+
+  // 'YYYY-MM' for a date column, for monthly grouping
+  month: column => `strftime('%Y-%m', ${column})`,
+
+  // The date <amount> <unit> before today, e.g. dateAgo(12, 'months')
+  dateAgo: (amount, unit) => `date('now', '-${amount} ${unit}')`,
+
+  // Milliseconds since the epoch for a timestamp column
+  epochMillis: column => `(CAST(strftime('%s', ${column}) AS INTEGER) * 1000)`,
+
+  // <bytes> random bytes as upper-case hex
+  randomHex: bytes => `upper(hex(randomblob(${bytes})))`,
+
+  // Returns a row when <table> has <column>
+  columnExistsQuery: 'SELECT 1 AS found FROM pragma_table_info(?) WHERE name = ?'
+};
+
+// A single sqlite3 connection. Every statement, including those of an open
+// transaction, runs on it, so config/database.js keeps other queries out
+// while a transaction is running (sharedConnection).
+function createSqliteDriver({ filename }) {
+  let db = null;
+
+  function getConnection() {
+    if (!db) {
+      throw new Error('Database not initialized. Call initializeDatabase() first.');
+    }
+    return db;
+  }
+
+  return {
+    name: 'sqlite',
+    label: 'SQLite',
+    dialect,
+    sharedConnection: true,
+    beginStatement: 'BEGIN IMMEDIATE',
+
+    connect() {
+      return new Promise((resolve, reject) => {
+        db = new sqlite3.Database(filename, (err) => {
+          if (err) {
+            db = null;
+            reject(err);
+          } else {
+            resolve();
+          }
+        });
+      });
+    },
+
+    // Transactions reuse the one connection
+    async acquire() {
+      return getConnection();
+    },
+
+    release() {},
+
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        getConnection().run(sql, params, function(err) {
+          if (err) {
+            reject(err);
+          } else {
+            resolve({ id: this.lastID, changes: this.changes });
+          }
+        });
+      });
+    },
+
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        getConnection().get(sql, params, (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        });
+      });
+    },
+
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        getConnection().all(sql, params, (err, rows) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(rows);
+          }
+        });
+      });
+    },
+
+    isConnected() {
+      return Boolean(db);
+    },
+
+    close() {
+      return new Promise((resolve, reject) => {
+        if (!db) {
+          resolve();
+          return;
+        }
+
+        db.close((err) => {
+          if (err) {
+            reject(err);
+          } else {
+            db = null;
+            resolve();
+          }
+        });
+      });
+    }
+  };
+}
+
+module.exports = {
+  dialect,
+  createSqliteDriver
+};
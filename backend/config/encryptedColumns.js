@@ -0,0 +1,172 @@
+const { encryptValue, decryptValue, isEncrypted, DecryptionError } = require('../utils/fieldEncryption');
+
+// Columns stored encrypted (see utils/fieldEncryption.js). config/database.js
+// encrypts the parameters an INSERT or UPDATE binds to these columns and
+// decrypts them in the rows it reads, so routes only see plaintext. Other
+// columns are never decrypted, whatever they contain.
+// Encrypted columns cannot be compared in SQL (WHERE, ORDER BY, LIKE).
+const ENCRYPTED_COLUMNS = {
+  visa_applications: [
+    'passport_number',
+    'criminal_record',
+    'medical_conditions',
+    'emergency_contact_name',
+    'emergency_contact_phone',
+    'emergency_contact_relationship'
+  ]
+};
+
+const INSERT_STATEMENT = /^\s*INSERT\s+INTO\s+(\w+)\s*\(([^)]*)\)\s*VALUES\s*\(([\s\S]*)\)\s*(?:RETURNING[\s\S]*)?$/i;
+const UPDATE_STATEMENT = /^\s*UPDATE\s+(\w+)\s+SET\s+([\s\S]*?)(?:\s+WHERE\s[\s\S]*)?$/i;
+
+// Split on commas outside parentheses and quotes, counting the ? placeholders
+// in each part
+function splitList(text) {
+  const parts = [];
+  let current = '';
+  let placeholders = 0;
+  let depth = 0;
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (char === '(') {
+      depth++;
+    } else if (char === ')') {
+      depth--;
+    } else if (char === '?') {
+      placeholders++;
+    } else if (char === ',' && depth === 0) {
+      parts.push({ text: current.trim(), placeholders });
+      current = '';
+      placeholders = 0;
+      continue;
+    }
+    current += char;
+  }
+
+  parts.push({ text: current.trim(), placeholders });
+  return parts;
+}
+
+// Parameter positions bound directly to an encrypted column, given the
+// column name of each list entry
+function encryptedPositions(table, columns, values) {
+  const encrypted = ENCRYPTED_COLUMNS[table.toLowerCase()] || [];
+  const positions = [];
+  let index = 0;
+
+  values.forEach((value, i) => {
+    if (value.text === '?' && encrypted.includes(columns[i])) {
+      positions.push(index);
+    }
+    index += value.placeholders;
+  });
+
+  return positions;
+}
+
+function findEncryptedParams(sql) {
+  const insert = sql.match(INSERT_STATEMENT);
+  if (insert) {
+    const columns = insert[2].split(',').map(column => column.trim().toLowerCase());
+    return encryptedPositions(insert[1], columns, splitList(insert[3]));
+  }
+
+  const update = sql.match(UPDATE_STATEMENT);
+  if (update) {
+    const assignments = splitList(update[2]);
+    const columns = assignments.map(assignment => assignment.text.split('=')[0].trim().toLowerCase());
+    const values = assignments.map(assignment => ({
+      text: assignment.text.slice(assignment.text.indexOf('=') + 1).trim(),
+      placeholders: assignment.placeholders
+    }));
+    return encryptedPositions(update[1], columns, values);
+  }
+
+  return [];
+}
+
+// Statements are mostly fixed strings, so remember what each one needs
+const positionCache = new Map();
+
+function encryptParams(sql, params) {
+  if (params.length === 0 || !/^\s*(INSERT|UPDATE)\s/i.test(sql)) {
+    return params;
+  }
+
+  if (!positionCache.has(sql)) {
+    positionCache.set(sql, findEncryptedParams(sql));
+  }
+
+  const positions = positionCache.get(sql);
+  if (positions.length === 0) {
+    return params;
+  }
+
+  const encrypted = [...params];
+  positions.forEach((position) => {
+    encrypted[position] = encryptValue(encrypted[position]);
+  });
+  return encrypted;
+}
+
+// Tables a statement reads rows from (or returns rows of)
+const TABLE_REFERENCE = /\b(?:FROM|JOIN|INTO|UPDATE)\s+(\w+)/gi;
+
+const columnCache = new Map();
+
+// Encrypted columns of the tables a statement reads, by column name
+function findEncryptedColumns(sql) {
+  if (!columnCache.has(sql)) {
+    const columns = new Map();
+
+    for (const [, table] of sql.matchAll(TABLE_REFERENCE)) {
+      (ENCRYPTED_COLUMNS[table.toLowerCase()] || []).forEach(column => columns.set(column, table.toLowerCase()));
+    }
+
+    columnCache.set(sql, columns);
+  }
+
+  return columnCache.get(sql);
+}
+
+// Decrypt a row's encrypted columns. A value that fails authentication has
+// been tampered with or corrupted (or written with a different key under the
+// same id); it is logged as an error and the query fails, rather than reading
+// as empty data.
+function decryptRow(row, columns) {
+  if (!row || columns.size === 0) {
+    return row;
+  }
+
+  for (const [column, table] of columns) {
+    if (!isEncrypted(row[column])) {
+      continue;
+    }
+
+    try {
+      row[column] = decryptValue(row[column]);
+    } catch (error) {
+      if (error instanceof DecryptionError) {
+        error.message = `Could not decrypt ${table}.${column}${row.id ? ` (id ${row.id})` : ''}: ${error.message}`;
+        console.error(`🚨 ${error.message}`);
+      }
+      throw error;
+    }
+  }
+  return row;
+}
+
+module.exports = {
+  ENCRYPTED_COLUMNS,
+  findEncryptedParams,
+  encryptParams,
+  findEncryptedColumns,
+  decryptRow
+};
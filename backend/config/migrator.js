@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+
+// Numbered schema migrations live in migrations/ as NNN_description.js and
+// export async up(helpers) / down(helpers). Applied versions are recorded in
+// schema_migrations, so every database (new or existing) converges on the
+// same schema by running whatever it has not seen yet.
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d{3,})_([\w-]+)\.js$/;
+
+// Load the migration files in version order
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  return fs.readdirSync(directory)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({
+      version: match[1],
+      name: match[2],
+      ...require(path.join(directory, file))
+    }))
+    .sort((a, b) => a.version.localeCompare(b.version, undefined, { numeric: true }));
+}
+
+function createMigrator({ runQuery, getRow, getRows, withTransaction, dialect }, options = {}) {
+  const migrations = options.migrations || loadMigrations(options.directory);
+  const log = options.log || console.log;
+
+  // Helpers handed to every migration
+  const helpers = {
+    runQuery,
+    getRow,
+    getRows,
+    dialect,
+
+    async hasColumn(table, column) {
+      return Boolean(await getRow(dialect.columnExistsQuery, [table, column]));
+    },
+
+    // Add a column unless an older createTables() schema already has it
+    async addColumn(table, column, definition) {
+      if (!(await helpers.hasColumn(table, column))) {
+        await runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    },
+
+    async dropColumn(table, column) {
+      if (await helpers.hasColumn(table, column)) {
+        await runQuery(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+  };
+
+  async function ensureMigrationsTable() {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at ${dialect.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  }
+
+  async function getAppliedVersions() {
+    await ensureMigrationsTable();
+    const rows = await getRows('SELECT version FROM schema_migrations ORDER BY version');
+    return rows.map(row => row.version);
+  }
+
+  // Apply every pending migration; returns the versions applied
+  async function migrate() {
+    const applied = new Set(await getAppliedVersions());
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+      // Each migration and its bookkeeping row commit or roll back together
+      await withTransaction(async () => {
+        await migration.up(helpers);
+        await runQuery('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      });
+      log(`✅ Applied migration ${migration.version}_${migration.name}`);
+    }
+
+    return pending.map(migration => migration.version);
+  }
+
+  // Revert the most recently applied migrations; returns the versions reverted
+  async function rollback(steps = 1) {
+    const applied = await getAppliedVersions();
+    const toRevert = applied.slice(-steps).reverse();
+
+    for (const version of toRevert) {
+      const migration = migrations.find(candidate => candidate.version === version);
+
+      if (!migration) {
+        throw new Error(`Migration ${version} is recorded in schema_migrations but its file is missing`);
+      }
+
+      if (typeof migration.down !== 'function') {
+        throw new Error(`Migration ${version}_${migration.name} cannot be rolled back`);
+      }
+
+      await withTransaction(async () => {
+        await migration.down(helpers);
+        await runQuery('DELETE FROM schema_migrations WHERE version = ?', [version]);
+      });
+      log(`↩️  Rolled back migration ${version}_${migration.name}`);
+    }
+
+    return toRevert;
+  }
+
+  // Every known migration with whether and when it was applied
+  async function status() {
+    await ensureMigrationsTable();
+    const rows = await getRows('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: appliedAt.has(migration.version),
+      applied_at: appliedAt.get(migration.version) || null
+    }));
+  }
+
+  return {
+    migrate,
+    rollback,
+    status,
+    helpers
+  };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  createMigrator
+};
@@ -0,0 +1,78 @@
+// Data retention: how long records are kept, in months, by entity and status.
+// `default` covers every status not listed; null keeps records forever.
+// Periods can be overridden without a code change through RETENTION_POLICY,
+// a JSON object in the same shape, e.g. {"visa_applications":{"rejected":6}}.
+
+const DEFAULT_RETENTION_MONTHS = {
+  visa_applications: {
+    rejected: 12,
+    approved: 36,
+    default: null
+  },
+  contact_messages: {
+    resolved: 12,
+    closed: 12,
+    default: 24
+  },
+  feedback: {
+    closed: 24,
+    default: 36
+  }
+};
+
+// Where each entity lives. Age is measured from the last update. Rows in
+// `dependents` reference the entity by `key` and are deleted with it; `files`
+// lists the stored_name columns of dependents whose files live in uploads/.
+const RETENTION_ENTITIES = {
+  visa_applications: {
+    table: 'visa_applications',
+    key: 'application_id',
+    dependents: ['application_documents', 'application_status_log', 'payments', 'invoices'],
+    files: { table: 'application_documents', column: 'stored_name' }
+  },
+  contact_messages: {
+    table: 'contact_messages',
+    key: 'message_id',
+    dependents: []
+  },
+  feedback: {
+    table: 'feedback',
+    key: 'feedback_id',
+    dependents: []
+  }
+};
+
+function isValidPeriod(months) {
+  return months === null || (Number.isInteger(months) && months > 0);
+}
+
+// The effective policy: defaults merged with RETENTION_POLICY. Throws on an
+// unknown entity or a period that is not a positive whole number or null.
+function getRetentionPolicy() {
+  const overrides = process.env.RETENTION_POLICY ? JSON.parse(process.env.RETENTION_POLICY) : {};
+  const policy = {};
+
+  for (const [entity, periods] of Object.entries(DEFAULT_RETENTION_MONTHS)) {
+    policy[entity] = { ...periods, ...(overrides[entity] || {}) };
+  }
+
+  for (const [entity, periods] of Object.entries(overrides)) {
+    if (!RETENTION_ENTITIES[entity]) {
+      throw new Error(`RETENTION_POLICY names unknown entity "${entity}"`);
+    }
+
+    for (const [status, months] of Object.entries(periods)) {
+      if (!isValidPeriod(months)) {
+        throw new Error(`RETENTION_POLICY ${entity}.${status} must be a whole number of months or null`);
+      }
+    }
+  }
+
+  return policy;
+}
+
+module.exports = {
+  DEFAULT_RETENTION_MONTHS,
+  RETENTION_ENTITIES,
+  getRetentionPolicy
+};
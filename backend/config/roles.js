@@ -0,0 +1,68 @@
+// Permissions checked by the admin endpoints
+const PERMISSIONS = {
+  VISA_READ: 'visa:read',
+  VISA_UPDATE_STATUS: 'visa:update_status',
+  VISA_DECIDE: 'visa:decide',
+  CONTACT_READ: 'contact:read',
+  CONTACT_MANAGE: 'contact:manage',
+  FEEDBACK_READ: 'feedback:read',
+  FEEDBACK_MANAGE: 'feedback:manage',
+  NEWSLETTER_READ: 'newsletter:read',
+  DATA_RETENTION: 'data:retention',
+  AUDIT_READ: 'audit:read'
+};
+
+// Staff roles and the permissions each one grants
+const ROLES = {
+  admin: Object.values(PERMISSIONS),
+
+  // Moves applications through review and requests more information
+  case_officer: [
+    PERMISSIONS.VISA_READ,
+    PERMISSIONS.VISA_UPDATE_STATUS
+  ],
+
+  // Case officer powers plus the final approve/reject decision
+  supervisor: [
+    PERMISSIONS.VISA_READ,
+    PERMISSIONS.VISA_UPDATE_STATUS,
+    PERMISSIONS.VISA_DECIDE
+  ],
+
+  // Handles contact_messages and responds to feedback
+  support: [
+    PERMISSIONS.CONTACT_READ,
+    PERMISSIONS.CONTACT_MANAGE,
+    PERMISSIONS.FEEDBACK_READ,
+    PERMISSIONS.FEEDBACK_MANAGE
+  ],
+
+  // Handles newsletter_subscriptions and reads feedback for testimonials
+  marketing: [
+    PERMISSIONS.NEWSLETTER_READ,
+    PERMISSIONS.FEEDBACK_READ
+  ]
+};
+
+const DEFAULT_ROLE = 'case_officer';
+
+function isValidRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+function getPermissionsForRole(role) {
+  return isValidRole(role) ? ROLES[role] : [];
+}
+
+function roleHasPermission(role, permission) {
+  return getPermissionsForRole(role).includes(permission);
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  DEFAULT_ROLE,
+  isValidRole,
+  getPermissionsForRole,
+  roleHasPermission
+};
@@ -0,0 +1,82 @@
+// Visa fee schedule. Amounts are in AED.
+//
+// The government visa fee depends on the visa type and the length of stay:
+// each visa type lists tiers, and a stay uses the first tier whose maxDays
+// covers it. Nationalities in NATIONALITY_FEES replace the tiers for the visa
+// types they list. Service fees are added to every quote; VAT applies to the
+// items marked vatable (government fees are outside the scope of UAE VAT).
+
+const CURRENCY = 'AED';
+const VAT_RATE = 0.05;
+
+const VISA_FEES = {
+  tourist: [
+    { maxDays: 30, fee: 350 },
+    { maxDays: 60, fee: 650 },
+    { maxDays: 90, fee: 900 }
+  ],
+  business: [
+    { maxDays: 30, fee: 500 },
+    { maxDays: 60, fee: 900 },
+    { maxDays: 90, fee: 1300 }
+  ],
+  transit: [
+    { maxDays: 4, fee: 100 },
+    { maxDays: 30, fee: 250 }
+  ],
+  family: [
+    { maxDays: 30, fee: 400 },
+    { maxDays: 60, fee: 700 },
+    { maxDays: 90, fee: 1000 }
+  ],
+  medical: [
+    { maxDays: 30, fee: 450 },
+    { maxDays: 60, fee: 800 },
+    { maxDays: 90, fee: 1150 }
+  ],
+  student: [
+    { maxDays: 365, fee: 1800 }
+  ],
+  work: [
+    { maxDays: 365, fee: 2500 }
+  ]
+};
+
+const NATIONALITY_FEES = {
+  IN: {
+    tourist: [
+      { maxDays: 30, fee: 300 },
+      { maxDays: 60, fee: 550 },
+      { maxDays: 90, fee: 800 }
+    ]
+  },
+  PK: {
+    tourist: [
+      { maxDays: 30, fee: 300 },
+      { maxDays: 60, fee: 550 },
+      { maxDays: 90, fee: 800 }
+    ]
+  }
+};
+
+const SERVICE_FEES = [
+  { code: 'service_fee', label: 'Service fee', amount: 150, vatable: true },
+  { code: 'document_handling', label: 'Document handling', amount: 30, vatable: true }
+];
+
+// Typical processing time by nationality
+const PROCESSING_TIMES = {
+  US: '3-5 business days',
+  GB: '2-4 business days',
+  IN: '1-3 business days',
+  default: '2-5 business days'
+};
+
+module.exports = {
+  CURRENCY,
+  VAT_RATE,
+  VISA_FEES,
+  NATIONALITY_FEES,
+  SERVICE_FEES,
+  PROCESSING_TIMES
+};
@@ -0,0 +1,56 @@
+// Visa eligibility and requirements rules, evaluated by
+// utils/visaRequirements.js for GET /api/visa/requirements and on submission.
+//
+// Every rule whose visaTypes and nationalities match the application applies
+// (a rule without one of those lists matches any value). A matching rule adds
+// required fields (names from schemas/visaApplication.js) and documents, or
+// with `eligible: false` refuses the application, giving `reason`.
+
+// Documents applicants can upload: the multer field names in routes/visa.js
+const DOCUMENT_TYPES = {
+  passport_copy: { label: 'Passport copy', maxCount: 1 },
+  photo: { label: 'Passport size photo', maxCount: 1 },
+  cv: { label: 'CV/Resume', maxCount: 1 },
+  hospital_letter: { label: 'Hospital letter', maxCount: 1 },
+  additional_documents: { label: 'Additional documents', maxCount: 5 }
+};
+
+// Citizens of the UAE and the other GCC states enter without a visa
+const VISA_EXEMPT_NATIONALITIES = ['AE', 'BH', 'KW', 'OM', 'QA', 'SA'];
+
+const REQUIREMENT_RULES = [
+  {
+    documents: ['passport_copy', 'photo']
+  },
+  {
+    nationalities: VISA_EXEMPT_NATIONALITIES,
+    eligible: false,
+    reason: 'Citizens of the UAE and other GCC countries do not need a visa to enter the UAE.'
+  },
+  {
+    visaTypes: ['business'],
+    fields: ['company_name', 'company_address']
+  },
+  {
+    visaTypes: ['work'],
+    fields: ['company_name', 'company_address', 'sponsor_name', 'sponsor_phone'],
+    documents: ['cv']
+  },
+  {
+    visaTypes: ['student'],
+    fields: ['sponsor_name', 'sponsor_phone']
+  },
+  {
+    visaTypes: ['family'],
+    fields: ['relative_name', 'relative_relation', 'sponsor_name', 'sponsor_phone']
+  },
+  {
+    visaTypes: ['medical'],
+    documents: ['hospital_letter']
+  }
+];
+
+module.exports = {
+  DOCUMENT_TYPES,
+  REQUIREMENT_RULES
+};
@@ -0,0 +1,80 @@
+// Visa application statuses and the workflow between them
+
+const STATUS_DESCRIPTIONS = {
+  pending: 'Application received and under initial review',
+  reviewing: 'Application is being processed by our team',
+  additional_info_required: 'Additional information or documents needed',
+  approved: 'Application approved - visa will be issued',
+  rejected: 'Application rejected - see notes for details'
+};
+
+const STATUSES = Object.keys(STATUS_DESCRIPTIONS);
+
+// Short titles shown on the applicant status timeline
+const STATUS_TITLES = {
+  pending: 'Application Received',
+  reviewing: 'Under Review',
+  additional_info_required: 'Additional Information Required',
+  approved: 'Application Approved',
+  rejected: 'Application Rejected'
+};
+
+// Allowed next statuses for each status; approved and rejected are final
+const STATUS_TRANSITIONS = {
+  pending: ['reviewing', 'additional_info_required', 'rejected'],
+  reviewing: ['additional_info_required', 'approved', 'rejected'],
+  additional_info_required: ['reviewing', 'rejected'],
+  approved: [],
+  rejected: []
+};
+
+// Final decisions need the visa:decide permission
+const DECISION_STATUSES = ['approved', 'rejected'];
+
+// Statuses that must be explained to the applicant in the notes
+const NOTES_REQUIRED_STATUSES = ['additional_info_required', 'rejected'];
+
+// Applicant email sent when an application enters each status
+const STATUS_EMAILS = {
+  reviewing: {
+    template: 'visa-status-reviewing',
+    subject: 'Your UAE Visa Application Is Under Review'
+  },
+  additional_info_required: {
+    template: 'visa-status-additional-info-required',
+    subject: 'Additional Information Required for Your UAE Visa Application'
+  },
+  approved: {
+    template: 'visa-status-approved',
+    subject: 'Your UAE Visa Application Has Been Approved'
+  },
+  rejected: {
+    template: 'visa-status-rejected',
+    subject: 'Update on Your UAE Visa Application'
+  }
+};
+
+function getAllowedTransitions(status) {
+  return STATUS_TRANSITIONS[status] || [];
+}
+
+function canTransition(fromStatus, toStatus) {
+  return getAllowedTransitions(fromStatus).includes(toStatus);
+}
+
+function isDecisionStatus(status) {
+  return DECISION_STATUSES.includes(status);
+}
+
+module.exports = {
+  STATUSES,
+  STATUS_DESCRIPTIONS,
+  STATUS_TITLES,
+  STATUS_TRANSITIONS,
+  DECISION_STATUSES,
+  NOTES_REQUIRED_STATUSES,
+  STATUS_EMAILS,
+  getAllowedTransitions,
+  canTransition,
+  isDecisionStatus
+};
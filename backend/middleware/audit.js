@@ -0,0 +1,84 @@
+const { runQuery } = require('../config/database');
+
+// Records staff access in audit_log (append-only, see migrations/007).
+// auditTrail() goes after protect/requirePermission on routes that read
+// applicant data or change anything; the entry is written once the response
+// has been sent, with its status code. Routes that change a record call
+// recordChanges() so the entry carries a before/after diff.
+
+// Fields whose old and new values differ, as { field: { from, to } }
+function diffRecords(before, after) {
+  const changes = {};
+
+  for (const [field, value] of Object.entries(after)) {
+    const previous = before ? before[field] : undefined;
+    if ((previous ?? null) !== (value ?? null)) {
+      changes[field] = { from: previous ?? null, to: value ?? null };
+    }
+  }
+
+  return changes;
+}
+
+function recordChanges(req, before, after) {
+  if (req.audit) {
+    req.audit.changes = diffRecords(before, after);
+  }
+}
+
+// The path without its query string: entries can't be removed, and query
+// strings carry search terms (passport numbers, names) and the signatures of
+// still-valid download links
+function auditPath(req) {
+  return req.baseUrl + req.path;
+}
+
+async function writeAuditEntry(req, res) {
+  const { entity, entityId, action, changes } = req.audit;
+
+  await runQuery(`
+    INSERT INTO audit_log (
+      actor, actor_role, ip_address, method, path, entity, entity_id,
+      action, changes, status_code, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `, [
+    // Document downloads can also come from an applicant's signed link
+    req.user ? req.user.email : 'signed-link',
+    req.user ? req.user.role : null,
+    req.ip,
+    req.method,
+    auditPath(req),
+    entity,
+    entityId,
+    action,
+    changes ? JSON.stringify(changes) : null,
+    res.statusCode
+  ]);
+}
+
+// entity: what is accessed (e.g. 'visa_application'); action: 'list', 'read',
+// 'download', 'update', ...; idParam: the route parameter holding its ID
+function auditTrail(entity, action, idParam = null) {
+  return (req, res, next) => {
+    req.audit = {
+      entity,
+      action,
+      entityId: idParam ? req.params[idParam] : null,
+      changes: null
+    };
+
+    res.on('finish', () => {
+      writeAuditEntry(req, res).catch((error) => {
+        console.error(`Failed to write audit entry for ${req.method} ${auditPath(req)}:`, error.message);
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  auditTrail,
+  recordChanges,
+  diffRecords
+};
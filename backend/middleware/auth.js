@@ -0,0 +1,84 @@
+const jwt = require('jsonwebtoken');
+const { promisify } = require('util');
+const { getRow } = require('../config/database');
+const { AppError, catchAsync } = require('./errorHandler');
+const { roleHasPermission } = require('../config/roles');
+
+// Read the signing secret lazily so tests and scripts can set it after require
+function getJwtSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new AppError('Authentication is not configured on this server', 500, 'AUTH_NOT_CONFIGURED');
+  }
+  return process.env.JWT_SECRET;
+}
+
+// Issue a signed token for a staff account
+function signToken(staff) {
+  return jwt.sign({ id: staff.id }, getJwtSecret(), {
+    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+  });
+}
+
+// Extract the bearer token from the Authorization header
+function getBearerToken(req) {
+  const header = req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.slice(7).trim();
+  }
+  return null;
+}
+
+// Require a valid staff token; attaches the staff account to req.user
+const protect = catchAsync(async (req, res, next) => {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    throw new AppError('You are not logged in. Please log in to get access.', 401, 'AUTH_REQUIRED');
+  }
+
+  // JsonWebTokenError / TokenExpiredError are mapped by the error handler
+  const decoded = await promisify(jwt.verify)(token, getJwtSecret());
+
+  const staff = await getRow(`
+    SELECT id, email, full_name, role, is_active
+    FROM staff_users
+    WHERE id = ?
+  `, [decoded.id]);
+
+  if (!staff || !staff.is_active) {
+    throw new AppError('The staff account for this token no longer exists or has been disabled.', 401, 'ACCOUNT_INACTIVE');
+  }
+
+  req.user = staff;
+  next();
+});
+
+// Check a permission for the logged-in staff member
+function hasPermission(user, permission) {
+  return Boolean(user) && roleHasPermission(user.role, permission);
+}
+
+// Require every listed permission; must run after protect
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new AppError('You are not logged in. Please log in to get access.', 401, 'AUTH_REQUIRED'));
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+    if (missing.length > 0) {
+      return next(new AppError('You do not have permission to perform this action', 403, 'INSUFFICIENT_PERMISSIONS'));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  protect,
+  requirePermission,
+  hasPermission,
+  signToken,
+  getBearerToken
+};
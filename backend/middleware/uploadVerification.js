@@ -0,0 +1,132 @@
+const path = require('path');
+const { AppError, catchAsync } = require('./errorHandler');
+const { listFiles } = require('../utils/uploadStorage');
+const { detectFileMimeType, normalizeMimeType } = require('../utils/fileSignatures');
+const { scanFile } = require('../utils/fileScanner');
+const { inspectPhoto, createThumbnail } = require('../utils/photoCompliance');
+
+const TYPE_NAMES = {
+  'image/jpeg': 'JPEG image',
+  'image/png': 'PNG image',
+  'application/pdf': 'PDF',
+  'application/msword': 'Word (DOC) document',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'Word (DOCX) document'
+};
+
+function describeType(mimeType) {
+  return TYPE_NAMES[mimeType] || mimeType;
+}
+
+function rejectFiles(res, code, message, errors) {
+  return res.status(400).json({
+    status: 'fail',
+    message,
+    code,
+    errors,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Runs after multer: checks every uploaded file's magic bytes against the
+// type the client declared, then passes it to the malware scanner. Errors use
+// the validation error shape so the form can show them on the file inputs.
+const verifyUploads = catchAsync(async (req, res, next) => {
+  const files = listFiles(req.files || req.file);
+  const contentErrors = [];
+
+  for (const file of files) {
+    const declared = normalizeMimeType(file.mimetype);
+    const detected = await detectFileMimeType(file.path);
+
+    if (!detected) {
+      contentErrors.push({
+        field: file.fieldname,
+        message: `${file.originalname} is not a valid JPEG, PNG, PDF, DOC or DOCX file`
+      });
+    } else if (detected !== declared) {
+      contentErrors.push({
+        field: file.fieldname,
+        message: `${file.originalname} was uploaded as a ${describeType(declared)} but its content is a ${describeType(detected)}`
+      });
+    } else {
+      // Store the canonical type (image/jpg becomes image/jpeg)
+      file.mimetype = detected;
+    }
+  }
+
+  if (contentErrors.length > 0) {
+    return rejectFiles(res, 'INVALID_FILE_CONTENT', 'Uploaded file content does not match its type', contentErrors);
+  }
+
+  const infected = [];
+
+  for (const file of files) {
+    let result;
+
+    try {
+      result = await scanFile(file.path);
+    } catch (error) {
+      console.error('File scan failed:', error.message);
+      throw new AppError('Uploaded files could not be checked for viruses. Please try again later.', 503, 'FILE_SCAN_UNAVAILABLE');
+    }
+
+    if (!result.clean) {
+      console.warn(`Rejected ${file.fieldname} upload ${file.filename}: ${result.threat}`);
+      infected.push({
+        field: file.fieldname,
+        message: `${file.originalname} was rejected by the virus scanner`
+      });
+    }
+  }
+
+  if (infected.length > 0) {
+    return rejectFiles(res, 'INFECTED_FILE', 'Uploaded files were rejected by the virus scanner', infected);
+  }
+
+  next();
+});
+
+// Runs after verifyUploads: checks the passport photo's size, proportions and
+// background, then stages a thumbnail beside it as a photo_thumbnail upload
+// so it is promoted and recorded together with the other files
+const verifyPassportPhoto = catchAsync(async (req, res, next) => {
+  const photo = req.files && req.files.photo && req.files.photo[0];
+
+  if (!photo) {
+    return next();
+  }
+
+  let inspection;
+
+  try {
+    inspection = await inspectPhoto(photo.path, photo.size);
+  } catch (error) {
+    inspection = { errors: [`${photo.originalname} could not be read as an image`] };
+  }
+
+  if (inspection.errors.length > 0) {
+    return rejectFiles(res, 'PHOTO_NOT_COMPLIANT', 'Photo does not meet the passport photo requirements',
+      inspection.errors.map(message => ({ field: 'photo', message })));
+  }
+
+  const filename = `${path.parse(photo.filename).name}-thumbnail.jpg`;
+  const thumbnailPath = path.join(photo.destination, filename);
+  const { size } = await createThumbnail(photo.path, thumbnailPath);
+
+  req.files.photo_thumbnail = [{
+    fieldname: 'photo_thumbnail',
+    originalname: 'photo-thumbnail.jpg',
+    destination: photo.destination,
+    filename,
+    path: thumbnailPath,
+    mimetype: 'image/jpeg',
+    size
+  }];
+
+  next();
+});
+
+module.exports = {
+  verifyUploads,
+  verifyPassportPhoto
+};
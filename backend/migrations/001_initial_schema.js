@@ -0,0 +1,135 @@
+// 001 The tables previously created by createTables() in config/database.js.
+// IF NOT EXISTS lets this run against databases created before migrations.
+// Column types that differ between SQLite and PostgreSQL come from the dialect.
+
+const tables = ({ primaryKey, timestamp }) => [
+  // Visa applications table
+  `CREATE TABLE IF NOT EXISTS visa_applications (
+    id ${primaryKey},
+    application_id TEXT UNIQUE NOT NULL,
+    full_name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    phone TEXT NOT NULL,
+    nationality TEXT NOT NULL,
+    passport_number TEXT NOT NULL,
+    visa_type TEXT NOT NULL,
+    purpose_of_visit TEXT NOT NULL,
+    duration_of_stay INTEGER NOT NULL,
+    arrival_date TEXT NOT NULL,
+    departure_date TEXT NOT NULL,
+    accommodation_details TEXT,
+    sponsor_information TEXT,
+    previous_uae_visit TEXT,
+    criminal_record TEXT,
+    medical_conditions TEXT,
+    emergency_contact_name TEXT,
+    emergency_contact_phone TEXT,
+    emergency_contact_relationship TEXT,
+    passport_copy_path TEXT,
+    photo_path TEXT,
+    cv_path TEXT,
+    additional_documents_path TEXT,
+    status TEXT DEFAULT 'pending',
+    created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+    updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+  )`,
+  
+  // Contact messages table
+  `CREATE TABLE IF NOT EXISTS contact_messages (
+    id ${primaryKey},
+    message_id TEXT UNIQUE NOT NULL,
+    full_name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    phone TEXT,
+    inquiry_type TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    message TEXT NOT NULL,
+    preferred_contact TEXT DEFAULT 'email',
+    urgency_level TEXT DEFAULT 'medium',
+    newsletter_subscription BOOLEAN DEFAULT false,
+    status TEXT DEFAULT 'new',
+    created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+    updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+  )`,
+  
+  // Feedback table
+  `CREATE TABLE IF NOT EXISTS feedback (
+    id ${primaryKey},
+    feedback_id TEXT UNIQUE NOT NULL,
+    full_name TEXT NOT NULL,
+    email TEXT NOT NULL,
+    phone TEXT,
+    visa_type TEXT,
+    service_rating INTEGER NOT NULL CHECK (service_rating >= 1 AND service_rating <= 5),
+    would_recommend TEXT NOT NULL,
+    feedback_title TEXT NOT NULL,
+    feedback_message TEXT NOT NULL,
+    aspects_impressed TEXT,
+    allow_public_display BOOLEAN DEFAULT false,
+    allow_contact BOOLEAN DEFAULT false,
+    status TEXT DEFAULT 'pending',
+    is_featured BOOLEAN DEFAULT false,
+    created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+    updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+  )`,
+  
+  // Newsletter subscriptions table
+  `CREATE TABLE IF NOT EXISTS newsletter_subscriptions (
+    id ${primaryKey},
+    email TEXT UNIQUE NOT NULL,
+    full_name TEXT,
+    subscription_date ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+    is_active BOOLEAN DEFAULT true,
+    unsubscribe_token TEXT UNIQUE,
+    created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+    updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+  )`,
+  
+  // Application status tracking
+  `CREATE TABLE IF NOT EXISTS application_status_log (
+    id ${primaryKey},
+    application_id TEXT NOT NULL,
+    old_status TEXT,
+    new_status TEXT NOT NULL,
+    notes TEXT,
+    changed_by TEXT DEFAULT 'system',
+    created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (application_id) REFERENCES visa_applications (application_id)
+  )`,
+
+  // Staff accounts for the admin endpoints
+  `CREATE TABLE IF NOT EXISTS staff_users (
+    id ${primaryKey},
+    email TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    full_name TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'case_officer',
+    is_active BOOLEAN DEFAULT true,
+    last_login_at ${timestamp},
+    created_at ${timestamp} DEFAULT CURRENT_TIMESTAMP,
+    updated_at ${timestamp} DEFAULT CURRENT_TIMESTAMP
+  )`
+];
+
+module.exports = {
+  async up({ runQuery, dialect }) {
+    for (const sql of tables(dialect)) {
+      await runQuery(sql);
+    }
+  },
+
+  async down({ runQuery }) {
+    const tables = [
+      'staff_users',
+      'application_status_log',
+      'newsletter_subscriptions',
+      'feedback',
+      'contact_messages',
+      'visa_applications'
+    ];
+
+    for (const table of tables) {
+      await runQuery(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
@@ -0,0 +1,23 @@
+// 002 Full applicant profile from the visa application form
+
+const COLUMNS = [
+  'first_name', 'last_name', 'date_of_birth', 'gender', 'marital_status',
+  'place_of_birth', 'occupation', 'address', 'city', 'country',
+  'passport_issue_date', 'passport_expiry_date', 'passport_issue_place',
+  'company_name', 'company_address', 'hotel_name', 'tour_operator',
+  'relative_name', 'relative_relation', 'sponsor_name', 'sponsor_phone', 'sponsor_address'
+];
+
+module.exports = {
+  async up({ addColumn }) {
+    for (const column of COLUMNS) {
+      await addColumn('visa_applications', column, 'TEXT');
+    }
+  },
+
+  async down({ dropColumn }) {
+    for (const column of COLUMNS) {
+      await dropColumn('visa_applications', column);
+    }
+  }
+};
@@ -0,0 +1,46 @@
+// 003 Columns the contact, feedback and newsletter routes use but that the
+// original schema never created
+
+module.exports = {
+  async up({ runQuery, addColumn, dialect }) {
+    await addColumn('contact_messages', 'admin_notes', 'TEXT');
+
+    await addColumn('feedback', 'feedback_type', "TEXT DEFAULT 'general'");
+    await addColumn('feedback', 'service_used', 'TEXT');
+    await addColumn('feedback', 'application_id', 'TEXT');
+    await addColumn('feedback', 'admin_notes', 'TEXT');
+
+    // status replaces is_active; both are kept in step by the routes
+    await addColumn('newsletter_subscriptions', 'subscription_id', 'TEXT');
+    await addColumn('newsletter_subscriptions', 'status', "TEXT DEFAULT 'active'");
+    await addColumn('newsletter_subscriptions', 'preferences', "TEXT DEFAULT '[]'");
+
+    await runQuery(`
+      UPDATE newsletter_subscriptions
+      SET status = CASE WHEN is_active THEN 'active' ELSE 'unsubscribed' END
+    `);
+    await runQuery(`
+      UPDATE newsletter_subscriptions
+      SET subscription_id = 'NL-' || ${dialect.epochMillis('created_at')} || '-' || ${dialect.randomHex(3)}
+      WHERE subscription_id IS NULL
+    `);
+    await runQuery(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_newsletter_subscription_id
+      ON newsletter_subscriptions (subscription_id)
+    `);
+  },
+
+  async down({ runQuery, dropColumn }) {
+    await runQuery('DROP INDEX IF EXISTS idx_newsletter_subscription_id');
+    await dropColumn('newsletter_subscriptions', 'preferences');
+    await dropColumn('newsletter_subscriptions', 'status');
+    await dropColumn('newsletter_subscriptions', 'subscription_id');
+
+    await dropColumn('feedback', 'admin_notes');
+    await dropColumn('feedback', 'application_id');
+    await dropColumn('feedback', 'service_used');
+    await dropColumn('feedback', 'feedback_type');
+
+    await dropColumn('contact_messages', 'admin_notes');
+  }
+};
@@ -0,0 +1,58 @@
+// 004 One row per uploaded file so documents can be listed and served by ID
+// instead of by their filename under a public /uploads URL
+
+const { v4: uuidv4 } = require('uuid');
+
+const PATH_COLUMNS = {
+  passport_copy: 'passport_copy_path',
+  photo: 'photo_path',
+  cv: 'cv_path',
+  additional_documents: 'additional_documents_path'
+};
+
+module.exports = {
+  async up({ runQuery, getRows, dialect }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS application_documents (
+        id ${dialect.primaryKey},
+        document_id TEXT UNIQUE NOT NULL,
+        application_id TEXT NOT NULL,
+        document_type TEXT NOT NULL,
+        stored_name TEXT NOT NULL,
+        original_name TEXT,
+        mime_type TEXT,
+        size_bytes INTEGER,
+        created_at ${dialect.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (application_id) REFERENCES visa_applications (application_id)
+      )
+    `);
+    await runQuery(`
+      CREATE INDEX IF NOT EXISTS idx_application_documents_application_id
+      ON application_documents (application_id)
+    `);
+
+    // Existing applications only have filenames in the *_path columns
+    const applications = await getRows(`
+      SELECT application_id, created_at, ${Object.values(PATH_COLUMNS).join(', ')}
+      FROM visa_applications
+    `);
+
+    for (const application of applications) {
+      for (const [documentType, column] of Object.entries(PATH_COLUMNS)) {
+        const storedNames = (application[column] || '').split(',').filter(Boolean);
+
+        for (const storedName of storedNames) {
+          await runQuery(`
+            INSERT INTO application_documents (document_id, application_id, document_type, stored_name, created_at)
+            VALUES (?, ?, ?, ?, ?)
+          `, [uuidv4(), application.application_id, documentType, storedName, application.created_at]);
+        }
+      }
+    }
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP INDEX IF EXISTS idx_application_documents_application_id');
+    await runQuery('DROP TABLE IF EXISTS application_documents');
+  }
+};
@@ -0,0 +1,27 @@
+// 005 Record of what the retention purge job removed
+
+module.exports = {
+  async up({ runQuery, dialect }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS purge_log (
+        id ${dialect.primaryKey},
+        run_id TEXT NOT NULL,
+        entity TEXT NOT NULL,
+        status TEXT NOT NULL,
+        retention_months INTEGER NOT NULL,
+        cutoff TEXT NOT NULL,
+        records_removed INTEGER NOT NULL,
+        files_removed INTEGER NOT NULL DEFAULT 0,
+        record_ids TEXT NOT NULL,
+        triggered_by TEXT NOT NULL DEFAULT 'system',
+        created_at ${dialect.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_purge_log_run_id ON purge_log (run_id)');
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP INDEX IF EXISTS idx_purge_log_run_id');
+    await runQuery('DROP TABLE IF EXISTS purge_log');
+  }
+};
@@ -0,0 +1,25 @@
+// 006 Applicant requests for a copy of their data or for its erasure
+
+module.exports = {
+  async up({ runQuery, dialect }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS privacy_requests (
+        id ${dialect.primaryKey},
+        request_id TEXT UNIQUE NOT NULL,
+        request_type TEXT NOT NULL,
+        email TEXT,
+        token_hash TEXT UNIQUE NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        expires_at ${dialect.timestamp} NOT NULL,
+        completed_at ${dialect.timestamp},
+        summary TEXT,
+        created_at ${dialect.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${dialect.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP TABLE IF EXISTS privacy_requests');
+  }
+};
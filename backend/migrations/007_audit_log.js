@@ -0,0 +1,69 @@
+// 007 Append-only record of staff reads of applicant data and of every write
+
+// Triggers reject UPDATE and DELETE so entries cannot be altered through the
+// application's database user
+const APPEND_ONLY = {
+  sqlite: [
+    `CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+     BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`,
+    `CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+     BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`
+  ],
+  postgres: [
+    `CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+     BEGIN RAISE EXCEPTION 'audit_log is append-only'; END;
+     $$ LANGUAGE plpgsql`,
+    'DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log',
+    `CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+     FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()`
+  ]
+};
+
+const DROP_APPEND_ONLY = {
+  sqlite: [
+    'DROP TRIGGER IF EXISTS audit_log_no_update',
+    'DROP TRIGGER IF EXISTS audit_log_no_delete'
+  ],
+  postgres: [
+    'DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log',
+    'DROP FUNCTION IF EXISTS audit_log_append_only()'
+  ]
+};
+
+module.exports = {
+  async up({ runQuery, dialect }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id ${dialect.primaryKey},
+        actor TEXT NOT NULL,
+        actor_role TEXT,
+        ip_address TEXT,
+        method TEXT NOT NULL,
+        path TEXT NOT NULL,
+        entity TEXT NOT NULL,
+        entity_id TEXT,
+        action TEXT NOT NULL,
+        changes TEXT,
+        status_code INTEGER,
+        created_at ${dialect.timestamp} DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity, entity_id)');
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor)');
+    await runQuery('CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at)');
+
+    for (const sql of APPEND_ONLY[dialect.name]) {
+      await runQuery(sql);
+    }
+  },
+
+  async down({ runQuery, dialect }) {
+    for (const sql of DROP_APPEND_ONLY[dialect.name]) {
+      await runQuery(sql);
+    }
+    await runQuery('DROP INDEX IF EXISTS idx_audit_log_created_at');
+    await runQuery('DROP INDEX IF EXISTS idx_audit_log_actor');
+    await runQuery('DROP INDEX IF EXISTS idx_audit_log_entity');
+    await runQuery('DROP TABLE IF EXISTS audit_log');
+  }
+};
@@ -0,0 +1,92 @@
+// 008 Full-text search: a passport number blind index on visa_applications
+// and, on SQLite, FTS5 tables kept in sync with their source tables by triggers
+
+const { blindIndex } = require('../utils/fieldEncryption');
+
+// FTS5 table -> source table and the columns it indexes
+const SEARCH_TABLES = {
+  search_visa_applications: {
+    source: 'visa_applications',
+    columns: ['full_name', 'email', 'passport_number_hash']
+  },
+  search_contact_messages: {
+    source: 'contact_messages',
+    columns: ['full_name', 'email', 'subject', 'message']
+  },
+  search_feedback: {
+    source: 'feedback',
+    columns: ['full_name', 'email', 'feedback_title', 'feedback_message']
+  }
+};
+
+function values(prefix, columns) {
+  return [`${prefix}.id`, ...columns.map(column => `${prefix}.${column}`)].join(', ');
+}
+
+function searchTableStatements(name, { source, columns }) {
+  const columnList = ['rowid', ...columns].join(', ');
+
+  return [
+    `CREATE VIRTUAL TABLE IF NOT EXISTS ${name} USING fts5(
+       ${columns.join(', ')},
+       content='${source}', content_rowid='id'
+     )`,
+    `CREATE TRIGGER IF NOT EXISTS ${name}_insert AFTER INSERT ON ${source} BEGIN
+       INSERT INTO ${name} (${columnList}) VALUES (${values('new', columns)});
+     END`,
+    `CREATE TRIGGER IF NOT EXISTS ${name}_delete AFTER DELETE ON ${source} BEGIN
+       INSERT INTO ${name} (${name}, ${columnList}) VALUES ('delete', ${values('old', columns)});
+     END`,
+    `CREATE TRIGGER IF NOT EXISTS ${name}_update AFTER UPDATE OF ${columns.join(', ')} ON ${source} BEGIN
+       INSERT INTO ${name} (${name}, ${columnList}) VALUES ('delete', ${values('old', columns)});
+       INSERT INTO ${name} (${columnList}) VALUES (${values('new', columns)});
+     END`,
+    // Index the rows that already exist
+    `INSERT INTO ${name} (${name}) VALUES ('rebuild')`
+  ];
+}
+
+module.exports = {
+  async up({ runQuery, getRows, addColumn, dialect }) {
+    await addColumn('visa_applications', 'passport_number_hash', 'TEXT');
+    await runQuery(`
+      CREATE INDEX IF NOT EXISTS idx_visa_applications_passport_number_hash
+      ON visa_applications (passport_number_hash)
+    `);
+
+    // passport_number comes back decrypted
+    const applications = await getRows(`
+      SELECT id, passport_number FROM visa_applications WHERE passport_number_hash IS NULL
+    `);
+    for (const application of applications) {
+      await runQuery('UPDATE visa_applications SET passport_number_hash = ? WHERE id = ?', [
+        blindIndex(application.passport_number), application.id
+      ]);
+    }
+
+    // PostgreSQL has no FTS5; migration 013 indexes it its own way
+    if (dialect.name !== 'sqlite') {
+      return;
+    }
+
+    for (const [name, table] of Object.entries(SEARCH_TABLES)) {
+      for (const sql of searchTableStatements(name, table)) {
+        await runQuery(sql);
+      }
+    }
+  },
+
+  async down({ runQuery, dropColumn, dialect }) {
+    if (dialect.name === 'sqlite') {
+      for (const name of Object.keys(SEARCH_TABLES)) {
+        await runQuery(`DROP TRIGGER IF EXISTS ${name}_insert`);
+        await runQuery(`DROP TRIGGER IF EXISTS ${name}_delete`);
+        await runQuery(`DROP TRIGGER IF EXISTS ${name}_update`);
+        await runQuery(`DROP TABLE IF EXISTS ${name}`);
+      }
+    }
+
+    await runQuery('DROP INDEX IF EXISTS idx_visa_applications_passport_number_hash');
+    await dropColumn('visa_applications', 'passport_number_hash');
+  }
+};
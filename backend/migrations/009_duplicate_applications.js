@@ -0,0 +1,19 @@
+// 009 Flags for applications that conflict with an earlier one (same
+// passport and visa type, overlapping travel dates)
+
+module.exports = {
+  async up({ runQuery, addColumn }) {
+    await addColumn('visa_applications', 'is_flagged_duplicate', 'BOOLEAN DEFAULT false');
+    await addColumn('visa_applications', 'duplicate_of', 'TEXT');
+    await runQuery(`
+      CREATE INDEX IF NOT EXISTS idx_visa_applications_flagged_duplicate
+      ON visa_applications (is_flagged_duplicate)
+    `);
+  },
+
+  async down({ runQuery, dropColumn }) {
+    await runQuery('DROP INDEX IF EXISTS idx_visa_applications_flagged_duplicate');
+    await dropColumn('visa_applications', 'duplicate_of');
+    await dropColumn('visa_applications', 'is_flagged_duplicate');
+  }
+};
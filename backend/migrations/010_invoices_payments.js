@@ -0,0 +1,59 @@
+// 010 Application fee invoices and the payments made against them. Amounts
+// are in the invoice currency; items is the quote's line items as JSON.
+
+module.exports = {
+  async up({ runQuery, dialect }) {
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS invoices (
+        id ${dialect.primaryKey},
+        invoice_id TEXT UNIQUE NOT NULL,
+        application_id TEXT NOT NULL,
+        currency TEXT NOT NULL,
+        items TEXT NOT NULL,
+        subtotal NUMERIC(10, 2) NOT NULL,
+        vat NUMERIC(10, 2) NOT NULL,
+        total NUMERIC(10, 2) NOT NULL,
+        status TEXT NOT NULL DEFAULT 'unpaid',
+        paid_at ${dialect.timestamp},
+        created_at ${dialect.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${dialect.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (application_id) REFERENCES visa_applications (application_id)
+      )
+    `);
+    await runQuery(`
+      CREATE INDEX IF NOT EXISTS idx_invoices_application_id
+      ON invoices (application_id)
+    `);
+
+    await runQuery(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id ${dialect.primaryKey},
+        payment_id TEXT UNIQUE NOT NULL,
+        invoice_id TEXT NOT NULL,
+        application_id TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        provider_reference TEXT NOT NULL,
+        amount NUMERIC(10, 2) NOT NULL,
+        currency TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        failure_reason TEXT,
+        completed_at ${dialect.timestamp},
+        created_at ${dialect.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        updated_at ${dialect.timestamp} DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (provider, provider_reference),
+        FOREIGN KEY (invoice_id) REFERENCES invoices (invoice_id)
+      )
+    `);
+    await runQuery(`
+      CREATE INDEX IF NOT EXISTS idx_payments_invoice_id
+      ON payments (invoice_id)
+    `);
+  },
+
+  async down({ runQuery }) {
+    await runQuery('DROP INDEX IF EXISTS idx_payments_invoice_id');
+    await runQuery('DROP TABLE IF EXISTS payments');
+    await runQuery('DROP INDEX IF EXISTS idx_invoices_application_id');
+    await runQuery('DROP TABLE IF EXISTS invoices');
+  }
+};
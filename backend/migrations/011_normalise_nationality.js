@@ -0,0 +1,21 @@
+// 011 Store nationality as an ISO 3166 alpha-2 code. Earlier applications
+// kept whatever the form sent ("UK", "Indian", "india"); values that can't be
+// matched to a country are left as they are.
+
+const { normaliseNationality } = require('../utils/countries');
+
+module.exports = {
+  async up({ runQuery, getRows }) {
+    const rows = await getRows('SELECT DISTINCT nationality FROM visa_applications WHERE nationality IS NOT NULL');
+
+    for (const { nationality } of rows) {
+      const code = normaliseNationality(nationality);
+      if (code && code !== nationality) {
+        await runQuery('UPDATE visa_applications SET nationality = ? WHERE nationality = ?', [code, nationality]);
+      }
+    }
+  },
+
+  // The original spellings aren't kept, so there is nothing to restore
+  async down() {}
+};
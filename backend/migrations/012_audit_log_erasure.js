@@ -0,0 +1,61 @@
+// 012 Let erasure requests clear applicant data from audit_log entries
+
+// audit_log stays append-only except for one kind of UPDATE: clearing
+// ip_address and/or changes (set to NULL) with every other column unchanged.
+// eraseApplicantData() uses it for entries about an erased applicant's
+// records; who did what to which record, and when, is kept.
+const KEPT_COLUMNS = ['id', 'actor', 'actor_role', 'method', 'path', 'entity', 'entity_id', 'action', 'status_code', 'created_at'];
+
+const ALLOW_REDACTION = {
+  sqlite: [
+    'DROP TRIGGER IF EXISTS audit_log_no_update',
+    `CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+     WHEN ${KEPT_COLUMNS.map(column => `NEW.${column} IS NOT OLD.${column}`).join(' OR ')}
+       OR (NEW.ip_address IS NOT NULL AND NEW.ip_address IS NOT OLD.ip_address)
+       OR (NEW.changes IS NOT NULL AND NEW.changes IS NOT OLD.changes)
+     BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`
+  ],
+  postgres: [
+    `CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+     BEGIN
+       IF TG_OP = 'UPDATE'
+         AND (${KEPT_COLUMNS.map(column => `NEW.${column}`).join(', ')})
+           IS NOT DISTINCT FROM (${KEPT_COLUMNS.map(column => `OLD.${column}`).join(', ')})
+         AND (NEW.ip_address IS NULL OR NEW.ip_address IS NOT DISTINCT FROM OLD.ip_address)
+         AND (NEW.changes IS NULL OR NEW.changes IS NOT DISTINCT FROM OLD.changes)
+       THEN
+         RETURN NEW;
+       END IF;
+       RAISE EXCEPTION 'audit_log is append-only';
+     END;
+     $$ LANGUAGE plpgsql`
+  ]
+};
+
+// Back to the triggers of migrations/007
+const APPEND_ONLY = {
+  sqlite: [
+    'DROP TRIGGER IF EXISTS audit_log_no_update',
+    `CREATE TRIGGER audit_log_no_update BEFORE UPDATE ON audit_log
+     BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END`
+  ],
+  postgres: [
+    `CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+     BEGIN RAISE EXCEPTION 'audit_log is append-only'; END;
+     $$ LANGUAGE plpgsql`
+  ]
+};
+
+module.exports = {
+  async up({ runQuery, dialect }) {
+    for (const sql of ALLOW_REDACTION[dialect.name]) {
+      await runQuery(sql);
+    }
+  },
+
+  async down({ runQuery, dialect }) {
+    for (const sql of APPEND_ONLY[dialect.name]) {
+      await runQuery(sql);
+    }
+  }
+};
@@ -0,0 +1,37 @@
+// 013 Full-text search on PostgreSQL: a GIN index per search type over the
+// tsvector expression utils/search.js queries
+
+// An expression index rather than a stored tsvector column, which would come
+// back from every SELECT * (API responses, privacy exports). The index stays
+// in step with its table without triggers. SQLite uses the FTS5 tables of
+// migration 008 instead.
+const { SEARCH_TYPES, textVector } = require('../utils/search');
+
+function indexName(type) {
+  return `idx_${SEARCH_TYPES[type].table}_search`;
+}
+
+module.exports = {
+  async up({ runQuery, dialect }) {
+    if (dialect.name !== 'postgres') {
+      return;
+    }
+
+    for (const type of Object.keys(SEARCH_TYPES)) {
+      await runQuery(`
+        CREATE INDEX IF NOT EXISTS ${indexName(type)}
+        ON ${SEARCH_TYPES[type].table} USING GIN ((${textVector(type)}))
+      `);
+    }
+  },
+
+  async down({ runQuery, dialect }) {
+    if (dialect.name !== 'postgres') {
+      return;
+    }
+
+    for (const type of Object.keys(SEARCH_TYPES)) {
+      await runQuery(`DROP INDEX IF EXISTS ${indexName(type)}`);
+    }
+  }
+};
@@ -0,0 +1,217 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const { getRow, getRows } = require('../config/database');
+const { catchAsync, AppError, handleValidationErrors } = require('../middleware/errorHandler');
+const { protect, requirePermission, hasPermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { PERMISSIONS } = require('../config/roles');
+const { getRetentionPolicy } = require('../config/retention');
+const { purgeExpiredRecords } = require('../utils/dataRetention');
+const { SEARCH_TYPES, search } = require('../utils/search');
+const moment = require('moment');
+
+const router = express.Router();
+
+router.use(protect);
+
+const canManageRetention = requirePermission(PERMISSIONS.DATA_RETENTION);
+
+// Search result types and the permission needed to see each
+const SEARCH_PERMISSIONS = {
+  visa_application: PERMISSIONS.VISA_READ,
+  contact_message: PERMISSIONS.CONTACT_READ,
+  feedback: PERMISSIONS.FEEDBACK_READ
+};
+
+// Retention periods in effect, in months (null = kept forever)
+router.get('/retention', canManageRetention, (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      policy: getRetentionPolicy()
+    }
+  });
+});
+
+// Run the purge now. Defaults to a dry run; send dry_run: false to delete.
+router.post('/retention/purge',
+  canManageRetention,
+  auditTrail('retention', 'purge'),
+  body('dry_run')
+    .optional()
+    .isBoolean()
+    .withMessage('dry_run must be true or false')
+    .toBoolean(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const dryRun = req.body.dry_run !== false;
+
+    const result = await purgeExpiredRecords({
+      dryRun,
+      triggeredBy: req.user.email
+    });
+
+    res.status(200).json({
+      status: 'success',
+      message: dryRun
+        ? `Dry run: ${result.records_removed} record(s) and ${result.files_removed} file(s) would be removed`
+        : `Removed ${result.records_removed} record(s) and ${result.files_removed} file(s)`,
+      data: result
+    });
+  })
+);
+
+// Purge history, newest first
+router.get('/retention/log', canManageRetention, catchAsync(async (req, res) => {
+  const { page = 1, limit = 50, entity } = req.query;
+  const offset = (page - 1) * limit;
+  const params = [];
+  let whereClause = '';
+
+  if (entity) {
+    whereClause = ' WHERE entity = ?';
+    params.push(entity);
+  }
+
+  const entries = await getRows(`
+    SELECT run_id, entity, status, retention_months, cutoff, records_removed,
+           files_removed, record_ids, triggered_by, created_at
+    FROM purge_log
+    ${whereClause}
+    ORDER BY id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, parseInt(limit), parseInt(offset)]);
+
+  const totalResult = await getRow(`
+    SELECT COUNT(*) as total FROM purge_log ${whereClause}
+  `, params);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      entries: entries.map(entry => ({
+        ...entry,
+        record_ids: JSON.parse(entry.record_ids)
+      })),
+      pagination: {
+        current_page: parseInt(page),
+        per_page: parseInt(limit),
+        total: totalResult.total,
+        total_pages: Math.ceil(totalResult.total / limit)
+      }
+    }
+  });
+}));
+
+// Ranked full-text search across applications, contact messages and
+// feedback, limited to the types the staff member may read
+router.get('/search',
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Search query must be between 2 and 200 characters'),
+  query('types')
+    .optional()
+    .custom(value => value.split(',').every(type => SEARCH_TYPES[type]))
+    .withMessage(`types must be a comma-separated list of: ${Object.keys(SEARCH_TYPES).join(', ')}`),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('limit must be between 1 and 100'),
+  handleValidationErrors,
+  auditTrail('search', 'search'),
+  catchAsync(async (req, res) => {
+    const { q, limit = 20 } = req.query;
+    const requested = req.query.types ? req.query.types.split(',') : Object.keys(SEARCH_TYPES);
+    const types = requested.filter(type => hasPermission(req.user, SEARCH_PERMISSIONS[type]));
+
+    if (types.length === 0) {
+      throw new AppError('You do not have permission to perform this action', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    const { totals, results } = await search(q, { types, limit: parseInt(limit) });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        query: q,
+        types,
+        totals,
+        results
+      }
+    });
+  })
+);
+
+// Audit trail of staff actions, newest first, filtered by any of actor,
+// entity, entity_id, action and a created_at range (from/to, inclusive dates)
+router.get('/audit-log',
+  requirePermission(PERMISSIONS.AUDIT_READ),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a date (YYYY-MM-DD)'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a date (YYYY-MM-DD)'),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { page = 1, limit = 50, actor, entity, entity_id, action, from, to } = req.query;
+    const offset = (page - 1) * limit;
+    const conditions = [];
+    const params = [];
+
+    const filters = { actor, entity, entity_id, action };
+    for (const [column, value] of Object.entries(filters)) {
+      if (value) {
+        conditions.push(`${column} = ?`);
+        params.push(value);
+      }
+    }
+
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(moment.utc(from).format('YYYY-MM-DD HH:mm:ss'));
+    }
+
+    if (to) {
+      conditions.push('created_at < ?');
+      params.push(moment.utc(to).add(1, 'day').format('YYYY-MM-DD'));
+    }
+
+    const whereClause = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+
+    const entries = await getRows(`
+      SELECT id, actor, actor_role, ip_address, method, path, entity, entity_id,
+             action, changes, status_code, created_at
+      FROM audit_log
+      ${whereClause}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `, [...params, parseInt(limit), parseInt(offset)]);
+
+    const totalResult = await getRow(`
+      SELECT COUNT(*) as total FROM audit_log ${whereClause}
+    `, params);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        entries: entries.map(entry => ({
+          ...entry,
+          changes: entry.changes ? JSON.parse(entry.changes) : null
+        })),
+        pagination: {
+          current_page: parseInt(page),
+          per_page: parseInt(limit),
+          total: totalResult.total,
+          total_pages: Math.ceil(totalResult.total / limit)
+        },
+        filters: { actor, entity, entity_id, action, from, to }
+      }
+    });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,100 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const rateLimit = require('express-rate-limit');
+const { body } = require('express-validator');
+const { runQuery, getRow } = require('../config/database');
+const { catchAsync, AppError, handleValidationErrors } = require('../middleware/errorHandler');
+const { protect, signToken } = require('../middleware/auth');
+const { getPermissionsForRole } = require('../config/roles');
+
+const router = express.Router();
+
+// Compared against when the email is unknown so both paths take the same time
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
+
+// Stricter rate limit for login attempts
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
+  message: {
+    error: 'Too many login attempts from this IP, please try again later.',
+    retryAfter: '15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Staff login
+router.post('/login',
+  loginLimiter,
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Please provide a valid email address')
+    .toLowerCase(),
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { email, password } = req.body;
+
+    const staff = await getRow(`
+      SELECT id, email, full_name, role, password_hash, is_active
+      FROM staff_users
+      WHERE email = ?
+    `, [email]);
+
+    const passwordMatches = await bcrypt.compare(password, staff ? staff.password_hash : DUMMY_PASSWORD_HASH);
+
+    if (!staff || !passwordMatches) {
+      throw new AppError('Incorrect email or password', 401, 'INVALID_CREDENTIALS');
+    }
+
+    if (!staff.is_active) {
+      throw new AppError('This staff account has been disabled', 403, 'ACCOUNT_DISABLED');
+    }
+
+    await runQuery(`
+      UPDATE staff_users
+      SET last_login_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [staff.id]);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Logged in successfully',
+      data: {
+        token: signToken(staff),
+        token_type: 'Bearer',
+        expires_in: process.env.JWT_EXPIRES_IN || '7d',
+        staff: {
+          id: staff.id,
+          email: staff.email,
+          full_name: staff.full_name,
+          role: staff.role,
+          permissions: getPermissionsForRole(staff.role)
+        }
+      }
+    });
+  })
+);
+
+// Current staff account
+router.get('/me', protect, (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      staff: {
+        id: req.user.id,
+        email: req.user.email,
+        full_name: req.user.full_name,
+        role: req.user.role,
+        permissions: getPermissionsForRole(req.user.role)
+      }
+    }
+  });
+});
+
+module.exports = router;
@@ -1,56 +1,19 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { runQuery, getRows } = require('../config/database');
+const { runQuery, getRows, getRow, dialect } = require('../config/database');
 const { catchAsync, AppError, handleValidationErrors } = require('../middleware/errorHandler');
+const { protect, requirePermission } = require('../middleware/auth');
+const { auditTrail, recordChanges } = require('../middleware/audit');
+const { PERMISSIONS } = require('../config/roles');
 const { sendEmail } = require('../utils/emailService');
+const { rulesets } = require('../utils/validation');
 const moment = require('moment');
 
 const router = express.Router();
 
-// Validation rules for contact form
-const contactValidationRules = [
-  body('name')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Name must be between 2 and 100 characters')
-    .matches(/^[a-zA-Z\s'-]+$/)
-    .withMessage('Name can only contain letters, spaces, hyphens, and apostrophes'),
-  
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email address'),
-  
-  body('phone')
-    .optional()
-    .trim()
-    .matches(/^[+]?[1-9]\d{1,14}$/)
-    .withMessage('Please provide a valid phone number'),
-  
-  body('subject')
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Subject must be between 5 and 200 characters'),
-  
-  body('message')
-    .trim()
-    .isLength({ min: 10, max: 2000 })
-    .withMessage('Message must be between 10 and 2000 characters'),
-  
-  body('inquiry_type')
-    .optional()
-    .isIn(['general', 'visa_inquiry', 'application_status', 'technical_support', 'complaint', 'suggestion'])
-    .withMessage('Please select a valid inquiry type'),
-  
-  body('preferred_contact_method')
-    .optional()
-    .isIn(['email', 'phone', 'both'])
-    .withMessage('Please select a valid contact method')
-];
-
 // Submit contact form
 router.post('/', 
-  contactValidationRules,
+  rulesets.contactForm,
   handleValidationErrors,
   catchAsync(async (req, res) => {
     const {
@@ -136,7 +99,7 @@ router.post('/',
 );
 
 // Get contact messages (admin endpoint)
-router.get('/messages', catchAsync(async (req, res) => {
+router.get('/messages', protect, requirePermission(PERMISSIONS.CONTACT_READ), auditTrail('contact_messages', 'list'), catchAsync(async (req, res) => {
   const { page = 1, limit = 20, status, inquiry_type } = req.query;
   const offset = (page - 1) * limit;
 
@@ -182,7 +145,7 @@ router.get('/messages', catchAsync(async (req, res) => {
 }));
 
 // Get specific contact message (admin endpoint)
-router.get('/messages/:contactId', catchAsync(async (req, res) => {
+router.get('/messages/:contactId', protect, requirePermission(PERMISSIONS.CONTACT_READ), auditTrail('contact_messages', 'read', 'contactId'), catchAsync(async (req, res) => {
   const { contactId } = req.params;
 
   const message = await getRow(`
@@ -203,6 +166,9 @@ router.get('/messages/:contactId', catchAsync(async (req, res) => {
 
 // Update contact message status (admin endpoint)
 router.patch('/messages/:contactId/status', 
+  protect,
+  requirePermission(PERMISSIONS.CONTACT_MANAGE),
+  auditTrail('contact_messages', 'update_status', 'contactId'),
   body('status')
     .isIn(['new', 'in_progress', 'resolved', 'closed'])
     .withMessage('Invalid status'),
@@ -232,6 +198,8 @@ router.patch('/messages/:contactId/status',
       WHERE message_id = ?
     `, [status, notes || null, contactId]);
 
+    recordChanges(req, existingMessage, { status, admin_notes: notes || null });
+
     // Send status update email to user if resolved
     if (status === 'resolved' && existingMessage.email) {
       try {
@@ -265,7 +233,7 @@ router.patch('/messages/:contactId/status',
 );
 
 // Get contact statistics (admin endpoint)
-router.get('/stats', catchAsync(async (req, res) => {
+router.get('/stats', protect, requirePermission(PERMISSIONS.CONTACT_READ), catchAsync(async (req, res) => {
   const stats = await getRows(`
     SELECT 
       status,
@@ -284,11 +252,11 @@ router.get('/stats', catchAsync(async (req, res) => {
 
   const monthlyStats = await getRows(`
     SELECT 
-      strftime('%Y-%m', created_at) as month,
+      ${dialect.month('created_at')} as month,
       COUNT(*) as count
     FROM contact_messages 
-    WHERE created_at >= date('now', '-12 months')
-    GROUP BY strftime('%Y-%m', created_at)
+    WHERE created_at >= ${dialect.dateAgo(12, 'months')}
+    GROUP BY ${dialect.month('created_at')}
     ORDER BY month DESC
   `);
 
@@ -1,63 +1,19 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { runQuery, getRows, getRow } = require('../config/database');
+const { runQuery, getRows, getRow, dialect } = require('../config/database');
 const { catchAsync, AppError, handleValidationErrors } = require('../middleware/errorHandler');
+const { protect, requirePermission } = require('../middleware/auth');
+const { auditTrail, recordChanges } = require('../middleware/audit');
+const { PERMISSIONS } = require('../config/roles');
 const { sendEmail } = require('../utils/emailService');
+const { rulesets } = require('../utils/validation');
 const moment = require('moment');
 
 const router = express.Router();
 
-// Validation rules for feedback form
-const feedbackValidationRules = [
-  body('name')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Name must be between 2 and 100 characters')
-    .matches(/^[a-zA-Z\s'-]+$/)
-    .withMessage('Name can only contain letters, spaces, hyphens, and apostrophes'),
-  
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email address'),
-  
-  body('service_used')
-    .optional()
-    .isIn(['visa_application', 'document_verification', 'consultation', 'status_inquiry', 'other'])
-    .withMessage('Please select a valid service type'),
-  
-  body('rating')
-    .isInt({ min: 1, max: 5 })
-    .withMessage('Rating must be between 1 and 5'),
-  
-  body('feedback_type')
-    .isIn(['compliment', 'complaint', 'suggestion', 'general'])
-    .withMessage('Please select a valid feedback type'),
-  
-  body('subject')
-    .trim()
-    .isLength({ min: 5, max: 200 })
-    .withMessage('Subject must be between 5 and 200 characters'),
-  
-  body('message')
-    .trim()
-    .isLength({ min: 10, max: 2000 })
-    .withMessage('Message must be between 10 and 2000 characters'),
-  
-  body('would_recommend')
-    .isIn(['yes', 'no', 'maybe'])
-    .withMessage('Please specify if you would recommend our services'),
-  
-  body('application_id')
-    .optional()
-    .trim()
-    .matches(/^UAE-\d+-[A-Z0-9]+$/)
-    .withMessage('Please provide a valid application ID if applicable')
-];
-
 // Submit feedback
 router.post('/', 
-  feedbackValidationRules,
+  rulesets.feedbackForm,
   handleValidationErrors,
   catchAsync(async (req, res) => {
     const {
@@ -79,12 +35,13 @@ router.post('/',
     await runQuery(`
       INSERT INTO feedback (
         feedback_id, full_name, email, service_rating, would_recommend,
-        feedback_title, feedback_message, status,
-        created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        feedback_title, feedback_message, feedback_type, service_used,
+        application_id, status, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
      `, [
        feedbackId, name, email, rating, would_recommend,
-       subject, message
+       subject, message, feedback_type, service_used || null,
+       application_id || null
      ]);
 
     // Send confirmation email to user
@@ -146,7 +103,7 @@ router.post('/',
 );
 
 // Get all feedback (admin endpoint)
-router.get('/', catchAsync(async (req, res) => {
+router.get('/', protect, requirePermission(PERMISSIONS.FEEDBACK_READ), auditTrail('feedback', 'list'), catchAsync(async (req, res) => {
   const { 
     page = 1, 
     limit = 20, 
@@ -169,7 +126,7 @@ router.get('/', catchAsync(async (req, res) => {
   }
 
   if (rating) {
-    conditions.push('rating = ?');
+    conditions.push('service_rating = ?');
     params.push(parseInt(rating));
   }
 
@@ -194,8 +151,8 @@ router.get('/', catchAsync(async (req, res) => {
   const sortDirection = validSortOrders.includes(sort_order.toLowerCase()) ? sort_order.toUpperCase() : 'DESC';
 
   const feedback = await getRows(`
-    SELECT feedback_id, name, email, service_used, rating, feedback_type,
-           subject, would_recommend, status, created_at, updated_at
+    SELECT feedback_id, full_name as name, email, service_used, service_rating as rating, feedback_type,
+           feedback_title as subject, would_recommend, status, created_at, updated_at
     FROM feedback
     ${whereClause}
     ORDER BY ${sortColumn} ${sortDirection}
@@ -232,11 +189,13 @@ router.get('/', catchAsync(async (req, res) => {
 }));
 
 // Get specific feedback (admin endpoint)
-router.get('/:feedbackId', catchAsync(async (req, res) => {
+router.get('/:feedbackId', protect, requirePermission(PERMISSIONS.FEEDBACK_READ), auditTrail('feedback', 'read', 'feedbackId'), catchAsync(async (req, res) => {
   const { feedbackId } = req.params;
 
   const feedback = await getRow(`
-    SELECT * FROM feedback WHERE feedback_id = ?
+    SELECT *, full_name as name, service_rating as rating,
+           feedback_title as subject, feedback_message as message
+    FROM feedback WHERE feedback_id = ?
   `, [feedbackId]);
 
   if (!feedback) {
@@ -253,6 +212,9 @@ router.get('/:feedbackId', catchAsync(async (req, res) => {
 
 // Update feedback status (admin endpoint)
 router.patch('/:feedbackId/status', 
+  protect,
+  requirePermission(PERMISSIONS.FEEDBACK_MANAGE),
+  auditTrail('feedback', 'update_status', 'feedbackId'),
   body('status')
     .isIn(['new', 'reviewed', 'responded', 'closed'])
     .withMessage('Invalid status'),
@@ -268,7 +230,7 @@ router.patch('/:feedbackId/status',
 
     // Check if feedback exists
     const existingFeedback = await getRow(`
-      SELECT * FROM feedback WHERE feedback_id = ?
+      SELECT *, full_name as name, feedback_title as subject FROM feedback WHERE feedback_id = ?
     `, [feedbackId]);
 
     if (!existingFeedback) {
@@ -282,6 +244,8 @@ router.patch('/:feedbackId/status',
       WHERE feedback_id = ?
     `, [status, admin_notes || null, feedbackId]);
 
+    recordChanges(req, existingFeedback, { status, admin_notes: admin_notes || null });
+
     // Send response email to user if responded
     if (status === 'responded' && existingFeedback.email && admin_notes) {
       try {
@@ -315,12 +279,12 @@ router.patch('/:feedbackId/status',
 );
 
 // Get feedback statistics (admin endpoint)
-router.get('/stats/overview', catchAsync(async (req, res) => {
+router.get('/stats/overview', protect, requirePermission(PERMISSIONS.FEEDBACK_READ), catchAsync(async (req, res) => {
   // Overall statistics
   const overallStats = await getRow(`
     SELECT 
       COUNT(*) as total_feedback,
-      AVG(rating) as average_rating,
+      AVG(service_rating) as average_rating,
       COUNT(CASE WHEN would_recommend = 'yes' THEN 1 END) as would_recommend_yes,
       COUNT(CASE WHEN would_recommend = 'no' THEN 1 END) as would_recommend_no,
       COUNT(CASE WHEN would_recommend = 'maybe' THEN 1 END) as would_recommend_maybe
@@ -330,11 +294,11 @@ router.get('/stats/overview', catchAsync(async (req, res) => {
   // Rating distribution
   const ratingStats = await getRows(`
     SELECT 
-      rating,
+      service_rating as rating,
       COUNT(*) as count
     FROM feedback 
-    GROUP BY rating
-    ORDER BY rating
+    GROUP BY service_rating
+    ORDER BY service_rating
   `);
 
   // Feedback type breakdown
@@ -342,7 +306,7 @@ router.get('/stats/overview', catchAsync(async (req, res) => {
     SELECT 
       feedback_type,
       COUNT(*) as count,
-      AVG(rating) as avg_rating
+      AVG(service_rating) as avg_rating
     FROM feedback 
     GROUP BY feedback_type
   `);
@@ -352,7 +316,7 @@ router.get('/stats/overview', catchAsync(async (req, res) => {
     SELECT 
       service_used,
       COUNT(*) as count,
-      AVG(rating) as avg_rating
+      AVG(service_rating) as avg_rating
     FROM feedback 
     WHERE service_used IS NOT NULL
     GROUP BY service_used
@@ -361,12 +325,12 @@ router.get('/stats/overview', catchAsync(async (req, res) => {
   // Monthly trends
   const monthlyStats = await getRows(`
     SELECT 
-      strftime('%Y-%m', created_at) as month,
+      ${dialect.month('created_at')} as month,
       COUNT(*) as count,
-      AVG(rating) as avg_rating
+      AVG(service_rating) as avg_rating
     FROM feedback 
-    WHERE created_at >= date('now', '-12 months')
-    GROUP BY strftime('%Y-%m', created_at)
+    WHERE created_at >= ${dialect.dateAgo(12, 'months')}
+    GROUP BY ${dialect.month('created_at')}
     ORDER BY month DESC
   `);
 
@@ -374,9 +338,9 @@ router.get('/stats/overview', catchAsync(async (req, res) => {
   const recentStats = await getRow(`
     SELECT 
       COUNT(*) as recent_count,
-      AVG(rating) as recent_avg_rating
+      AVG(service_rating) as recent_avg_rating
     FROM feedback 
-    WHERE created_at >= date('now', '-7 days')
+    WHERE created_at >= ${dialect.dateAgo(7, 'days')}
   `);
 
   res.status(200).json({
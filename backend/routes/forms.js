@@ -0,0 +1,35 @@
+const express = require('express');
+const { AppError } = require('../middleware/errorHandler');
+const { FORM_SCHEMAS, getFormSchema } = require('../schemas');
+const { compileSchema } = require('../utils/formSchema');
+
+const router = express.Router();
+
+// List the available form schemas
+router.get('/', (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      forms: Object.keys(FORM_SCHEMAS)
+    }
+  });
+});
+
+// Compiled schema for a form; FormHandler validates with these exact rules
+router.get('/:formName/schema', (req, res, next) => {
+  const schema = getFormSchema(req.params.formName);
+
+  if (!schema) {
+    return next(new AppError('Form schema not found', 404, 'FORM_NOT_FOUND'));
+  }
+
+  res.set('Cache-Control', 'public, max-age=300');
+  res.status(200).json({
+    status: 'success',
+    data: {
+      schema: compileSchema(schema)
+    }
+  });
+});
+
+module.exports = router;
@@ -1,9 +1,9 @@
 const express = require('express');
-const { healthCheck } = require('../config/database');
+const { healthCheck, getDriver } = require('../config/database');
 const { catchAsync } = require('../middleware/errorHandler');
+const { UPLOADS_DIR } = require('../utils/uploadStorage');
 const os = require('os');
 const fs = require('fs').promises;
-const path = require('path');
 
 const router = express.Router();
 
@@ -13,10 +13,10 @@ router.get('/', catchAsync(async (req, res) => {
   
   try {
     // Check database health
-    const dbHealth = await healthCheck();
+    await healthCheck();
     
     // Check file system (uploads directory)
-    const uploadsDir = path.join(__dirname, '..', 'uploads');
+    const uploadsDir = UPLOADS_DIR;
     let uploadsWritable = false;
     try {
       await fs.access(uploadsDir, fs.constants.W_OK);
@@ -88,10 +88,10 @@ router.get('/detailed', catchAsync(async (req, res) => {
   
   try {
     // Database health
-    const dbHealth = await healthCheck();
+    await healthCheck();
     
     // Check uploads directory
-    const uploadsDir = path.join(__dirname, '..', 'uploads');
+    const uploadsDir = UPLOADS_DIR;
     let uploadsInfo = {};
     try {
       const stats = await fs.stat(uploadsDir);
@@ -115,11 +115,13 @@ router.get('/detailed', catchAsync(async (req, res) => {
     const envCheck = {
       PORT: !!process.env.PORT,
       NODE_ENV: !!process.env.NODE_ENV,
+      DATABASE_URL: !!process.env.DATABASE_URL,
       DATABASE_PATH: !!process.env.DATABASE_PATH,
       CORS_ORIGIN: !!process.env.CORS_ORIGIN,
       SMTP_HOST: !!process.env.SMTP_HOST,
       SMTP_USER: !!process.env.SMTP_USER,
-      JWT_SECRET: !!process.env.JWT_SECRET
+      JWT_SECRET: !!process.env.JWT_SECRET,
+      FIELD_ENCRYPTION_KEYS: !!process.env.FIELD_ENCRYPTION_KEYS
     };
     
     const responseTime = Date.now() - startTime;
@@ -138,7 +140,7 @@ router.get('/detailed', catchAsync(async (req, res) => {
       services: {
         database: {
           status: 'healthy',
-          type: 'SQLite',
+          type: getDriver().label,
           responseTime: `${responseTime}ms`
         },
         fileSystem: {
@@ -1,39 +1,17 @@
 const express = require('express');
 const { body } = require('express-validator');
-const { runQuery, getRows, getRow } = require('../config/database');
+const { runQuery, getRows, getRow, dialect } = require('../config/database');
 const { catchAsync, AppError, handleValidationErrors } = require('../middleware/errorHandler');
+const { protect, requirePermission } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { PERMISSIONS } = require('../config/roles');
 const { sendEmail } = require('../utils/emailService');
+const { rulesets } = require('../utils/validation');
 const moment = require('moment');
 const crypto = require('crypto');
 
 const router = express.Router();
 
-// Validation rules for newsletter subscription
-const subscriptionValidationRules = [
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email address'),
-  
-  body('name')
-    .optional()
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Name must be between 2 and 100 characters')
-    .matches(/^[a-zA-Z\s'-]+$/)
-    .withMessage('Name can only contain letters, spaces, hyphens, and apostrophes'),
-  
-  body('preferences')
-    .optional()
-    .isArray()
-    .withMessage('Preferences must be an array'),
-  
-  body('preferences.*')
-    .optional()
-    .isIn(['visa_updates', 'policy_changes', 'travel_tips', 'promotions', 'general_news'])
-    .withMessage('Invalid preference option')
-];
-
 // Generate unsubscribe token
 function generateUnsubscribeToken() {
   return crypto.randomBytes(32).toString('hex');
@@ -41,7 +19,7 @@ function generateUnsubscribeToken() {
 
 // Subscribe to newsletter
 router.post('/subscribe', 
-  subscriptionValidationRules,
+  rulesets.newsletterSubscription,
   handleValidationErrors,
   catchAsync(async (req, res) => {
     const { email, name, preferences = [] } = req.body;
@@ -52,7 +30,7 @@ router.post('/subscribe',
     `, [email]);
 
     if (existingSubscription) {
-      if (existingSubscription.is_active) {
+      if (existingSubscription.status === 'active') {
         return res.status(200).json({
           status: 'success',
           message: 'You are already subscribed to our newsletter',
@@ -67,10 +45,10 @@ router.post('/subscribe',
         const unsubscribeToken = generateUnsubscribeToken();
         await runQuery(`
           UPDATE newsletter_subscriptions 
-          SET is_active = true, full_name = ?, 
+          SET status = 'active', is_active = true, full_name = ?, preferences = ?,
               unsubscribe_token = ?, updated_at = CURRENT_TIMESTAMP
           WHERE email = ?
-        `, [name || null, unsubscribeToken, email]);
+        `, [name || null, JSON.stringify(preferences), unsubscribeToken, email]);
 
         // Send reactivation confirmation
         try {
@@ -108,11 +86,11 @@ router.post('/subscribe',
 
     await runQuery(`
       INSERT INTO newsletter_subscriptions (
-        email, full_name, unsubscribe_token, is_active,
-        created_at, updated_at
-      ) VALUES (?, ?, ?, true, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        subscription_id, email, full_name, preferences, unsubscribe_token,
+        status, is_active, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, 'active', true, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
     `, [
-      email, name || null, unsubscribeToken
+      subscriptionId, email, name || null, JSON.stringify(preferences), unsubscribeToken
     ]);
 
     // Send welcome email
@@ -181,7 +159,7 @@ router.post('/unsubscribe',
 
     // Find subscription by token
     const subscription = await getRow(`
-      SELECT * FROM newsletter_subscriptions 
+      SELECT *, full_name as name FROM newsletter_subscriptions 
       WHERE unsubscribe_token = ? AND status = 'active'
     `, [token]);
 
@@ -192,7 +170,7 @@ router.post('/unsubscribe',
     // Update subscription status
     await runQuery(`
       UPDATE newsletter_subscriptions 
-      SET status = 'unsubscribed', updated_at = CURRENT_TIMESTAMP
+      SET status = 'unsubscribed', is_active = false, updated_at = CURRENT_TIMESTAMP
       WHERE unsubscribe_token = ?
     `, [token]);
 
@@ -244,7 +222,7 @@ router.patch('/preferences',
 
     // Check if subscription exists
     const subscription = await getRow(`
-      SELECT * FROM newsletter_subscriptions 
+      SELECT *, full_name as name FROM newsletter_subscriptions 
       WHERE email = ? AND status = 'active'
     `, [email]);
 
@@ -300,7 +278,7 @@ router.get('/status/:email', catchAsync(async (req, res) => {
   }
 
   const subscription = await getRow(`
-    SELECT subscription_id, email, name, preferences, status, created_at, updated_at
+    SELECT subscription_id, email, full_name as name, preferences, status, created_at, updated_at
     FROM newsletter_subscriptions 
     WHERE email = ?
   `, [email]);
@@ -332,7 +310,7 @@ router.get('/status/:email', catchAsync(async (req, res) => {
 }));
 
 // Get all subscriptions (admin endpoint)
-router.get('/subscriptions', catchAsync(async (req, res) => {
+router.get('/subscriptions', protect, requirePermission(PERMISSIONS.NEWSLETTER_READ), auditTrail('newsletter_subscriptions', 'list'), catchAsync(async (req, res) => {
   const { 
     page = 1, 
     limit = 50, 
@@ -360,7 +338,7 @@ router.get('/subscriptions', catchAsync(async (req, res) => {
   }
 
   const subscriptions = await getRows(`
-    SELECT subscription_id, email, name, preferences, status, created_at, updated_at
+    SELECT subscription_id, email, full_name as name, preferences, status, created_at, updated_at
     FROM newsletter_subscriptions
     ${whereClause}
     ORDER BY ${sortColumn} ${sortDirection}
@@ -400,7 +378,7 @@ router.get('/subscriptions', catchAsync(async (req, res) => {
 }));
 
 // Get newsletter statistics (admin endpoint)
-router.get('/stats', catchAsync(async (req, res) => {
+router.get('/stats', protect, requirePermission(PERMISSIONS.NEWSLETTER_READ), catchAsync(async (req, res) => {
   // Overall statistics
   const overallStats = await getRow(`
     SELECT 
@@ -413,12 +391,12 @@ router.get('/stats', catchAsync(async (req, res) => {
   // Monthly subscription trends
   const monthlyStats = await getRows(`
     SELECT 
-      strftime('%Y-%m', created_at) as month,
+      ${dialect.month('created_at')} as month,
       COUNT(*) as new_subscriptions,
       COUNT(CASE WHEN status = 'active' THEN 1 END) as active_in_month
     FROM newsletter_subscriptions 
-    WHERE created_at >= date('now', '-12 months')
-    GROUP BY strftime('%Y-%m', created_at)
+    WHERE created_at >= ${dialect.dateAgo(12, 'months')}
+    GROUP BY ${dialect.month('created_at')}
     ORDER BY month DESC
   `);
 
@@ -439,7 +417,7 @@ router.get('/stats', catchAsync(async (req, res) => {
   preferenceStats.forEach(sub => {
     const prefs = JSON.parse(sub.preferences || '[]');
     prefs.forEach(pref => {
-      if (preferenceCounts.hasOwnProperty(pref)) {
+      if (Object.prototype.hasOwnProperty.call(preferenceCounts, pref)) {
         preferenceCounts[pref]++;
       }
     });
@@ -448,8 +426,8 @@ router.get('/stats', catchAsync(async (req, res) => {
   // Recent activity (last 30 days)
   const recentStats = await getRow(`
     SELECT 
-      COUNT(CASE WHEN created_at >= date('now', '-30 days') THEN 1 END) as new_last_30_days,
-      COUNT(CASE WHEN updated_at >= date('now', '-30 days') AND status = 'unsubscribed' THEN 1 END) as unsubscribed_last_30_days
+      COUNT(CASE WHEN created_at >= ${dialect.dateAgo(30, 'days')} THEN 1 END) as new_last_30_days,
+      COUNT(CASE WHEN updated_at >= ${dialect.dateAgo(30, 'days')} AND status = 'unsubscribed' THEN 1 END) as unsubscribed_last_30_days
     FROM newsletter_subscriptions
   `);
 
@@ -0,0 +1,146 @@
+const express = require('express');
+const { body } = require('express-validator');
+const { getRow } = require('../config/database');
+const { catchAsync, AppError, handleValidationErrors } = require('../middleware/errorHandler');
+const { getPaymentProvider } = require('../utils/paymentProviders');
+const { getInvoice, startPayment, getPaymentByReference, recordPaymentEvent } = require('../utils/invoices');
+const { validators } = require('../utils/validation');
+
+const router = express.Router();
+
+// Start paying an application's invoice. The applicant proves it is theirs
+// with the email address on the application, as on the status page.
+router.post('/invoices/:invoiceId/checkout',
+  validators.email(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const invoice = await getInvoice(req.params.invoiceId);
+    const application = invoice && await getRow(`
+      SELECT application_id FROM visa_applications
+      WHERE application_id = ? AND LOWER(email) = LOWER(?)
+    `, [invoice.application_id, req.body.email]);
+
+    // Same response for unknown invoices and wrong emails so IDs can't be probed
+    if (!application) {
+      throw new AppError('No invoice found for this invoice ID and email', 404, 'INVOICE_NOT_FOUND');
+    }
+
+    if (invoice.status === 'paid') {
+      throw new AppError('This invoice has already been paid', 409, 'INVOICE_ALREADY_PAID');
+    }
+
+    const payment = await startPayment(invoice);
+
+    res.status(201).json({
+      status: 'success',
+      data: { payment }
+    });
+  })
+);
+
+// Verify a gateway callback and record its outcome; resolves to the payment
+async function handleWebhook(provider, rawBody, headers) {
+  const event = provider.parseWebhook(rawBody, headers);
+  if (!event) {
+    throw new AppError('Invalid webhook signature', 400, 'INVALID_WEBHOOK_SIGNATURE');
+  }
+
+  const payment = await recordPaymentEvent(provider.name, event);
+  if (!payment) {
+    throw new AppError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+  }
+
+  return payment;
+}
+
+// Payment outcome callbacks from the gateway. The signature is checked
+// against the raw request body kept by express.json in server.js.
+router.post('/webhooks/:provider', catchAsync(async (req, res) => {
+  const provider = getPaymentProvider();
+
+  if (req.params.provider !== provider.name) {
+    throw new AppError('Unknown payment provider', 404, 'PAYMENT_PROVIDER_NOT_FOUND');
+  }
+
+  const payment = await handleWebhook(provider, req.rawBody, req.headers);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      payment_id: payment.payment_id,
+      status: payment.status
+    }
+  });
+}));
+
+// The mock gateway's checkout page. Registered below only outside production:
+// it lets anyone mark a payment as succeeded.
+async function findMockPayment(req) {
+  const provider = getPaymentProvider();
+  const payment = provider.name === 'mock' && await getPaymentByReference('mock', req.params.reference);
+
+  if (!payment) {
+    throw new AppError('Checkout not found', 404, 'CHECKOUT_NOT_FOUND');
+  }
+
+  return { provider, payment };
+}
+
+const showMockCheckout = catchAsync(async (req, res) => {
+  const { payment } = await findMockPayment(req);
+  const amount = `${payment.currency} ${Number(payment.amount).toFixed(2)}`;
+  const outcomeButton = (outcome, label) => `
+    <form method="post">
+      <input type="hidden" name="outcome" value="${outcome}">
+      <button type="submit">${label}</button>
+    </form>`;
+
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Mock checkout</title></head>
+<body style="font-family: sans-serif; max-width: 28rem; margin: 3rem auto;">
+  <h1>Mock checkout</h1>
+  <p>Test payment for invoice ${payment.invoice_id}: <strong>${amount}</strong></p>
+  <p>Status: ${payment.status}</p>
+  ${payment.status === 'pending' ? outcomeButton('succeeded', 'Pay') + outcomeButton('failed', 'Decline') : ''}
+</body>
+</html>`);
+});
+
+// Complete a mock checkout: the signed callback goes through the same
+// handler as the webhook, in-process
+const completeMockCheckout = [
+  body('outcome')
+    .isIn(['succeeded', 'failed'])
+    .withMessage('Outcome must be succeeded or failed'),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { provider, payment } = await findMockPayment(req);
+
+    if (payment.status !== 'pending') {
+      throw new AppError('This checkout has already been completed', 409, 'CHECKOUT_COMPLETED');
+    }
+
+    const callback = provider.buildCallback({
+      reference: payment.provider_reference,
+      outcome: req.body.outcome,
+      amount: Number(payment.amount),
+      currency: payment.currency
+    });
+    const updated = await handleWebhook(provider, callback.rawBody, callback.headers);
+
+    const result = { reference: payment.provider_reference, outcome: req.body.outcome, payment_status: updated.status };
+
+    res.format({
+      json: () => res.status(200).json({ status: 'success', data: result }),
+      html: () => res.send(`<p>Payment ${req.body.outcome}. You can close this page.</p>`)
+    });
+  })
+];
+
+if (process.env.NODE_ENV !== 'production') {
+  router.get('/mock/checkout/:reference', showMockCheckout);
+  router.post('/mock/checkout/:reference', completeMockCheckout);
+}
+
+module.exports = router;
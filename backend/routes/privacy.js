@@ -0,0 +1,175 @@
+const express = require('express');
+const crypto = require('crypto');
+const { body } = require('express-validator');
+const { runQuery, getRow, withTransaction } = require('../config/database');
+const { catchAsync, AppError, handleValidationErrors } = require('../middleware/errorHandler');
+const { getAllowedTransitions } = require('../config/visaStatus');
+const { sendEmail } = require('../utils/emailService');
+const { collectApplicantData, writeExportArchive, eraseApplicantData } = require('../utils/applicantData');
+const { validators } = require('../utils/validation');
+const { apiUrl } = require('../utils/publicUrls');
+const moment = require('moment');
+
+const router = express.Router();
+
+// How long the emailed confirmation link works
+const PRIVACY_REQUEST_TTL_HOURS = parseInt(process.env.PRIVACY_REQUEST_TTL_HOURS, 10) || 24;
+
+const REQUEST_TYPES = ['export', 'erasure'];
+
+// Only a hash of the emailed token is stored
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function utcNow() {
+  return moment.utc().format('YYYY-MM-DD HH:mm:ss');
+}
+
+// The pending request behind an emailed link, or a 403 if the link is
+// unknown, expired or already used for an erasure
+async function findRequest(token, requestType) {
+  const request = await getRow(`
+    SELECT * FROM privacy_requests
+    WHERE token_hash = ? AND request_type = ? AND email IS NOT NULL AND expires_at > ?
+  `, [hashToken(token), requestType, utcNow()]);
+
+  if (!request) {
+    throw new AppError('This privacy request link is invalid or has expired', 403, 'INVALID_PRIVACY_LINK');
+  }
+
+  return request;
+}
+
+// Ask for a copy of, or the erasure of, the data held for an email address.
+// The request only goes ahead once confirmed through the link emailed to that
+// address, and the response is the same whether or not we hold any data.
+router.post('/requests',
+  validators.email(),
+  body('type')
+    .isIn(REQUEST_TYPES)
+    .withMessage(`Request type must be one of: ${REQUEST_TYPES.join(', ')}`),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { email, type } = req.body;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const requestId = `PRIVACY-${Date.now()}-${Math.random().toString(36).substr(2, 6).toUpperCase()}`;
+    const expiresAt = moment.utc().add(PRIVACY_REQUEST_TTL_HOURS, 'hours');
+
+    await runQuery(`
+      INSERT INTO privacy_requests (
+        request_id, request_type, email, token_hash, status, expires_at,
+        created_at, updated_at
+      ) VALUES (?, ?, ?, ?, 'pending', ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `, [requestId, type, email, hashToken(token), expiresAt.format('YYYY-MM-DD HH:mm:ss')]);
+
+    try {
+      await sendEmail({
+        to: email,
+        subject: type === 'export'
+          ? 'Your Data Export Request - UAE Visa Services'
+          : 'Confirm Your Data Erasure Request - UAE Visa Services',
+        template: `privacy-${type}-request`,
+        data: {
+          request_id: requestId,
+          export_url: apiUrl(`/api/privacy/requests/${token}/export`),
+          // pages/data-erasure.html confirms by posting the token to /requests/:token/erasure
+          erasure_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/pages/data-erasure.html?token=${token}`,
+          expires_at: expiresAt.local().format('MMMM DD, YYYY [at] HH:mm')
+        }
+      });
+    } catch (emailError) {
+      console.error('Privacy request email failed:', emailError);
+    }
+
+    res.status(202).json({
+      status: 'success',
+      message: `We have sent a confirmation link to ${email}. It expires in ${PRIVACY_REQUEST_TTL_HOURS} hours.`,
+      data: {
+        request_id: requestId,
+        type,
+        expires_at: expiresAt.toISOString()
+      }
+    });
+  })
+);
+
+// Download everything held for the request's email address as a ZIP archive.
+// The link can be used again until it expires.
+router.get('/requests/:token/export', catchAsync(async (req, res) => {
+  const request = await findRequest(req.params.token, 'export');
+  const data = await collectApplicantData(request.email);
+
+  res.set('Cache-Control', 'private, no-store');
+  res.attachment(`applicant-data-${request.request_id}.zip`);
+
+  const records = await writeExportArchive(data, res, {
+    request_id: request.request_id,
+    email: request.email
+  });
+
+  await runQuery(`
+    UPDATE privacy_requests
+    SET status = 'completed', completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP),
+        summary = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `, [JSON.stringify(records), request.id]);
+}));
+
+// Erase the data held for the request's email address. Visa applications
+// are anonymised rather than deleted, and only once they have been decided.
+router.post('/requests/:token/erasure', catchAsync(async (req, res) => {
+  const request = await findRequest(req.params.token, 'erasure');
+  const { visa_applications: applications } = await collectApplicantData(request.email);
+
+  const inProgress = applications.filter(application => getAllowedTransitions(application.status).length > 0);
+  if (inProgress.length > 0) {
+    throw new AppError(
+      `Data cannot be erased while an application is being processed (${inProgress.map(application => application.application_id).join(', ')})`,
+      409,
+      'APPLICATION_IN_PROGRESS'
+    );
+  }
+
+  const summary = await eraseApplicantData(request.email);
+
+  // The email address itself goes too, from this and any other request
+  await withTransaction(async () => {
+    await runQuery(`
+      UPDATE privacy_requests
+      SET status = 'completed', completed_at = CURRENT_TIMESTAMP, summary = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [JSON.stringify(summary), request.id]);
+    await runQuery(`
+      UPDATE privacy_requests SET email = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE LOWER(email) = LOWER(?)
+    `, [request.email]);
+  });
+
+  try {
+    await sendEmail({
+      to: request.email,
+      subject: 'Your Data Has Been Erased - UAE Visa Services',
+      template: 'privacy-erasure-completed',
+      data: {
+        request_id: request.request_id,
+        ...summary,
+        completed_at: moment().format('MMMM DD, YYYY [at] HH:mm')
+      }
+    });
+  } catch (emailError) {
+    console.error('Erasure confirmation email failed:', emailError);
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Your data has been erased',
+    data: {
+      request_id: request.request_id,
+      summary
+    }
+  });
+}));
+
+module.exports = router;
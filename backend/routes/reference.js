@@ -0,0 +1,18 @@
+const express = require('express');
+const { listCountries } = require('../utils/countries');
+
+const router = express.Router();
+
+// ISO 3166 countries with demonyms and dialling codes, for nationality and
+// country selects. The list only changes with a deploy.
+router.get('/countries', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.status(200).json({
+    status: 'success',
+    data: {
+      countries: listCountries()
+    }
+  });
+});
+
+module.exports = router;
@@ -2,18 +2,38 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
-const { body } = require('express-validator');
-const { runQuery, getRow, getRows } = require('../config/database');
+const { body, query } = require('express-validator');
+const { runQuery, getRow, getRows, withTransaction } = require('../config/database');
 const { catchAsync, AppError, handleValidationErrors } = require('../middleware/errorHandler');
+const { protect, requirePermission, hasPermission } = require('../middleware/auth');
+const { auditTrail, recordChanges } = require('../middleware/audit');
+const { verifyUploads, verifyPassportPhoto } = require('../middleware/uploadVerification');
+const { PERMISSIONS } = require('../config/roles');
+const {
+  STATUSES, STATUS_DESCRIPTIONS, STATUS_TITLES, STATUS_EMAILS, NOTES_REQUIRED_STATUSES,
+  canTransition, getAllowedTransitions, isDecisionStatus
+} = require('../config/visaStatus');
 const { sendEmail } = require('../utils/emailService');
+const { UPLOADS_DIR, QUARANTINE_DIR, promoteFiles, discardUnpromotedUploads } = require('../utils/uploadStorage');
+const { signPath, verifySignedPath } = require('../utils/signedUrls');
+const { blindIndex } = require('../utils/fieldEncryption');
+const { getDuplicateAction, findConflictingApplications, parseDuplicateOf } = require('../utils/duplicateApplications');
+const { quoteVisaFee } = require('../utils/feeQuote');
+const { formatInvoice, getApplicationInvoice, createInvoice, isAwaitingPayment } = require('../utils/invoices');
+const { renderReceipt, renderInvoice } = require('../utils/applicationPdfs');
+const { getVisaRequirements, findMissingRequirements } = require('../utils/visaRequirements');
+const { DOCUMENT_TYPES } = require('../config/visaRequirements');
+const { rulesets, conditionalRulesets, applyConditionalRules, validators } = require('../utils/validation');
+const schemas = require('../schemas');
 const moment = require('moment');
 
 const router = express.Router();
 
-// Configure multer for file uploads
+// Configure multer for file uploads. Files are staged in quarantine and only
+// promoted to uploads/ once the application row has committed.
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, path.join(__dirname, '..', 'uploads'));
+    cb(null, QUARANTINE_DIR);
   },
   filename: (req, file, cb) => {
     const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -28,6 +48,7 @@ const fileFilter = (req, file, cb) => {
     'passport_copy': ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'],
     'photo': ['image/jpeg', 'image/png', 'image/jpg'],
     'cv': ['application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    'hospital_letter': ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf'],
     'additional_documents': ['image/jpeg', 'image/png', 'image/jpg', 'application/pdf', 'application/msword', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document']
   };
 
@@ -47,134 +68,95 @@ const upload = multer({
   }
 });
 
-// Validation rules for visa application
-const visaValidationRules = [
-  body('full_name')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Full name must be between 2 and 100 characters')
-    .matches(/^[a-zA-Z\s'-]+$/)
-    .withMessage('Full name can only contain letters, spaces, hyphens, and apostrophes'),
-  
-  body('email')
-    .isEmail()
-    .normalizeEmail()
-    .withMessage('Please provide a valid email address'),
-  
-  body('phone')
-    .trim()
-    .matches(/^[+]?[1-9]\d{1,14}$/)
-    .withMessage('Please provide a valid phone number'),
-  
-  body('nationality')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Nationality must be between 2 and 50 characters'),
-  
-  body('passport_number')
-    .trim()
-    .isLength({ min: 6, max: 20 })
-    .withMessage('Passport number must be between 6 and 20 characters')
-    .matches(/^[A-Z0-9]+$/)
-    .withMessage('Passport number can only contain uppercase letters and numbers'),
-  
-  body('visa_type')
-    .isIn(['tourist', 'business', 'transit', 'work', 'student', 'family', 'medical'])
-    .withMessage('Please select a valid visa type'),
-  
-  body('purpose_of_visit')
-    .trim()
-    .isLength({ min: 10, max: 500 })
-    .withMessage('Purpose of visit must be between 10 and 500 characters'),
-  
-  body('duration_of_stay')
-    .isInt({ min: 1, max: 365 })
-    .withMessage('Duration of stay must be between 1 and 365 days'),
-  
-  body('arrival_date')
-    .isISO8601()
-    .withMessage('Please provide a valid arrival date')
-    .custom((value) => {
-      if (moment(value).isBefore(moment(), 'day')) {
-        throw new Error('Arrival date cannot be in the past');
-      }
-      return true;
-    }),
-  
-  body('departure_date')
-    .isISO8601()
-    .withMessage('Please provide a valid departure date')
-    .custom((value, { req }) => {
-      if (moment(value).isSameOrBefore(moment(req.body.arrival_date), 'day')) {
-        throw new Error('Departure date must be after arrival date');
+// Applicant fields stored as submitted (full_name and file paths are derived)
+const APPLICATION_FIELDS = Object.keys(schemas.visaApplication.fields);
+
+// API path of a stored document; req.baseUrl is where this router is mounted
+function documentPath(req, applicationId, documentId) {
+  return `${req.baseUrl}/applications/${applicationId}/documents/${documentId}`;
+}
+
+function getDocuments(applicationId) {
+  return getRows(`
+    SELECT document_id, document_type, original_name, mime_type, size_bytes, created_at
+    FROM application_documents
+    WHERE application_id = ?
+    ORDER BY id ASC
+  `, [applicationId]);
+}
+
+// API path of an application's receipt or invoice PDF
+function pdfPath(req, applicationId, kind) {
+  return `${req.baseUrl}/applications/${applicationId}/${kind}`;
+}
+
+// Uploaded documents and PDFs: staff use their token; applicants use a
+// signed link from POST /status
+function authorizeDocumentAccess(req, res, next) {
+  if (req.query.signature === undefined) {
+    return protect(req, res, (err) => {
+      if (err) {
+        return next(err);
       }
-      return true;
-    }),
-  
-  body('accommodation_details')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Accommodation details cannot exceed 500 characters'),
-  
-  body('sponsor_information')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Sponsor information cannot exceed 500 characters'),
-  
-  body('previous_uae_visit')
-    .isIn(['yes', 'no'])
-    .withMessage('Please specify if you have visited UAE before'),
-  
-  body('criminal_record')
-    .isIn(['yes', 'no'])
-    .withMessage('Please specify if you have any criminal record'),
-  
-  body('medical_conditions')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Medical conditions cannot exceed 500 characters'),
-  
-  body('emergency_contact_name')
-    .trim()
-    .isLength({ min: 2, max: 100 })
-    .withMessage('Emergency contact name must be between 2 and 100 characters'),
-  
-  body('emergency_contact_phone')
-    .trim()
-    .matches(/^[+]?[1-9]\d{1,14}$/)
-    .withMessage('Please provide a valid emergency contact phone number'),
-  
-  body('emergency_contact_relationship')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('Emergency contact relationship must be between 2 and 50 characters')
-];
+      requirePermission(PERMISSIONS.VISA_READ)(req, res, next);
+    });
+  }
+
+  if (!verifySignedPath(`${req.baseUrl}${req.path}`, req.query.expires, req.query.signature)) {
+    return next(new AppError('This download link is invalid or has expired', 403, 'INVALID_DOWNLOAD_LINK'));
+  }
+
+  next();
+}
+
+// Refuse ineligible applications and ones missing the fields or documents
+// their visa type and nationality need (config/visaRequirements.js). Fields
+// required by the visa type alone are already reported by the conditional
+// rule set. Errors use the validation error shape so the form can show them
+// on its fields.
+function enforceVisaRequirements(req, res, next) {
+  const requirements = getVisaRequirements(req.body);
+
+  if (!requirements.eligible) {
+    return next(new AppError(requirements.reasons.join(' '), 400, 'NOT_ELIGIBLE'));
+  }
+
+  const missing = findMissingRequirements(requirements, req.body, req.files);
+
+  if (missing.length > 0) {
+    return res.status(400).json({
+      status: 'fail',
+      message: `Required information is missing for a ${requirements.visa_type} visa`,
+      code: 'MISSING_REQUIREMENTS',
+      errors: missing,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+}
 
 // Submit visa application
 router.post('/application', 
-  upload.fields([
-    { name: 'passport_copy', maxCount: 1 },
-    { name: 'photo', maxCount: 1 },
-    { name: 'cv', maxCount: 1 },
-    { name: 'additional_documents', maxCount: 5 }
-  ]),
-  visaValidationRules,
+  discardUnpromotedUploads,
+  upload.fields(Object.entries(DOCUMENT_TYPES).map(([name, { maxCount }]) => ({ name, maxCount }))),
+  rulesets.visaApplication,
+  applyConditionalRules(conditionalRulesets.visaApplication),
   handleValidationErrors,
+  enforceVisaRequirements,
+  verifyUploads,
+  verifyPassportPhoto,
   catchAsync(async (req, res) => {
     const {
-      full_name, email, phone, nationality, passport_number, visa_type,
-      purpose_of_visit, duration_of_stay, arrival_date, departure_date,
-      accommodation_details, sponsor_information, previous_uae_visit,
-      criminal_record, medical_conditions, emergency_contact_name,
-      emergency_contact_phone, emergency_contact_relationship
+      first_name, last_name, email, phone, nationality, visa_type,
+      purpose_of_visit, duration_of_stay, arrival_date, departure_date
     } = req.body;
+    const full_name = `${first_name} ${last_name}`;
 
-    // Check for required files
-    if (!req.files || !req.files.passport_copy || !req.files.photo) {
-      throw new AppError('Passport copy and photo are required', 400, 'MISSING_REQUIRED_FILES');
+    // The application is invoiced for its fee, so it must have one
+    const quote = quoteVisaFee({ nationality, visa_type, duration_of_stay: parseInt(duration_of_stay, 10) });
+    if (!quote) {
+      throw new AppError(`A ${visa_type} visa is not available for a stay of ${duration_of_stay} days`, 400, 'QUOTE_UNAVAILABLE');
     }
 
     // Generate unique application ID
@@ -189,38 +171,103 @@ router.post('/application',
         req.files.additional_documents.map(file => file.filename).join(',') : null
     };
 
-    // Insert application into database
-    const result = await runQuery(`
-      INSERT INTO visa_applications (
-        application_id, full_name, email, phone, nationality, passport_number,
-        visa_type, purpose_of_visit, duration_of_stay, arrival_date, departure_date,
-        accommodation_details, sponsor_information, previous_uae_visit,
-        criminal_record, medical_conditions, emergency_contact_name,
-        emergency_contact_phone, emergency_contact_relationship,
-        passport_copy_path, photo_path, cv_path, additional_documents_path,
-        status, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-    `, [
-      applicationId, full_name, email, phone, nationality, passport_number,
-      visa_type, purpose_of_visit, duration_of_stay, arrival_date, departure_date,
-      accommodation_details, sponsor_information, previous_uae_visit,
-      criminal_record, medical_conditions, emergency_contact_name,
-      emergency_contact_phone, emergency_contact_relationship,
-      filePaths.passport_copy_path, filePaths.photo_path, filePaths.cv_path, filePaths.additional_documents_path
-    ]);
-
-    // Log status change
-    await runQuery(`
-      INSERT INTO application_status_log (application_id, old_status, new_status, notes, created_at)
-      VALUES (?, NULL, 'pending', 'Application submitted', CURRENT_TIMESTAMP)
-    `, [applicationId]);
-
-    // Send confirmation email to applicant
+    // Build the full applicant record; blank optional fields are stored as NULL
+    const application = {
+      application_id: applicationId,
+      full_name,
+      ...filePaths,
+      status: 'pending'
+    };
+
+    APPLICATION_FIELDS.forEach(field => {
+      const value = req.body[field];
+      application[field] = value === undefined || value === '' ? null : value;
+    });
+
+    // passport_number is encrypted; lookups and search go through its hash
+    application.passport_number_hash = blindIndex(application.passport_number);
+    application.is_flagged_duplicate = false;
+    application.duplicate_of = null;
+
+    const columns = Object.keys(application);
+
+    const documents = Object.entries(req.files).flatMap(([documentType, files]) =>
+      files.map(file => ({
+        document_id: uuidv4(),
+        document_type: documentType,
+        stored_name: file.filename,
+        original_name: file.originalname,
+        mime_type: file.mimetype,
+        size_bytes: file.size
+      }))
+    );
+
+    // The application, its first status log entry, documents and invoice are stored together
+    let invoice;
+    await withTransaction(async () => {
+      // Checked inside the transaction so two identical submissions can't both miss each other
+      const conflicts = await findConflictingApplications(application);
+      if (conflicts.length > 0) {
+        if (getDuplicateAction() === 'reject') {
+          throw new AppError(
+            'An application for this passport and visa type already covers these travel dates',
+            409,
+            'DUPLICATE_APPLICATION'
+          );
+        }
+
+        application.is_flagged_duplicate = true;
+        application.duplicate_of = conflicts.join(',');
+      }
+
+      await runQuery(`
+        INSERT INTO visa_applications (${columns.join(', ')}, created_at, updated_at)
+        VALUES (${columns.map(() => '?').join(', ')}, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      `, columns.map(column => application[column]));
+
+      await runQuery(`
+        INSERT INTO application_status_log (application_id, old_status, new_status, notes, created_at)
+        VALUES (?, NULL, 'pending', 'Application submitted', CURRENT_TIMESTAMP)
+      `, [applicationId]);
+
+      for (const document of documents) {
+        await runQuery(`
+          INSERT INTO application_documents (
+            document_id, application_id, document_type, stored_name, original_name, mime_type, size_bytes, created_at
+          )
+          VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        `, [
+          document.document_id, applicationId, document.document_type, document.stored_name,
+          document.original_name, document.mime_type, document.size_bytes
+        ]);
+      }
+
+      invoice = await createInvoice(applicationId, quote);
+    });
+
+    await promoteFiles(req.files);
+
+    // Send confirmation email to applicant, with the receipt and invoice attached
     try {
+      const submitted = { ...application, created_at: new Date() };
+      const invoiceDetails = formatInvoice(invoice);
+
       await sendEmail({
         to: email,
         subject: `UAE Visa Application Confirmation - ${applicationId}`,
         template: 'visa-application-confirmation',
+        attachments: [
+          {
+            filename: `receipt-${applicationId}.pdf`,
+            content: await renderReceipt(submitted, invoiceDetails),
+            contentType: 'application/pdf'
+          },
+          {
+            filename: `invoice-${invoiceDetails.invoice_id}.pdf`,
+            content: await renderInvoice(submitted, invoiceDetails),
+            contentType: 'application/pdf'
+          }
+        ],
         data: {
           full_name,
           application_id: applicationId,
@@ -260,7 +307,9 @@ router.post('/application',
         status: 'pending',
         submitted_at: new Date().toISOString(),
         estimated_processing_time: '5-7 business days',
+        invoice: formatInvoice(invoice),
         next_steps: [
+          'Pay the application fee invoice; review starts once it is paid',
           'Your application is being reviewed',
           'You will receive email updates on the progress',
           'Additional documents may be requested if needed',
@@ -271,65 +320,138 @@ router.post('/application',
   })
 );
 
-// Get application status
-router.get('/status/:applicationId', catchAsync(async (req, res) => {
-  const { applicationId } = req.params;
+// Eligibility, required fields and required documents for a nationality and visa type
+router.get('/requirements',
+  validators.nationality('nationality', { query: true }),
+  query('visa_type')
+    .isIn(schemas.visaApplication.fields.visa_type.values)
+    .withMessage(`visa_type must be one of: ${schemas.visaApplication.fields.visa_type.values.join(', ')}`),
+  handleValidationErrors,
+  (req, res) => {
+    res.status(200).json({
+      status: 'success',
+      data: { requirements: getVisaRequirements(req.query) }
+    });
+  }
+);
 
-  const application = await getRow(`
-    SELECT application_id, full_name, email, visa_type, status, 
-           created_at, updated_at, arrival_date, departure_date
-    FROM visa_applications 
-    WHERE application_id = ?
-  `, [applicationId]);
+// Itemised fee quote for a nationality, visa type and length of stay
+router.get('/quote',
+  validators.nationality('nationality', { query: true }),
+  query('visa_type')
+    .isIn(schemas.visaApplication.fields.visa_type.values)
+    .withMessage(`visa_type must be one of: ${schemas.visaApplication.fields.visa_type.values.join(', ')}`),
+  query('duration_of_stay')
+    .isInt({ min: 1, max: 365 })
+    .withMessage('duration_of_stay must be a number of days between 1 and 365')
+    .toInt(),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { nationality, visa_type, duration_of_stay } = req.query;
+    const quote = quoteVisaFee({ nationality, visa_type, duration_of_stay });
 
-  if (!application) {
-    throw new AppError('Application not found', 404, 'APPLICATION_NOT_FOUND');
-  }
+    if (!quote) {
+      throw new AppError(`A ${visa_type} visa is not available for a stay of ${duration_of_stay} days`, 400, 'QUOTE_UNAVAILABLE');
+    }
 
-  // Get status history
-  const statusHistory = await getRows(`
-    SELECT old_status, new_status, notes, created_at
-    FROM application_status_log 
-    WHERE application_id = ?
-    ORDER BY created_at ASC
-  `, [applicationId]);
+    res.status(200).json({
+      status: 'success',
+      data: { quote }
+    });
+  })
+);
 
-  res.status(200).json({
-    status: 'success',
-    data: {
-      application: {
-        id: application.application_id,
-        applicant_name: application.full_name,
-        email: application.email,
-        visa_type: application.visa_type,
-        current_status: application.status,
-        submitted_at: application.created_at,
-        last_updated: application.updated_at,
-        travel_dates: {
-          arrival: application.arrival_date,
-          departure: application.departure_date
+// Look up an application by ID and email (used by status-check.html). There
+// is no lookup by ID alone: both must match.
+router.post('/status',
+  body('applicationId')
+    .trim()
+    .notEmpty()
+    .withMessage('Application ID is required'),
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { applicationId, email } = req.body;
+
+    const application = await getRow(`
+      SELECT application_id, full_name, email, nationality, visa_type, duration_of_stay,
+             status, arrival_date, departure_date, created_at, updated_at
+      FROM visa_applications
+      WHERE application_id = ? AND LOWER(email) = LOWER(?)
+    `, [applicationId.toUpperCase(), email]);
+
+    // Same response for unknown IDs and wrong emails so IDs can't be probed
+    if (!application) {
+      throw new AppError('No application found for this application ID and email', 404, 'APPLICATION_NOT_FOUND');
+    }
+
+    const statusHistory = await getRows(`
+      SELECT old_status, new_status, notes, created_at
+      FROM application_status_log
+      WHERE application_id = ?
+      ORDER BY created_at ASC, id ASC
+    `, [application.application_id]);
+
+    // Generated files such as the photo thumbnail are for staff only
+    const documents = (await getDocuments(application.application_id))
+      .filter(document => document.document_type !== 'photo_thumbnail');
+
+    const invoice = await getApplicationInvoice(application.application_id);
+
+    const [firstName, ...lastNameParts] = application.full_name.trim().split(/\s+/);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        application: {
+          applicationId: application.application_id,
+          referenceNumber: application.application_id,
+          firstName,
+          lastName: lastNameParts.join(' '),
+          email: application.email,
+          nationality: application.nationality,
+          visaType: application.visa_type,
+          visaDuration: application.duration_of_stay,
+          arrivalDate: application.arrival_date,
+          departureDate: application.departure_date,
+          status: application.status,
+          statusDescription: STATUS_DESCRIPTIONS[application.status],
+          submittedAt: application.created_at,
+          lastUpdated: application.updated_at,
+          statusHistory: statusHistory.map(log => ({
+            status: log.new_status,
+            title: STATUS_TITLES[log.new_status] || log.new_status,
+            description: log.notes || STATUS_DESCRIPTIONS[log.new_status],
+            date: log.created_at
+          })),
+          documents: documents.map(document => ({
+            documentId: document.document_id,
+            type: document.document_type,
+            name: document.original_name,
+            downloadUrl: signPath(documentPath(req, application.application_id, document.document_id))
+          })),
+          receiptUrl: signPath(pdfPath(req, application.application_id, 'receipt')),
+          invoice: invoice ? {
+            invoiceId: invoice.invoice_id,
+            currency: invoice.currency,
+            total: Number(invoice.total),
+            status: invoice.status,
+            paidAt: invoice.paid_at,
+            downloadUrl: signPath(pdfPath(req, application.application_id, 'invoice'))
+          } : null,
+          visaDocumentUrl: null
         }
-      },
-      status_history: statusHistory.map(log => ({
-        from: log.old_status,
-        to: log.new_status,
-        notes: log.notes,
-        timestamp: log.created_at
-      })),
-      status_descriptions: {
-        pending: 'Application received and under initial review',
-        reviewing: 'Application is being processed by our team',
-        approved: 'Application approved - visa will be issued',
-        rejected: 'Application rejected - see notes for details',
-        additional_info_required: 'Additional information or documents needed'
       }
-    }
-  });
-}));
+    });
+  })
+);
 
-// Get all applications (admin endpoint - would need authentication in production)
-router.get('/applications', catchAsync(async (req, res) => {
-  const { page = 1, limit = 20, status, visa_type } = req.query;
+// Get all applications (admin endpoint)
+router.get('/applications', protect, requirePermission(PERMISSIONS.VISA_READ), auditTrail('visa_applications', 'list'), catchAsync(async (req, res) => {
+  const { page = 1, limit = 20, status, visa_type, flagged } = req.query;
   const offset = (page - 1) * limit;
 
   let whereClause = '';
@@ -345,9 +467,18 @@ router.get('/applications', catchAsync(async (req, res) => {
     params.push(visa_type);
   }
 
+  // ?flagged=true lists possible duplicates awaiting review
+  if (flagged === 'true') {
+    whereClause += whereClause ? ' AND is_flagged_duplicate = ?' : ' WHERE is_flagged_duplicate = ?';
+    params.push(true);
+  }
+
   const applications = await getRows(`
     SELECT application_id, full_name, email, nationality, visa_type, 
-           status, created_at, arrival_date
+           status, created_at, arrival_date, is_flagged_duplicate, duplicate_of,
+           (SELECT document_id FROM application_documents
+            WHERE application_documents.application_id = visa_applications.application_id
+              AND document_type = 'photo_thumbnail') as photo_thumbnail_id
     FROM visa_applications
     ${whereClause}
     ORDER BY created_at DESC
@@ -362,7 +493,13 @@ router.get('/applications', catchAsync(async (req, res) => {
   res.status(200).json({
     status: 'success',
     data: {
-      applications,
+      applications: applications.map(({ photo_thumbnail_id, ...application }) => ({
+        ...application,
+        is_flagged_duplicate: Boolean(application.is_flagged_duplicate),
+        duplicate_of: parseDuplicateOf(application.duplicate_of),
+        photo_thumbnail_path: photo_thumbnail_id ?
+          documentPath(req, application.application_id, photo_thumbnail_id) : null
+      })),
       pagination: {
         current_page: parseInt(page),
         per_page: parseInt(limit),
@@ -373,4 +510,221 @@ router.get('/applications', catchAsync(async (req, res) => {
   });
 }));
 
+// Get full application profile for review (admin endpoint)
+router.get('/applications/:id', protect, requirePermission(PERMISSIONS.VISA_READ), auditTrail('visa_applications', 'read', 'id'), catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const application = await getRow(`
+    SELECT * FROM visa_applications WHERE application_id = ?
+  `, [id]);
+
+  if (!application) {
+    throw new AppError('Application not found', 404, 'APPLICATION_NOT_FOUND');
+  }
+
+  const statusHistory = await getRows(`
+    SELECT old_status, new_status, notes, changed_by, created_at
+    FROM application_status_log
+    WHERE application_id = ?
+    ORDER BY created_at ASC, id ASC
+  `, [id]);
+
+  const documents = await getDocuments(id);
+  const thumbnail = documents.find(document => document.document_type === 'photo_thumbnail');
+  const invoice = await getApplicationInvoice(id);
+  const awaitingPayment = Boolean(invoice) && invoice.status !== 'paid';
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      application: {
+        ...application,
+        is_flagged_duplicate: Boolean(application.is_flagged_duplicate),
+        duplicate_of: parseDuplicateOf(application.duplicate_of)
+      },
+      status_history: statusHistory,
+      documents: documents.map(document => ({
+        ...document,
+        download_path: documentPath(req, id, document.document_id)
+      })),
+      photo_thumbnail_path: thumbnail ? documentPath(req, id, thumbnail.document_id) : null,
+      invoice: invoice ? formatInvoice(invoice) : null,
+      allowed_next_statuses: application.status === 'pending' && awaitingPayment ? [] : getAllowedTransitions(application.status)
+    }
+  });
+}));
+
+// Stream an uploaded document (staff token or signed applicant link)
+router.get('/applications/:id/documents/:docId', authorizeDocumentAccess, auditTrail('application_documents', 'download', 'docId'), catchAsync(async (req, res, next) => {
+  const { id, docId } = req.params;
+
+  const document = await getRow(`
+    SELECT document_id, stored_name, original_name, mime_type
+    FROM application_documents
+    WHERE application_id = ? AND document_id = ?
+  `, [id, docId]);
+
+  if (!document) {
+    throw new AppError('Document not found', 404, 'DOCUMENT_NOT_FOUND');
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.attachment(document.original_name || document.stored_name);
+  if (document.mime_type) {
+    res.type(document.mime_type);
+  }
+
+  res.sendFile(path.basename(document.stored_name), { root: UPLOADS_DIR }, (err) => {
+    if (err && !res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      next(new AppError('Document file is missing', 404, 'DOCUMENT_FILE_MISSING'));
+    }
+  });
+}));
+
+function sendPdf(res, filename, pdf) {
+  res.set('Cache-Control', 'private, no-store');
+  res.attachment(filename);
+  res.type('application/pdf');
+  res.send(pdf);
+}
+
+async function findApplicationWithInvoice(id) {
+  const application = await getRow('SELECT * FROM visa_applications WHERE application_id = ?', [id]);
+
+  if (!application) {
+    throw new AppError('Application not found', 404, 'APPLICATION_NOT_FOUND');
+  }
+
+  const invoice = await getApplicationInvoice(id);
+  return { application, invoice: invoice ? formatInvoice(invoice) : null };
+}
+
+// Application receipt PDF (staff token or signed applicant link)
+router.get('/applications/:id/receipt', authorizeDocumentAccess, auditTrail('visa_applications', 'download_receipt', 'id'), catchAsync(async (req, res) => {
+  const { application, invoice } = await findApplicationWithInvoice(req.params.id);
+
+  sendPdf(res, `receipt-${application.application_id}.pdf`, await renderReceipt(application, invoice));
+}));
+
+// Fee invoice PDF (staff token or signed applicant link)
+router.get('/applications/:id/invoice', authorizeDocumentAccess, auditTrail('visa_applications', 'download_invoice', 'id'), catchAsync(async (req, res) => {
+  const { application, invoice } = await findApplicationWithInvoice(req.params.id);
+
+  if (!invoice) {
+    throw new AppError('This application has no invoice', 404, 'INVOICE_NOT_FOUND');
+  }
+
+  sendPdf(res, `invoice-${invoice.invoice_id}.pdf`, await renderInvoice(application, invoice));
+}));
+
+// Update application status (admin endpoint)
+router.patch('/applications/:id/status',
+  protect,
+  requirePermission(PERMISSIONS.VISA_UPDATE_STATUS),
+  auditTrail('visa_applications', 'update_status', 'id'),
+  body('status')
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  body('notes')
+    .if(body('status').isIn(NOTES_REQUIRED_STATUSES))
+    .trim()
+    .notEmpty()
+    .withMessage('Notes are required to explain this status to the applicant'),
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Notes cannot exceed 1000 characters'),
+  handleValidationErrors,
+  catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { status, notes } = req.body;
+
+    const application = await getRow(`
+      SELECT application_id, full_name, email, visa_type, status
+      FROM visa_applications
+      WHERE application_id = ?
+    `, [id]);
+
+    if (!application) {
+      throw new AppError('Application not found', 404, 'APPLICATION_NOT_FOUND');
+    }
+
+    if (!canTransition(application.status, status)) {
+      throw new AppError(
+        `Cannot change status from ${application.status} to ${status}. Allowed: ${getAllowedTransitions(application.status).join(', ') || 'none'}`,
+        409,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    if (application.status === 'pending' && await isAwaitingPayment(id)) {
+      throw new AppError('The application fee has not been paid yet', 409, 'INVOICE_UNPAID');
+    }
+
+    if (isDecisionStatus(status) && !hasPermission(req.user, PERMISSIONS.VISA_DECIDE)) {
+      throw new AppError('Only supervisors can approve or reject applications', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    await withTransaction(async () => {
+      // Guard on the old status so two officers cannot both move the same application
+      const result = await runQuery(`
+        UPDATE visa_applications
+        SET status = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE application_id = ? AND status = ?
+      `, [status, id, application.status]);
+
+      if (result.changes === 0) {
+        throw new AppError('Application status was changed by someone else. Please reload and try again.', 409, 'STATUS_CONFLICT');
+      }
+
+      await runQuery(`
+        INSERT INTO application_status_log (application_id, old_status, new_status, notes, changed_by, created_at)
+        VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      `, [id, application.status, status, notes || null, req.user.email]);
+    });
+
+    recordChanges(req, { status: application.status }, { status });
+
+    // Let the applicant know about the new status
+    const statusEmail = STATUS_EMAILS[status];
+    if (statusEmail) {
+      try {
+        await sendEmail({
+          to: application.email,
+          subject: `${statusEmail.subject} - ${id}`,
+          template: statusEmail.template,
+          data: {
+            full_name: application.full_name,
+            application_id: id,
+            visa_type: application.visa_type,
+            status_description: STATUS_DESCRIPTIONS[status],
+            notes,
+            updated_at: moment().format('MMMM DD, YYYY [at] HH:mm'),
+            status_check_url: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/pages/status-check.html?id=${encodeURIComponent(id)}`
+          }
+        });
+      } catch (emailError) {
+        console.error('Status update email failed:', emailError);
+        // Don't fail the status change if email fails
+      }
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Application status updated successfully',
+      data: {
+        application_id: id,
+        old_status: application.status,
+        new_status: status,
+        notes: notes || null,
+        changed_by: req.user.email,
+        allowed_next_statuses: getAllowedTransitions(status),
+        updated_at: new Date().toISOString()
+      }
+    });
+  })
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,25 @@
+// Field fragments shared by several form schemas
+
+// Letters, spaces, hyphens and apostrophes
+const PERSON_NAME = {
+  type: 'text',
+  pattern: "^[a-zA-Z\\s'-]+$",
+  messages: {
+    pattern: '{label} can only contain letters, spaces, hyphens, and apostrophes'
+  }
+};
+
+const EMAIL = {
+  label: 'Email address',
+  type: 'email',
+  required: true,
+  maxLength: 255
+};
+
+const APPLICATION_ID_PATTERN = '^UAE-\\d+-[A-Z0-9]+$';
+
+module.exports = {
+  PERSON_NAME,
+  EMAIL,
+  APPLICATION_ID_PATTERN
+};
@@ -0,0 +1,23 @@
+const { PERSON_NAME, EMAIL } = require('./common');
+
+// Contact form: index.html and pages/contact.html -> POST /api/contact
+module.exports = {
+  name: 'contact',
+  fields: {
+    name: { ...PERSON_NAME, label: 'Name', required: true, minLength: 2, maxLength: 100 },
+    email: EMAIL,
+    phone: { label: 'Phone number', type: 'phone' },
+    inquiry_type: {
+      label: 'Inquiry type',
+      type: 'enum',
+      values: ['general', 'visa_inquiry', 'application_status', 'technical_support', 'complaint', 'suggestion']
+    },
+    subject: { label: 'Subject', required: true, minLength: 5, maxLength: 200 },
+    message: { label: 'Message', required: true, minLength: 10, maxLength: 2000 },
+    preferred_contact_method: {
+      label: 'Contact method',
+      type: 'enum',
+      values: ['email', 'phone', 'both']
+    }
+  }
+};
@@ -0,0 +1,44 @@
+const { PERSON_NAME, EMAIL, APPLICATION_ID_PATTERN } = require('./common');
+
+// Feedback form: pages/feedback.html -> POST /api/feedback
+module.exports = {
+  name: 'feedback',
+  fields: {
+    name: { ...PERSON_NAME, label: 'Name', required: true, minLength: 2, maxLength: 100 },
+    email: EMAIL,
+    service_used: {
+      label: 'Service type',
+      type: 'enum',
+      values: ['visa_application', 'document_verification', 'consultation', 'status_inquiry', 'other']
+    },
+    application_id: {
+      label: 'Application ID',
+      uppercase: true,
+      pattern: APPLICATION_ID_PATTERN,
+      messages: { pattern: 'Please provide a valid application ID if applicable' }
+    },
+    rating: {
+      label: 'Rating',
+      type: 'integer',
+      required: true,
+      min: 1,
+      max: 5,
+      messages: { required: 'Please rate your overall experience' }
+    },
+    feedback_type: {
+      label: 'Feedback type',
+      type: 'enum',
+      required: true,
+      values: ['compliment', 'complaint', 'suggestion', 'general']
+    },
+    subject: { label: 'Subject', required: true, minLength: 5, maxLength: 200 },
+    message: { label: 'Message', required: true, minLength: 10, maxLength: 2000 },
+    would_recommend: {
+      label: 'Recommendation',
+      type: 'enum',
+      required: true,
+      values: ['yes', 'no', 'maybe'],
+      messages: { required: 'Please specify if you would recommend our services' }
+    }
+  }
+};
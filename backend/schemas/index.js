@@ -0,0 +1,25 @@
+const visaApplication = require('./visaApplication');
+const contact = require('./contact');
+const feedback = require('./feedback');
+const newsletter = require('./newsletter');
+
+// Form schemas by public name (used in GET /api/forms/:formName/schema)
+const FORM_SCHEMAS = {
+  [visaApplication.name]: visaApplication,
+  [contact.name]: contact,
+  [feedback.name]: feedback,
+  [newsletter.name]: newsletter
+};
+
+function getFormSchema(formName) {
+  return Object.prototype.hasOwnProperty.call(FORM_SCHEMAS, formName) ? FORM_SCHEMAS[formName] : null;
+}
+
+module.exports = {
+  FORM_SCHEMAS,
+  getFormSchema,
+  visaApplication,
+  contact,
+  feedback,
+  newsletter
+};
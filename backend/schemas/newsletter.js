@@ -0,0 +1,16 @@
+const { PERSON_NAME, EMAIL } = require('./common');
+
+// Newsletter signup: the .newsletter-form footers -> POST /api/newsletter/subscribe
+module.exports = {
+  name: 'newsletter',
+  fields: {
+    email: EMAIL,
+    name: { ...PERSON_NAME, label: 'Name', minLength: 2, maxLength: 100 },
+    preferences: {
+      label: 'Preferences',
+      type: 'array',
+      values: ['visa_updates', 'policy_changes', 'travel_tips', 'promotions', 'general_news'],
+      messages: { each: 'Invalid preference option' }
+    }
+  }
+};
@@ -0,0 +1,115 @@
+const { PERSON_NAME, EMAIL } = require('./common');
+
+// Visa application form: pages/visa-application.html -> POST /api/visa/application
+// The uploaded documents are checked by multer in routes/visa.js, not here.
+module.exports = {
+  name: 'visa-application',
+  fields: {
+    // Personal information
+    first_name: { ...PERSON_NAME, label: 'First name', required: true, minLength: 1, maxLength: 50 },
+    last_name: { ...PERSON_NAME, label: 'Last name', required: true, minLength: 1, maxLength: 50 },
+    date_of_birth: { label: 'Date of birth', type: 'date', required: true, past: true },
+    gender: { label: 'Gender', type: 'enum', required: true, values: ['male', 'female', 'other'] },
+    marital_status: {
+      label: 'Marital status',
+      type: 'enum',
+      required: true,
+      values: ['single', 'married', 'divorced', 'widowed']
+    },
+    place_of_birth: { label: 'Place of birth', required: true, minLength: 2, maxLength: 100 },
+    occupation: { label: 'Occupation', required: true, minLength: 2, maxLength: 100 },
+
+    // Contact details
+    email: EMAIL,
+    phone: { label: 'Phone number', type: 'phone', required: true },
+    address: { label: 'Address', required: true, minLength: 5, maxLength: 500 },
+    city: { label: 'City', required: true, minLength: 2, maxLength: 100 },
+    country: { label: 'Country', required: true, minLength: 2, maxLength: 100 },
+
+    // Passport
+    nationality: { label: 'Nationality', type: 'country', required: true },
+    passport_number: {
+      label: 'Passport number',
+      required: true,
+      uppercase: true,
+      minLength: 6,
+      maxLength: 20,
+      pattern: '^[A-Z0-9]+$',
+      messages: { pattern: 'Passport number can only contain letters and numbers' }
+    },
+    passport_issue_date: { label: 'Passport issue date', type: 'date', required: true, notFuture: true },
+    // UAE entry requires six months of passport validity from arrival
+    passport_expiry_date: {
+      label: 'Passport expiry date',
+      type: 'date',
+      required: true,
+      after: 'passport_issue_date',
+      monthsAfter: { field: 'arrival_date', months: 6 },
+      messages: { monthsAfter: 'Passport must be valid for at least 6 months from the arrival date' }
+    },
+    passport_issue_place: { label: 'Place of issue', required: true, minLength: 2, maxLength: 100 },
+
+    // Travel
+    visa_type: {
+      label: 'Visa type',
+      type: 'enum',
+      required: true,
+      values: ['tourist', 'business', 'transit', 'work', 'student', 'family', 'medical']
+    },
+    duration_of_stay: {
+      label: 'Duration of stay',
+      type: 'integer',
+      required: true,
+      min: 1,
+      max: 365,
+      messages: { integer: '{label} must be between {min} and {max} days' }
+    },
+    arrival_date: { label: 'Arrival date', type: 'date', required: true, notPast: true },
+    departure_date: { label: 'Departure date', type: 'date', required: true, after: 'arrival_date' },
+    purpose_of_visit: { label: 'Purpose of visit', required: true, minLength: 10, maxLength: 500 },
+    accommodation_details: { label: 'Accommodation details', maxLength: 500 },
+    sponsor_information: { label: 'Sponsor information', maxLength: 500 },
+
+    // Visa-type specific details
+    company_name: { label: 'Company name', maxLength: 200 },
+    company_address: { label: 'Company address', maxLength: 200 },
+    hotel_name: { label: 'Hotel/accommodation', maxLength: 200 },
+    tour_operator: { label: 'Tour operator', maxLength: 200 },
+    relative_name: { label: 'Relative name', minLength: 2, maxLength: 100 },
+    relative_relation: {
+      label: 'Relationship',
+      type: 'enum',
+      values: ['spouse', 'parent', 'child', 'sibling', 'other']
+    },
+    sponsor_name: { label: 'Sponsor name', minLength: 2, maxLength: 100 },
+    sponsor_phone: { label: 'Sponsor phone number', type: 'phone' },
+    sponsor_address: { label: 'Sponsor address', maxLength: 500 },
+
+    // Declarations
+    previous_uae_visit: {
+      label: 'Previous UAE visit',
+      type: 'enum',
+      required: true,
+      values: ['yes', 'no'],
+      messages: { required: 'Please specify if you have visited UAE before' }
+    },
+    criminal_record: {
+      label: 'Criminal record',
+      type: 'enum',
+      required: true,
+      values: ['yes', 'no'],
+      messages: { required: 'Please specify if you have any criminal record' }
+    },
+    medical_conditions: { label: 'Medical conditions', maxLength: 500 },
+
+    // Emergency contact
+    emergency_contact_name: { label: 'Emergency contact name', required: true, minLength: 2, maxLength: 100 },
+    emergency_contact_phone: { label: 'Emergency contact phone number', type: 'phone', required: true },
+    emergency_contact_relationship: {
+      label: 'Emergency contact relationship',
+      required: true,
+      minLength: 2,
+      maxLength: 50
+    }
+  }
+};
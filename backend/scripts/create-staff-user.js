@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Create (or reset the password of) a staff account for the admin endpoints.
+//
+// Usage: npm run staff:create -- [--role=<role>] <email> <password> "<full name>"
+//
+// Roles are defined in config/roles.js; the default is case_officer.
+
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const { initializeDatabase, runQuery, getRow, closeDatabase } = require('../config/database');
+const { ROLES, DEFAULT_ROLE, isValidRole } = require('../config/roles');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const roleArg = args.find(arg => arg.startsWith('--role='));
+  const role = roleArg ? roleArg.slice('--role='.length) : DEFAULT_ROLE;
+  const [email, password, ...nameParts] = args.filter(arg => arg !== roleArg);
+  const fullName = nameParts.join(' ').trim();
+
+  if (!email || !password || !fullName) {
+    console.error('Usage: npm run staff:create -- [--role=<role>] <email> <password> "<full name>"');
+    process.exit(1);
+  }
+
+  if (!isValidRole(role)) {
+    console.error(`❌ Unknown role "${role}". Valid roles: ${Object.keys(ROLES).join(', ')}`);
+    process.exit(1);
+  }
+
+  if (password.length < 12) {
+    console.error('❌ Staff passwords must be at least 12 characters long');
+    process.exit(1);
+  }
+
+  await initializeDatabase();
+
+  const normalizedEmail = email.trim().toLowerCase();
+  const passwordHash = await bcrypt.hash(password, parseInt(process.env.BCRYPT_ROUNDS) || 12);
+
+  const existing = await getRow('SELECT id FROM staff_users WHERE email = ?', [normalizedEmail]);
+
+  if (existing) {
+    await runQuery(`
+      UPDATE staff_users
+      SET password_hash = ?, full_name = ?, role = ?, is_active = true, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [passwordHash, fullName, role, existing.id]);
+    console.log(`✅ Updated staff account ${normalizedEmail} (${role})`);
+  } else {
+    await runQuery(`
+      INSERT INTO staff_users (email, password_hash, full_name, role, is_active, created_at, updated_at)
+      VALUES (?, ?, ?, ?, true, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    `, [normalizedEmail, passwordHash, fullName, role]);
+    console.log(`✅ Created staff account ${normalizedEmail} (${role})`);
+  }
+
+  await closeDatabase();
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to create staff account:', error);
+  process.exit(1);
+});
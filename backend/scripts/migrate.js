@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+// Apply, roll back or list database migrations.
+//
+// Usage: npm run migrate                 apply all pending migrations
+//        npm run migrate -- down [steps] roll back the last <steps> migrations (default 1)
+//        npm run migrate -- status       list migrations and whether they are applied
+
+require('dotenv').config();
+const { initializeDatabase, getMigrator, closeDatabase } = require('../config/database');
+
+async function main() {
+  const [command = 'up', stepsArg] = process.argv.slice(2);
+
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error('Usage: npm run migrate -- [up | down [steps] | status]');
+    process.exit(1);
+  }
+
+  await initializeDatabase({ migrate: false });
+  const migrator = getMigrator();
+
+  if (command === 'up') {
+    const applied = await migrator.migrate();
+    console.log(applied.length > 0 ?
+      `✅ Applied ${applied.length} migration(s)` :
+      '✅ Database schema is up to date');
+  }
+
+  if (command === 'down') {
+    const steps = stepsArg === undefined ? 1 : parseInt(stepsArg, 10);
+
+    if (!Number.isInteger(steps) || steps < 1) {
+      console.error('❌ Steps must be a positive whole number');
+      process.exit(1);
+    }
+
+    const reverted = await migrator.rollback(steps);
+    console.log(reverted.length > 0 ?
+      `✅ Rolled back ${reverted.length} migration(s)` :
+      '✅ No migrations to roll back');
+  }
+
+  if (command === 'status') {
+    const migrations = await migrator.status();
+    migrations.forEach((migration) => {
+      const state = migration.applied ? `applied ${migration.applied_at}` : 'pending';
+      console.log(`${migration.applied ? '✅' : '⏳'} ${migration.version}_${migration.name} (${state})`);
+    });
+  }
+
+  await closeDatabase();
+}
+
+main().catch((error) => {
+  console.error('❌ Migration failed:', error);
+  process.exit(1);
+});
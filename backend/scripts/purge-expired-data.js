@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+// Delete records that have outlived their retention period (config/retention.js).
+//
+// Usage: npm run retention:purge                 delete expired records and their files
+//        npm run retention:purge -- --dry-run    only report what would be removed
+//
+// The server also runs this every RETENTION_PURGE_INTERVAL_HOURS.
+
+require('dotenv').config();
+const { initializeDatabase, closeDatabase } = require('../config/database');
+const { purgeExpiredRecords } = require('../utils/dataRetention');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await initializeDatabase();
+
+  const result = await purgeExpiredRecords({ dryRun, triggeredBy: 'cli' });
+
+  for (const group of result.groups) {
+    const marker = group.records_removed === 0 ? '✅' : dryRun ? '⏳' : '🗑️ ';
+    console.log(`${marker} ${group.entity} [${group.status}, ${group.retention_months} months]: ${group.records_removed} record(s), ${group.files_removed} file(s)`);
+  }
+
+  console.log(dryRun
+    ? `Dry run: ${result.records_removed} record(s) and ${result.files_removed} file(s) would be removed`
+    : `Removed ${result.records_removed} record(s) and ${result.files_removed} file(s) (run ${result.run_id})`);
+
+  await closeDatabase();
+}
+
+main().catch((error) => {
+  console.error('❌ Retention purge failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Re-encrypt sensitive columns with the active encryption key.
+//
+// Usage: npm run encryption:rotate              re-encrypt every value not yet on the active key
+//        npm run encryption:rotate -- --check   only report how many values still need it
+//
+// Also encrypts values stored before encryption was configured. To rotate:
+// put the new key first in FIELD_ENCRYPTION_KEYS (keeping the old one), run
+// this script, then remove the old key once it reports nothing left.
+
+require('dotenv').config();
+const { initializeDatabase, getRow, getRows, runQuery, withTransaction, closeDatabase } = require('../config/database');
+const { ENCRYPTED_COLUMNS } = require('../config/encryptedColumns');
+const { isEncryptionEnabled, getActiveKeyId } = require('../utils/fieldEncryption');
+
+const BATCH_SIZE = 200;
+
+// Rows with at least one value that is plaintext or on an older key
+function staleCondition(columns) {
+  return columns.map(column => `(${column} IS NOT NULL AND ${column} NOT LIKE ?)`).join(' OR ');
+}
+
+async function countStale(table, columns, pattern) {
+  const row = await getRow(`
+    SELECT COUNT(*) as total FROM ${table} WHERE ${staleCondition(columns)}
+  `, columns.map(() => pattern));
+  return row.total;
+}
+
+async function rotateTable(table, columns, pattern) {
+  let lastId = 0;
+  let updated = 0;
+
+  for (;;) {
+    // Values come back decrypted and are re-encrypted by runQuery
+    const rows = await getRows(`
+      SELECT id, ${columns.join(', ')} FROM ${table}
+      WHERE id > ? AND (${staleCondition(columns)})
+      ORDER BY id
+      LIMIT ${BATCH_SIZE}
+    `, [lastId, ...columns.map(() => pattern)]);
+
+    if (rows.length === 0) {
+      return updated;
+    }
+
+    await withTransaction(async () => {
+      for (const row of rows) {
+        await runQuery(`
+          UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?
+        `, [...columns.map(column => row[column]), row.id]);
+      }
+    });
+
+    updated += rows.length;
+    lastId = rows[rows.length - 1].id;
+  }
+}
+
+async function main() {
+  const checkOnly = process.argv.includes('--check');
+
+  if (!isEncryptionEnabled()) {
+    console.error('❌ FIELD_ENCRYPTION_KEYS is not set; nothing to encrypt with');
+    process.exit(1);
+  }
+
+  await initializeDatabase({ migrate: false });
+
+  const activeKeyId = getActiveKeyId();
+  const pattern = `enc:v${activeKeyId}:%`;
+  let remaining = 0;
+
+  for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+    const stale = await countStale(table, columns, pattern);
+
+    if (checkOnly || stale === 0) {
+      console.log(`${stale === 0 ? '✅' : '⏳'} ${table}: ${stale} row(s) not on key ${activeKeyId}`);
+      remaining += stale;
+      continue;
+    }
+
+    const updated = await rotateTable(table, columns, pattern);
+    console.log(`✅ ${table}: re-encrypted ${updated} row(s) with key ${activeKeyId}`);
+  }
+
+  await closeDatabase();
+
+  if (checkOnly && remaining > 0) {
+    process.exit(2);
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exit(1);
+});
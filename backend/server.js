@@ -4,7 +4,6 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
 const morgan = require('morgan');
-const path = require('path');
 require('dotenv').config();
 
 // Import routes
@@ -13,10 +12,23 @@ const contactRoutes = require('./routes/contact');
 const feedbackRoutes = require('./routes/feedback');
 const newsletterRoutes = require('./routes/newsletter');
 const healthRoutes = require('./routes/health');
+const authRoutes = require('./routes/auth');
+const formRoutes = require('./routes/forms');
+const adminRoutes = require('./routes/admin');
+const privacyRoutes = require('./routes/privacy');
+const paymentRoutes = require('./routes/payments');
+const referenceRoutes = require('./routes/reference');
 
 // Import middleware
 const { errorHandler } = require('./middleware/errorHandler');
 const { initializeDatabase } = require('./config/database');
+const { UPLOADS_DIR, ensureUploadDirectories, startQuarantineSweeper } = require('./utils/uploadStorage');
+const { isEncryptionEnabled, checkEncryptionConfig, getBlindIndexKey } = require('./utils/fieldEncryption');
+const { getRetentionPolicy } = require('./config/retention');
+const { startRetentionSchedule } = require('./utils/dataRetention');
+const { getDuplicateAction } = require('./utils/duplicateApplications');
+const { getPaymentProvider } = require('./utils/paymentProviders');
+const { getApiUrl } = require('./utils/publicUrls');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -41,7 +53,7 @@ const corsOptions = {
   origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000', 'http://localhost:8080'],
   credentials: true,
   optionsSuccessStatus: 200,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
 };
 app.use(cors(corsOptions));
@@ -61,25 +73,34 @@ app.use('/api/', limiter);
 
 // Body parsing middleware
 app.use(compression());
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for payment webhook signatures
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Logging middleware
-if (process.env.NODE_ENV !== 'production') {
-  app.use(morgan('dev'));
-} else {
+if (process.env.NODE_ENV === 'production') {
   app.use(morgan('combined'));
+} else if (process.env.NODE_ENV !== 'test') {
+  app.use(morgan('dev'));
 }
 
-// Static files for uploads
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
-
 // API Routes
 app.use('/api/health', healthRoutes);
+app.use('/api/auth', authRoutes);
 app.use('/api/visa', visaRoutes);
 app.use('/api/contact', contactRoutes);
 app.use('/api/feedback', feedbackRoutes);
 app.use('/api/newsletter', newsletterRoutes);
+app.use('/api/forms', formRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/privacy', privacyRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/reference', referenceRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -89,10 +110,16 @@ app.get('/', (req, res) => {
     status: 'active',
     endpoints: {
       health: '/api/health',
+      auth: '/api/auth',
       visa: '/api/visa',
       contact: '/api/contact',
       feedback: '/api/feedback',
-      newsletter: '/api/newsletter'
+      newsletter: '/api/newsletter',
+      forms: '/api/forms',
+      admin: '/api/admin',
+      privacy: '/api/privacy',
+      payments: '/api/payments',
+      reference: '/api/reference'
     },
     documentation: 'https://github.com/yourusername/uae-visa-services-backend'
   });
@@ -119,15 +146,41 @@ app.use(errorHandler);
 // Initialize database and start server
 async function startServer() {
   try {
+    // Migrations hash and encrypt applicant data, so check the keys before
+    // running them. Refuses to run without encryption keys in production.
+    getBlindIndexKey();
+    checkEncryptionConfig();
+
     await initializeDatabase();
     console.log('✅ Database initialized successfully');
+
+    await ensureUploadDirectories();
+    startQuarantineSweeper();
+
+    if (!isEncryptionEnabled()) {
+      console.warn('⚠️  FIELD_ENCRYPTION_KEYS is not set; sensitive applicant fields are stored unencrypted');
+    }
+
+    // Validate RETENTION_POLICY before the first scheduled purge uses it
+    getRetentionPolicy();
+    startRetentionSchedule();
+    getDuplicateAction();
+
+    // Refuses a missing PAYMENT_PROVIDER in production and missing gateway settings
+    const paymentProvider = getPaymentProvider();
+    paymentProvider.checkConfig();
+    getApiUrl();
+
+    if (paymentProvider.name === 'mock' && process.env.NODE_ENV === 'production') {
+      console.warn('⚠️  PAYMENT_PROVIDER is mock; application fees are not being collected and there is no checkout page');
+    }
     
     app.listen(PORT, () => {
       console.log(`🚀 UAE Visa Services API running on port ${PORT}`);
       console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
       console.log(`🌐 CORS enabled for: ${corsOptions.origin.join(', ')}`);
       console.log(`📊 Rate limit: ${limiter.max} requests per ${limiter.windowMs / 60000} minutes`);
-      console.log(`📁 Upload directory: ${path.join(__dirname, 'uploads')}`);
+      console.log(`📁 Upload directory: ${UPLOADS_DIR}`);
       
       if (process.env.NODE_ENV !== 'production') {
         console.log(`\n🔗 API Endpoints:`);
@@ -144,28 +197,31 @@ async function startServer() {
   }
 }
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('\n🛑 SIGTERM received, shutting down gracefully...');
-  process.exit(0);
-});
+// Start listening when run directly; tests require the app without a server
+if (require.main === module) {
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('\n🛑 SIGTERM received, shutting down gracefully...');
+    process.exit(0);
+  });
 
-process.on('SIGINT', () => {
-  console.log('\n🛑 SIGINT received, shutting down gracefully...');
-  process.exit(0);
-});
+  process.on('SIGINT', () => {
+    console.log('\n🛑 SIGINT received, shutting down gracefully...');
+    process.exit(0);
+  });
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error);
-  process.exit(1);
-});
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (error) => {
+    console.error('❌ Uncaught Exception:', error);
+    process.exit(1);
+  });
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
 
-startServer();
+  startServer();
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,114 @@
+jest.mock('../utils/emailService');
+
+const PDFDocument = require('pdfkit');
+const request = require('supertest');
+const app = require('../server');
+const { sendEmail } = require('../utils/emailService');
+const { renderReceipt, renderInvoice } = require('../utils/applicationPdfs');
+const { quoteVisaFee } = require('../utils/feeQuote');
+const { useTestDatabase, createApplication, submitApplication, staffToken } = require('./helpers');
+
+// pdfkit compresses page content, so collect the text as it is drawn
+async function drawnText(render) {
+  const text = jest.spyOn(PDFDocument.prototype, 'text');
+  try {
+    const pdf = await render();
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    return text.mock.calls.map(([value]) => String(value));
+  } finally {
+    text.mockRestore();
+  }
+}
+
+describe('application PDFs', () => {
+  const application = {
+    application_id: 'UAE-PDF-1',
+    full_name: 'Jane Doe',
+    email: 'jane@example.com',
+    phone: '+14155550100',
+    nationality: 'US',
+    passport_number: 'AB1234567',
+    visa_type: 'tourist',
+    arrival_date: '2030-01-01',
+    departure_date: '2030-01-15',
+    duration_of_stay: 14,
+    status: 'pending',
+    created_at: '2029-12-01 10:00:00'
+  };
+  const invoice = {
+    invoice_id: 'INV-PDF-1',
+    ...quoteVisaFee({ nationality: 'US', visa_type: 'tourist', duration_of_stay: 14 }),
+    status: 'unpaid',
+    paid_at: null,
+    created_at: '2029-12-01 10:00:00'
+  };
+
+  test('the receipt shows the application and masks the passport number', async () => {
+    const text = await drawnText(() => renderReceipt(application, invoice));
+
+    expect(text).toEqual(expect.arrayContaining([
+      'Application Receipt', 'UAE-PDF-1', 'Jane Doe', '*****4567', 'Awaiting payment'
+    ]));
+    expect(text.join(' ')).not.toContain('AB1234567');
+  });
+
+  test('the receipt leaves out fees when there is no invoice', async () => {
+    const text = await drawnText(() => renderReceipt(application, null));
+
+    expect(text).not.toContain('Fee Breakdown');
+  });
+
+  test('the invoice itemises the fees with their VAT', async () => {
+    const text = await drawnText(() => renderInvoice(application, { ...invoice, status: 'paid', paid_at: '2029-12-02 09:00:00' }));
+
+    expect(text).toEqual(expect.arrayContaining([
+      'Tax Invoice', 'Tourist visa (up to 30 days)', 'AED 350.00', 'AED 7.50 (5%)', 'AED 539.00', 'Paid on December 02, 2029'
+    ]));
+  });
+
+  describe('downloads and emails', () => {
+    useTestDatabase();
+
+    beforeEach(() => {
+      sendEmail.mockReset();
+      sendEmail.mockResolvedValue({ success: true });
+    });
+
+    test('the confirmation email attaches the receipt and invoice', async () => {
+      const res = await submitApplication(request, app, { passport_number: 'PD1000001' });
+      const { attachments } = sendEmail.mock.calls[0][0];
+
+      expect(attachments.map(attachment => attachment.filename)).toEqual([
+        `receipt-${res.body.data.application_id}.pdf`,
+        `invoice-${res.body.data.invoice.invoice_id}.pdf`
+      ]);
+      expect(attachments.every(attachment => attachment.content.subarray(0, 5).toString() === '%PDF-')).toBe(true);
+    });
+
+    test('applicants download them through the signed links of the status lookup', async () => {
+      const submitted = await submitApplication(request, app, { email: 'pdf@example.com', passport_number: 'PD1000002' });
+      const lookup = await request(app)
+        .post('/api/visa/status')
+        .send({ applicationId: submitted.body.data.application_id, email: 'pdf@example.com' });
+      const { receiptUrl, invoice: invoiceLink } = lookup.body.data.application;
+
+      for (const link of [receiptUrl, invoiceLink.downloadUrl]) {
+        const res = await request(app).get(link);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('application/pdf');
+        expect(res.headers['cache-control']).toBe('private, no-store');
+      }
+    });
+
+    test('an application without an invoice has no invoice PDF', async () => {
+      const { application_id: id } = await createApplication();
+      const res = await request(app)
+        .get(`/api/visa/applications/${id}/invoice`)
+        .set('Authorization', `Bearer ${await staffToken(request, app, 'case_officer')}`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe('INVOICE_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const request = require('supertest');
+const app = require('../server');
+const { runQuery, getRow } = require('../config/database');
+const { signPath } = require('../utils/signedUrls');
+const { useTestDatabase, staffToken, createApplication } = require('./helpers');
+
+describe('audit trail', () => {
+  useTestDatabase();
+
+  let admin;
+  let officer;
+  let application;
+
+  beforeAll(async () => {
+    admin = await staffToken(request, app, 'admin');
+    officer = await staffToken(request, app, 'case_officer');
+    application = await createApplication();
+  });
+
+  // Entries are written once the response has been sent
+  async function auditEntry(action) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const entry = await getRow('SELECT * FROM audit_log WHERE action = ? ORDER BY id DESC LIMIT 1', [action]);
+      if (entry) {
+        return entry;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`No audit entry for ${action}`);
+  }
+
+  test('records staff reads with the actor, role and status code', async () => {
+    await request(app)
+      .get(`/api/visa/applications/${application.application_id}`)
+      .set('Authorization', `Bearer ${officer}`)
+      .expect(200);
+
+    expect(await auditEntry('read')).toMatchObject({
+      actor: expect.stringMatching(/^case_officer-\d+@example\.com$/),
+      actor_role: 'case_officer',
+      method: 'GET',
+      path: `/api/visa/applications/${application.application_id}`,
+      entity: 'visa_applications',
+      entity_id: application.application_id,
+      status_code: 200
+    });
+  });
+
+  test('leaves search terms out of the entry', async () => {
+    await request(app)
+      .get('/api/admin/search')
+      .query({ q: 'AB1234567' })
+      .set('Authorization', `Bearer ${admin}`);
+
+    const entry = await auditEntry('search');
+
+    expect(entry.path).toBe('/api/admin/search');
+    expect(JSON.stringify(entry)).not.toContain('AB1234567');
+  });
+
+  test('leaves the signature of a download link out of the entry', async () => {
+    const link = signPath(`/api/visa/applications/${application.application_id}/receipt`);
+    const signature = new URL(link, 'http://localhost').searchParams.get('signature');
+
+    await request(app).get(link).expect(200);
+
+    const entry = await auditEntry('download_receipt');
+
+    expect(entry.actor).toBe('signed-link');
+    expect(entry.path).toBe(`/api/visa/applications/${application.application_id}/receipt`);
+    expect(JSON.stringify(entry)).not.toContain(signature);
+  });
+
+  test('entries cannot be changed or deleted', async () => {
+    await expect(runQuery("UPDATE audit_log SET actor = 'someone-else'")).rejects.toThrow('append-only');
+    await expect(runQuery('DELETE FROM audit_log')).rejects.toThrow('append-only');
+  });
+
+  test('only staff with audit:read can search the log', async () => {
+    const denied = await request(app)
+      .get('/api/admin/audit-log')
+      .set('Authorization', `Bearer ${officer}`);
+    const allowed = await request(app)
+      .get('/api/admin/audit-log')
+      .query({ entity: 'visa_applications', entity_id: application.application_id })
+      .set('Authorization', `Bearer ${admin}`);
+
+    expect(denied.status).toBe(403);
+    expect(allowed.status).toBe(200);
+    expect(allowed.body.data.entries.length).toBeGreaterThan(0);
+  });
+});
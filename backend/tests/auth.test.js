@@ -0,0 +1,75 @@
+const request = require('supertest');
+const app = require('../server');
+const { useTestDatabase, createStaff } = require('./helpers');
+
+describe('staff authentication', () => {
+  useTestDatabase();
+
+  let officer;
+
+  beforeAll(async () => {
+    officer = await createStaff({ email: 'officer@example.com' });
+    await createStaff({ email: 'disabled@example.com', isActive: false });
+  });
+
+  const login = (email, password) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password });
+
+  test('logs in with the right password', async () => {
+    const res = await login('Officer@Example.com', officer.password);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token_type).toBe('Bearer');
+    expect(res.body.data.staff).toMatchObject({ email: 'officer@example.com', role: 'case_officer' });
+    expect(res.body.data.staff.permissions).toContain('visa:read');
+  });
+
+  test('refuses a wrong password and an unknown email alike', async () => {
+    const wrongPassword = await login('officer@example.com', 'not the password');
+    const unknownEmail = await login('nobody@example.com', officer.password);
+
+    expect(wrongPassword.status).toBe(401);
+    expect(unknownEmail.status).toBe(401);
+    expect(wrongPassword.body.code).toBe('INVALID_CREDENTIALS');
+    expect(unknownEmail.body.code).toBe('INVALID_CREDENTIALS');
+  });
+
+  test('refuses a disabled account', async () => {
+    const res = await login('disabled@example.com', officer.password);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('ACCOUNT_DISABLED');
+  });
+
+  test('returns the account for a valid token', async () => {
+    const { body } = await login('officer@example.com', officer.password);
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${body.data.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.staff.email).toBe('officer@example.com');
+  });
+
+  test('rejects a missing or forged token', async () => {
+    const missing = await request(app).get('/api/auth/me');
+    const forged = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', 'Bearer not.a.token');
+
+    expect(missing.status).toBe(401);
+    expect(missing.body.code).toBe('AUTH_REQUIRED');
+    expect(forged.status).toBe(401);
+  });
+
+  test('checks role permissions', async () => {
+    const { body } = await login('officer@example.com', officer.password);
+    const res = await request(app)
+      .get('/api/admin/retention')
+      .set('Authorization', `Bearer ${body.data.token}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+  });
+});
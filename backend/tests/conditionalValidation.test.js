@@ -0,0 +1,84 @@
+jest.mock('../utils/emailService');
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const request = require('supertest');
+const app = require('../server');
+const { sendEmail } = require('../utils/emailService');
+const { handleValidationErrors } = require('../middleware/errorHandler');
+const { conditionalRulesets, applyConditionalRules } = require('../utils/validation');
+const { useTestDatabase, submitApplication } = require('./helpers');
+
+describe('conditional validation', () => {
+  // A form whose "kind" decides which other fields are required
+  const form = express();
+  form.use(express.json());
+  form.post('/',
+    applyConditionalRules({
+      field: 'kind',
+      rules: { company: [body('company_name').notEmpty().withMessage('Company name is required')] }
+    }),
+    handleValidationErrors,
+    (req, res) => res.status(200).json({ status: 'success' })
+  );
+
+  test('runs only the rules for the value of the field', async () => {
+    const company = await request(form).post('/').send({ kind: 'company' });
+    const person = await request(form).post('/').send({ kind: 'person' });
+
+    expect(company.status).toBe(400);
+    expect(company.body.errors).toEqual([expect.objectContaining({ field: 'company_name', message: 'Company name is required' })]);
+    expect(person.status).toBe(200);
+  });
+
+  test('values naming inherited object keys match no rules', async () => {
+    for (const kind of ['constructor', 'toString', '__proto__']) {
+      expect((await request(form).post('/').send({ kind })).status).toBe(200);
+    }
+  });
+
+  test('the visa application rules come from the visa type requirements', async () => {
+    const { field, rules } = conditionalRulesets.visaApplication;
+    const requiredFields = async (visaType) => {
+      const req = { body: {} };
+      for (const chain of rules[visaType]) {
+        await chain.run(req);
+      }
+      return validationResult(req).array().map(error => error.path);
+    };
+
+    expect(field).toBe('visa_type');
+    expect(await requiredFields('tourist')).toEqual([]);
+    expect(await requiredFields('business')).toEqual(['company_name', 'company_address']);
+    expect(await requiredFields('family')).toEqual(['relative_name', 'relative_relation', 'sponsor_name', 'sponsor_phone']);
+  });
+
+  describe('on submission', () => {
+    useTestDatabase();
+
+    beforeEach(() => {
+      sendEmail.mockResolvedValue({ success: true });
+    });
+
+    test('a business visa needs the company details', async () => {
+      const res = await submitApplication(request, app, { visa_type: 'business', company_name: '  ', passport_number: 'CV1000001' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('VALIDATION_ERROR');
+      expect(res.body.errors.map(({ field, message }) => ({ field, message }))).toEqual([
+        { field: 'company_name', message: 'Company name is required for a business visa' },
+        { field: 'company_address', message: 'Company address is required for a business visa' }
+      ]);
+    });
+
+    test('with them it is accepted, and other visa types do not ask for them', async () => {
+      const business = await submitApplication(request, app, {
+        visa_type: 'business', company_name: 'Acme Trading', company_address: '1 Sheikh Zayed Road, Dubai', passport_number: 'CV1000002'
+      });
+      const tourist = await submitApplication(request, app, { passport_number: 'CV1000003' });
+
+      expect(business.status).toBe(201);
+      expect(tourist.status).toBe(201);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+jest.mock('../utils/emailService');
+
+const request = require('supertest');
+const app = require('../server');
+const { getRow } = require('../config/database');
+const { sendEmail } = require('../utils/emailService');
+const { findCountry, normaliseNationality, isCountryCode } = require('../utils/countries');
+const { useTestDatabase, submitApplication } = require('./helpers');
+
+describe('countries', () => {
+  test('a nationality resolves from its codes, name, aliases or demonym', () => {
+    ['gb', 'GBR', 'United Kingdom', ' uk ', 'British'].forEach(value => {
+      expect(normaliseNationality(value)).toBe('GB');
+    });
+    expect(normaliseNationality('Cote d\'Ivoire')).toBe('CI');
+  });
+
+  test('a demonym shared by several countries resolves to none of them', () => {
+    expect(findCountry('Congolese')).toBeNull();
+    expect(findCountry('Congo')).toMatchObject({ code: 'CG' });
+  });
+
+  test('unknown and empty values do not resolve', () => {
+    expect(normaliseNationality('Atlantis')).toBeNull();
+    expect(normaliseNationality('')).toBeNull();
+    expect(normaliseNationality(undefined)).toBeNull();
+  });
+
+  test('only alpha-2 codes, as written, are country codes', () => {
+    expect(isCountryCode('AE')).toBe(true);
+    expect(isCountryCode('ae')).toBe(false);
+    expect(isCountryCode('ARE')).toBe(false);
+  });
+
+  describe('through the API', () => {
+    useTestDatabase();
+
+    test('lists the countries by name, cacheable', async () => {
+      const res = await request(app).get('/api/reference/countries');
+      const { countries } = res.body.data;
+      const names = countries.map(country => country.name);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['cache-control']).toBe('public, max-age=86400');
+      expect(countries.find(country => country.code === 'AE')).toEqual({
+        code: 'AE', alpha3: 'ARE', name: 'United Arab Emirates', demonym: 'Emirati', dialling_code: '+971'
+      });
+      expect(names).toEqual([...names].sort((a, b) => a.localeCompare(b, 'en')));
+    });
+
+    test('submission stores the nationality as its code', async () => {
+      sendEmail.mockResolvedValue({ success: true });
+      const res = await submitApplication(request, app, { nationality: 'British', passport_number: 'CT1000001' });
+
+      expect(res.status).toBe(201);
+      expect(await getRow('SELECT nationality FROM visa_applications WHERE application_id = ?', [res.body.data.application_id]))
+        .toEqual({ nationality: 'GB' });
+    });
+
+    test('an unknown nationality is refused', async () => {
+      const res = await request(app)
+        .get('/api/visa/quote')
+        .query({ nationality: 'Atlantis', visa_type: 'tourist', duration_of_stay: 14 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors).toEqual([expect.objectContaining({ field: 'nationality', message: 'Please select a valid nationality' })]);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../utils/emailService');
+
+const request = require('supertest');
+const app = require('../server');
+const { getRow } = require('../config/database');
+const { sendEmail } = require('../utils/emailService');
+const { blindIndex } = require('../utils/fieldEncryption');
+const { findConflictingApplications, getDuplicateAction } = require('../utils/duplicateApplications');
+const { useTestDatabase, createApplication, submitApplication } = require('./helpers');
+
+describe('duplicate applications', () => {
+  useTestDatabase();
+
+  afterEach(() => {
+    delete process.env.DUPLICATE_APPLICATION_ACTION;
+  });
+
+  describe('overlap rules', () => {
+    let existing;
+
+    beforeAll(async () => {
+      existing = await createApplication({
+        passport_number: 'DP1000001',
+        visa_type: 'tourist',
+        arrival_date: '2030-03-01',
+        departure_date: '2030-03-15'
+      });
+      await createApplication({
+        passport_number: 'DP1000001',
+        visa_type: 'tourist',
+        arrival_date: '2030-05-01',
+        departure_date: '2030-05-15',
+        status: 'rejected'
+      });
+    });
+
+    function conflicts(fields) {
+      return findConflictingApplications({
+        passport_number_hash: blindIndex(fields.passport_number || 'DP1000001'),
+        visa_type: 'tourist',
+        ...fields
+      });
+    }
+
+    test('overlapping or touching dates for the same passport and visa type conflict', async () => {
+      expect(await conflicts({ arrival_date: '2030-03-10', departure_date: '2030-03-20' })).toEqual([existing.application_id]);
+      expect(await conflicts({ arrival_date: '2030-02-20', departure_date: '2030-04-01' })).toEqual([existing.application_id]);
+      expect(await conflicts({ arrival_date: '2030-03-15', departure_date: '2030-03-20' })).toEqual([existing.application_id]);
+    });
+
+    test('the passport number matches however it was typed', async () => {
+      expect(await conflicts({ passport_number: 'dp 100-0001', arrival_date: '2030-03-10', departure_date: '2030-03-20' }))
+        .toEqual([existing.application_id]);
+    });
+
+    test('separate dates, another visa type or passport, and rejected applications do not conflict', async () => {
+      expect(await conflicts({ arrival_date: '2030-03-16', departure_date: '2030-03-30' })).toEqual([]);
+      expect(await conflicts({ visa_type: 'business', arrival_date: '2030-03-10', departure_date: '2030-03-20' })).toEqual([]);
+      expect(await conflicts({ passport_number: 'DP1000002', arrival_date: '2030-03-10', departure_date: '2030-03-20' })).toEqual([]);
+      expect(await conflicts({ arrival_date: '2030-05-10', departure_date: '2030-05-20' })).toEqual([]);
+    });
+
+    test('DUPLICATE_APPLICATION_ACTION must be flag or reject', () => {
+      expect(getDuplicateAction()).toBe('flag');
+
+      process.env.DUPLICATE_APPLICATION_ACTION = 'ignore';
+      expect(() => getDuplicateAction()).toThrow('DUPLICATE_APPLICATION_ACTION must be one of: flag, reject');
+    });
+  });
+
+  describe('on submission', () => {
+    beforeEach(() => {
+      sendEmail.mockResolvedValue({ success: true });
+    });
+
+    test('flags a repeat submission for review by default', async () => {
+      const first = await submitApplication(request, app, { passport_number: 'DP2000001' });
+      const second = await submitApplication(request, app, { passport_number: 'DP2000001' });
+
+      const stored = await getRow('SELECT is_flagged_duplicate, duplicate_of FROM visa_applications WHERE application_id = ?', [second.body.data.application_id]);
+
+      expect(second.status).toBe(201);
+      expect(Boolean(stored.is_flagged_duplicate)).toBe(true);
+      expect(stored.duplicate_of).toBe(first.body.data.application_id);
+    });
+
+    test('refuses it when set to reject', async () => {
+      await submitApplication(request, app, { passport_number: 'DP3000001' });
+
+      process.env.DUPLICATE_APPLICATION_ACTION = 'reject';
+      const res = await submitApplication(request, app, { passport_number: 'dp3000001' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('DUPLICATE_APPLICATION');
+    });
+  });
+});
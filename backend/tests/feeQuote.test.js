@@ -0,0 +1,57 @@
+const request = require('supertest');
+const app = require('../server');
+const { quoteVisaFee } = require('../utils/feeQuote');
+const { useTestDatabase } = require('./helpers');
+
+function visaFee(quote) {
+  return quote.items.find(item => item.code === 'visa_fee');
+}
+
+describe('visa fee quotes', () => {
+  test('a stay uses the first tier that covers it', () => {
+    const quote = days => quoteVisaFee({ nationality: 'US', visa_type: 'tourist', duration_of_stay: days });
+
+    expect(visaFee(quote(30))).toMatchObject({ label: 'Tourist visa (up to 30 days)', amount: 350 });
+    expect(visaFee(quote(31))).toMatchObject({ label: 'Tourist visa (up to 60 days)', amount: 650 });
+    expect(visaFee(quote(90)).amount).toBe(900);
+    expect(quote(91)).toBeNull();
+  });
+
+  test('nationality fees replace only the visa types they list', () => {
+    expect(visaFee(quoteVisaFee({ nationality: 'IN', visa_type: 'tourist', duration_of_stay: 30 })).amount).toBe(300);
+    expect(visaFee(quoteVisaFee({ nationality: 'IN', visa_type: 'business', duration_of_stay: 30 })).amount).toBe(500);
+  });
+
+  test('adds service fees and VAT on the vatable items only', () => {
+    const quote = quoteVisaFee({ nationality: 'US', visa_type: 'tourist', duration_of_stay: 14 });
+
+    expect(quote.items).toEqual([
+      { code: 'visa_fee', label: 'Tourist visa (up to 30 days)', amount: 350, vat_rate: 0, vat: 0 },
+      { code: 'service_fee', label: 'Service fee', amount: 150, vat_rate: 0.05, vat: 7.5 },
+      { code: 'document_handling', label: 'Document handling', amount: 30, vat_rate: 0.05, vat: 1.5 }
+    ]);
+    expect(quote).toMatchObject({ currency: 'AED', subtotal: 530, vat: 9, total: 539, processing_time: '3-5 business days' });
+  });
+
+  describe('through the API', () => {
+    useTestDatabase();
+
+    const getQuote = query => request(app).get('/api/visa/quote').query(query);
+
+    test('quotes a valid stay', async () => {
+      const res = await getQuote({ nationality: 'US', visa_type: 'tourist', duration_of_stay: 14 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.quote.total).toBe(539);
+    });
+
+    test('refuses a stay longer than any tier and a bad duration', async () => {
+      const tooLong = await getQuote({ nationality: 'US', visa_type: 'transit', duration_of_stay: 31 });
+      const invalid = await getQuote({ nationality: 'US', visa_type: 'tourist', duration_of_stay: 0 });
+
+      expect(tooLong.status).toBe(400);
+      expect(tooLong.body.code).toBe('QUOTE_UNAVAILABLE');
+      expect(invalid.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { runQuery, getRow } = require('../config/database');
+const {
+  DecryptionError, resetKeyring, checkEncryptionConfig, getKeyId, encryptValue, decryptValue, blindIndex
+} = require('../utils/fieldEncryption');
+const { useTestDatabase } = require('./helpers');
+
+// Flip one character of the ciphertext part
+function tamper(value) {
+  const last = value.slice(-2, -1) === 'A' ? 'B' : 'A';
+  return `${value.slice(0, -2)}${last}${value.slice(-1)}`;
+}
+
+describe('field encryption', () => {
+  const originalKeys = process.env.FIELD_ENCRYPTION_KEYS;
+
+  afterEach(() => {
+    process.env.FIELD_ENCRYPTION_KEYS = originalKeys;
+    resetKeyring();
+  });
+
+  test('round-trips a value under a fresh IV each time', () => {
+    const first = encryptValue('AB1234567');
+    const second = encryptValue('AB1234567');
+
+    expect(first).toMatch(/^enc:v1:/);
+    expect(first).not.toBe(second);
+    expect(decryptValue(first)).toBe('AB1234567');
+    expect(decryptValue(second)).toBe('AB1234567');
+  });
+
+  test('leaves null and plain text values alone', () => {
+    expect(encryptValue(null)).toBeNull();
+    expect(decryptValue('not encrypted')).toBe('not encrypted');
+  });
+
+  test('refuses a tampered value', () => {
+    expect(() => decryptValue(tamper(encryptValue('AB1234567')))).toThrow(DecryptionError);
+  });
+
+  test('reads values written with an older key after rotation', () => {
+    const old = encryptValue('AB1234567');
+
+    process.env.FIELD_ENCRYPTION_KEYS = `2:${crypto.randomBytes(32).toString('base64')},${originalKeys}`;
+    resetKeyring();
+
+    expect(getKeyId(encryptValue('AB1234567'))).toBe('2');
+    expect(decryptValue(old)).toBe('AB1234567');
+  });
+
+  test('refuses to run without keys in production only', () => {
+    delete process.env.FIELD_ENCRYPTION_KEYS;
+    resetKeyring();
+
+    expect(encryptValue('AB1234567')).toBe('AB1234567');
+    expect(() => checkEncryptionConfig()).not.toThrow();
+
+    process.env.NODE_ENV = 'production';
+    try {
+      expect(() => checkEncryptionConfig()).toThrow('FIELD_ENCRYPTION_KEYS must be set in production');
+    } finally {
+      process.env.NODE_ENV = 'test';
+    }
+  });
+
+  test('blind index ignores case, spaces and hyphens and needs its key', () => {
+    expect(blindIndex('ab 123-4567')).toBe(blindIndex('AB1234567'));
+    expect(blindIndex('')).toBeNull();
+
+    const key = process.env.FIELD_BLIND_INDEX_KEY;
+    delete process.env.FIELD_BLIND_INDEX_KEY;
+    try {
+      expect(() => blindIndex('AB1234567')).toThrow('FIELD_BLIND_INDEX_KEY');
+    } finally {
+      process.env.FIELD_BLIND_INDEX_KEY = key;
+    }
+  });
+
+  describe('through the data layer', () => {
+    useTestDatabase();
+
+    async function insertApplication(applicationId) {
+      await runQuery(`
+        INSERT INTO visa_applications (
+          application_id, full_name, email, phone, nationality, passport_number, medical_conditions,
+          visa_type, purpose_of_visit, duration_of_stay, arrival_date, departure_date
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        applicationId, 'Jane Doe', 'jane@example.com', '+14155550100', 'US', 'AB1234567', null,
+        'tourist', 'Holiday with family', 30, '2030-01-01', '2030-01-30'
+      ]);
+    }
+
+    test('stores ciphertext and reads back plaintext', async () => {
+      await insertApplication('UAE-ENC-1');
+
+      const stored = await getRow('SELECT passport_number AS stored FROM visa_applications WHERE application_id = ?', ['UAE-ENC-1']);
+      const row = await getRow('SELECT passport_number, medical_conditions FROM visa_applications WHERE application_id = ?', ['UAE-ENC-1']);
+
+      expect(stored.stored).toMatch(/^enc:v1:/);
+      expect(row.passport_number).toBe('AB1234567');
+      expect(row.medical_conditions).toBeNull();
+    });
+
+    test('encrypts values written by an UPDATE', async () => {
+      await insertApplication('UAE-ENC-2');
+      await runQuery('UPDATE visa_applications SET medical_conditions = ? WHERE application_id = ?', ['Asthma', 'UAE-ENC-2']);
+
+      const stored = await getRow('SELECT medical_conditions AS stored FROM visa_applications WHERE application_id = ?', ['UAE-ENC-2']);
+      const row = await getRow('SELECT medical_conditions FROM visa_applications WHERE application_id = ?', ['UAE-ENC-2']);
+
+      expect(stored.stored).toMatch(/^enc:v1:/);
+      expect(row.medical_conditions).toBe('Asthma');
+    });
+
+    test('fails the query on a tampered value and logs which one', async () => {
+      await insertApplication('UAE-ENC-3');
+      const { stored } = await getRow('SELECT passport_number AS stored FROM visa_applications WHERE application_id = ?', ['UAE-ENC-3']);
+      await runQuery(`UPDATE visa_applications SET passport_number = '${tamper(stored)}' WHERE application_id = 'UAE-ENC-3'`);
+
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      try {
+        await expect(getRow('SELECT id, passport_number FROM visa_applications WHERE application_id = ?', ['UAE-ENC-3']))
+          .rejects.toThrow(DecryptionError);
+        expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('Could not decrypt visa_applications.passport_number'));
+      } finally {
+        consoleError.mockRestore();
+      }
+    });
+  });
+});
@@ -0,0 +1,93 @@
+jest.mock('../utils/emailService');
+
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const request = require('supertest');
+const app = require('../server');
+const { getRow } = require('../config/database');
+const { MIME_TYPES, detectMimeType, normalizeMimeType } = require('../utils/fileSignatures');
+const { useTestDatabase, submitApplication, passportPhoto, PDF_DOCUMENT } = require('./helpers');
+
+// A ZIP archive with the given entry names
+async function zipOf(names) {
+  const archive = archiver('zip');
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => output.on('end', resolve));
+
+  archive.pipe(output);
+  names.forEach(name => archive.append('<xml/>', { name }));
+  await archive.finalize();
+  await finished;
+
+  return Buffer.concat(chunks);
+}
+
+describe('file signatures', () => {
+  test('recognises each supported format by its leading bytes', async () => {
+    expect(detectMimeType(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00]))).toBe(MIME_TYPES.jpeg);
+    expect(detectMimeType(await passportPhoto({ width: 35, height: 45 }))).toBe(MIME_TYPES.png);
+    expect(detectMimeType(PDF_DOCUMENT)).toBe(MIME_TYPES.pdf);
+    expect(detectMimeType(Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1, 0x00]))).toBe(MIME_TYPES.doc);
+    expect(detectMimeType(await zipOf(['[Content_Types].xml', 'word/document.xml']))).toBe(MIME_TYPES.docx);
+  });
+
+  test('allows only a byte order mark or whitespace before the PDF header', () => {
+    expect(detectMimeType(Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('\r\n'), PDF_DOCUMENT]))).toBe(MIME_TYPES.pdf);
+    expect(detectMimeType(Buffer.from('<html><body>%PDF-1.4</body></html>'))).toBeNull();
+  });
+
+  test('refuses ZIP archives that are not Word documents', async () => {
+    expect(detectMimeType(await zipOf(['[Content_Types].xml', 'xl/workbook.xml']))).toBeNull();
+    expect(detectMimeType(Buffer.from([0x50, 0x4B, 0x03, 0x04, 0x00, 0x00]))).toBeNull();
+  });
+
+  test('refuses empty files and other content', () => {
+    expect(detectMimeType(Buffer.alloc(0))).toBeNull();
+    expect(detectMimeType(Buffer.from('MZ\x90\x00'))).toBeNull();
+    expect(detectMimeType(Buffer.from('<script>alert(1)</script>'))).toBeNull();
+  });
+
+  test('treats image/jpg as image/jpeg', () => {
+    expect(normalizeMimeType('image/jpg')).toBe(MIME_TYPES.jpeg);
+    expect(normalizeMimeType('Application/PDF')).toBe(MIME_TYPES.pdf);
+  });
+
+  describe('on upload', () => {
+    useTestDatabase();
+
+    async function submitPassportCopy(passportNumber, content, filename, contentType) {
+      return submitApplication(request, app, { passport_number: passportNumber }, {
+        passport_copy: { content, filename, contentType },
+        photo: { content: await passportPhoto(), filename: 'photo.png', contentType: 'image/png' }
+      });
+    }
+
+    test('rejects a file whose content is none of the allowed types', async () => {
+      const res = await submitPassportCopy('MB1000001', Buffer.from('<html>not a passport</html>'), 'passport.pdf', 'application/pdf');
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_FILE_CONTENT');
+      expect(res.body.errors).toEqual([
+        { field: 'passport_copy', message: 'passport.pdf is not a valid JPEG, PNG, PDF, DOC or DOCX file' }
+      ]);
+    });
+
+    test('rejects a file whose content does not match its declared type', async () => {
+      const res = await submitPassportCopy('MB1000002', await passportPhoto(), 'passport.pdf', 'application/pdf');
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].message).toBe('passport.pdf was uploaded as a PDF but its content is a PNG image');
+    });
+
+    test('stores the detected type', async () => {
+      const res = await submitPassportCopy('MB1000003', Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00]), 'passport.jpg', 'image/jpg');
+
+      expect(res.status).toBe(201);
+      expect(await getRow(`
+        SELECT mime_type FROM application_documents WHERE application_id = ? AND document_type = 'passport_copy'
+      `, [res.body.data.application_id])).toEqual({ mime_type: MIME_TYPES.jpeg });
+    });
+  });
+});
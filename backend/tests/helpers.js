@@ -0,0 +1,162 @@
+const fs = require('fs');
+const bcrypt = require('bcryptjs');
+const moment = require('moment');
+const sharp = require('sharp');
+const { initializeDatabase, closeDatabase, runQuery } = require('../config/database');
+const { blindIndex } = require('../utils/fieldEncryption');
+const { UPLOADS_DIR, ensureUploadDirectories } = require('../utils/uploadStorage');
+
+const STAFF_PASSWORD = 'correct horse battery staple';
+
+let staffCount = 0;
+let applicationCount = 0;
+
+// Migrate the test file's database and create its upload directory before
+// its tests, and delete both after
+function useTestDatabase() {
+  beforeAll(async () => {
+    await initializeDatabase();
+    await ensureUploadDirectories();
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+    fs.rmSync(process.env.DATABASE_PATH, { force: true });
+    fs.rmSync(UPLOADS_DIR, { recursive: true, force: true });
+  });
+}
+
+// Insert a staff account that logs in with STAFF_PASSWORD
+async function createStaff({ email, role = 'case_officer', isActive = true }) {
+  const passwordHash = await bcrypt.hash(STAFF_PASSWORD, 4);
+
+  await runQuery(`
+    INSERT INTO staff_users (email, password_hash, full_name, role, is_active, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+  `, [email, passwordHash, 'Test Staff', role, isActive]);
+
+  return { email, password: STAFF_PASSWORD };
+}
+
+// Log in as a new staff account with the role; resolves to its bearer token
+async function staffToken(request, app, role) {
+  const staff = await createStaff({ email: `${role}-${++staffCount}@example.com`, role });
+  const res = await request(app)
+    .post('/api/auth/login')
+    .send(staff);
+
+  return res.body.data.token;
+}
+
+// Insert a visa application row directly, with its passport number hash as
+// the submit route stores it; columns default to a tourist application and
+// can be overridden
+async function createApplication(columns = {}) {
+  const row = {
+    application_id: `UAE-TEST-${Date.now()}-${++applicationCount}`,
+    full_name: 'Jane Doe',
+    email: 'jane@example.com',
+    phone: '+14155550100',
+    nationality: 'US',
+    passport_number: 'AB1234567',
+    visa_type: 'tourist',
+    purpose_of_visit: 'Holiday with family',
+    duration_of_stay: 30,
+    arrival_date: '2030-01-01',
+    departure_date: '2030-01-30',
+    ...columns
+  };
+  row.passport_number_hash = blindIndex(row.passport_number);
+  const names = Object.keys(row);
+
+  await runQuery(`
+    INSERT INTO visa_applications (${names.join(', ')})
+    VALUES (${names.map(() => '?').join(', ')})
+  `, Object.values(row));
+
+  return row;
+}
+
+// Form fields of a valid tourist application through POST /api/visa/application
+function applicationForm(fields = {}) {
+  const arrival = moment().add(2, 'months');
+
+  return {
+    first_name: 'Jane',
+    last_name: 'Doe',
+    date_of_birth: '1990-05-14',
+    gender: 'female',
+    marital_status: 'single',
+    place_of_birth: 'Boston',
+    occupation: 'Engineer',
+    email: 'jane@example.com',
+    phone: '+14155550100',
+    address: '1 Main Street',
+    city: 'Boston',
+    country: 'United States',
+    nationality: 'US',
+    passport_number: 'AB1234567',
+    passport_issue_date: '2022-01-10',
+    passport_expiry_date: '2032-01-09',
+    passport_issue_place: 'Washington',
+    visa_type: 'tourist',
+    duration_of_stay: '14',
+    arrival_date: arrival.format('YYYY-MM-DD'),
+    departure_date: arrival.clone().add(14, 'days').format('YYYY-MM-DD'),
+    purpose_of_visit: 'Holiday with family',
+    previous_uae_visit: 'no',
+    criminal_record: 'no',
+    emergency_contact_name: 'John Doe',
+    emergency_contact_phone: '+14155550101',
+    emergency_contact_relationship: 'Brother',
+    ...fields
+  };
+}
+
+// A PNG that passes the passport photo checks: 35:45, large enough, with a
+// plain white background around a noisy "head" so it is not too small a file
+function passportPhoto({ width = 700, height = 900, background = 255 } = {}) {
+  const pixels = Buffer.alloc(width * height * 3, background);
+
+  for (let y = Math.round(height * 0.25); y < height; y++) {
+    for (let x = Math.round(width * 0.25); x < Math.round(width * 0.75); x++) {
+      pixels.fill(Math.floor(Math.random() * 256), (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+}
+
+// A minimal PDF, enough for the magic byte check
+const PDF_DOCUMENT = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n');
+
+// POST a multipart application. files maps document fields to
+// { content, filename, contentType }; by default a passport copy and photo.
+async function submitApplication(request, app, fields = {}, files) {
+  const documents = files || {
+    passport_copy: { content: PDF_DOCUMENT, filename: 'passport.pdf', contentType: 'application/pdf' },
+    photo: { content: await passportPhoto(), filename: 'photo.png', contentType: 'image/png' }
+  };
+  const req = request(app).post('/api/visa/application');
+
+  for (const [name, value] of Object.entries(applicationForm(fields))) {
+    req.field(name, value);
+  }
+  for (const [name, { content, filename, contentType }] of Object.entries(documents)) {
+    req.attach(name, content, { filename, contentType });
+  }
+
+  return req;
+}
+
+module.exports = {
+  STAFF_PASSWORD,
+  PDF_DOCUMENT,
+  useTestDatabase,
+  createStaff,
+  staffToken,
+  createApplication,
+  applicationForm,
+  passportPhoto,
+  submitApplication
+};
@@ -0,0 +1,133 @@
+const request = require('supertest');
+const app = require('../server');
+const { getRow } = require('../config/database');
+const { createInvoice, startPayment, getInvoice } = require('../utils/invoices');
+const { signWebhook } = require('../utils/paymentProviders/mock');
+const { useTestDatabase, createApplication } = require('./helpers');
+
+describe('payment webhooks', () => {
+  useTestDatabase();
+
+  let applicationCount = 0;
+
+  // An unpaid invoice with a pending mock payment against it
+  async function pendingPayment(total = 525) {
+    const invoice = await createInvoice(`UAE-TEST-${++applicationCount}`, {
+      currency: 'AED',
+      items: [{ code: 'visa_fee', label: 'Tourist visa', amountFils: total * 100, vatFils: 0, vatRate: 0 }],
+      subtotal: total,
+      vat: 0,
+      total
+    });
+    const { payment_id: paymentId } = await startPayment(invoice);
+
+    return getRow('SELECT * FROM payments WHERE payment_id = ?', [paymentId]);
+  }
+
+  function sendWebhook(event, { signature, provider = 'mock' } = {}) {
+    const body = JSON.stringify(event);
+
+    return request(app)
+      .post(`/api/payments/webhooks/${provider}`)
+      .set('Content-Type', 'application/json')
+      .set('X-Mock-Signature', signature || signWebhook(body))
+      .send(body);
+  }
+
+  test('builds the checkout URL from API_URL', async () => {
+    const invoice = await createInvoice('UAE-TEST-URL', { currency: 'AED', items: [], subtotal: 1, vat: 0, total: 1 });
+    const payment = await startPayment(invoice);
+
+    expect(payment.checkout_url).toMatch(/^https:\/\/api\.example\.test\/api\/payments\/mock\/checkout\/mock_/);
+  });
+
+  test('a signed success pays the invoice', async () => {
+    const payment = await pendingPayment();
+    const res = await sendWebhook({ reference: payment.provider_reference, status: 'succeeded', amount: 525, currency: 'AED' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ payment_id: payment.payment_id, status: 'succeeded' });
+    expect((await getInvoice(payment.invoice_id)).status).toBe('paid');
+  });
+
+  test('a success for the wrong amount is recorded as a failure', async () => {
+    const payment = await pendingPayment();
+    const res = await sendWebhook({ reference: payment.provider_reference, status: 'succeeded', amount: 1, currency: 'AED' });
+
+    expect(res.body.data.status).toBe('failed');
+    expect((await getRow('SELECT failure_reason FROM payments WHERE id = ?', [payment.id])).failure_reason).toBe('amount_mismatch');
+    expect((await getInvoice(payment.invoice_id)).status).toBe('unpaid');
+  });
+
+  test('ignores callbacks for a payment that already has an outcome', async () => {
+    const payment = await pendingPayment();
+    await sendWebhook({ reference: payment.provider_reference, status: 'failed', amount: 525, currency: 'AED' });
+    const res = await sendWebhook({ reference: payment.provider_reference, status: 'succeeded', amount: 525, currency: 'AED' });
+
+    expect(res.body.data.status).toBe('failed');
+    expect((await getInvoice(payment.invoice_id)).status).toBe('unpaid');
+  });
+
+  test('a second success on an invoice that is already paid needs a refund', async () => {
+    const application = await createApplication({ email: 'payer@example.com' });
+    const invoice = await createInvoice(application.application_id, { currency: 'AED', items: [], subtotal: 525, vat: 0, total: 525 });
+    const checkout = () => request(app)
+      .post(`/api/payments/invoices/${invoice.invoice_id}/checkout`)
+      .send({ email: 'payer@example.com' });
+
+    const checkouts = [await checkout(), await checkout()];
+    expect(checkouts.map(res => res.status)).toEqual([201, 201]);
+
+    const payments = await Promise.all(checkouts.map(res => getRow('SELECT * FROM payments WHERE payment_id = ?', [res.body.data.payment.payment_id])));
+    const first = await sendWebhook({ reference: payments[0].provider_reference, status: 'succeeded', amount: 525, currency: 'AED' });
+    const second = await sendWebhook({ reference: payments[1].provider_reference, status: 'succeeded', amount: 525, currency: 'AED' });
+
+    expect(first.body.data.status).toBe('succeeded');
+    expect(second.status).toBe(200);
+    expect(second.body.data.status).toBe('refund_required');
+    expect(await getRow('SELECT status, failure_reason FROM payments WHERE id = ?', [payments[1].id]))
+      .toEqual({ status: 'refund_required', failure_reason: 'invoice_already_paid' });
+    expect((await getInvoice(invoice.invoice_id)).status).toBe('paid');
+
+    const afterPaid = await checkout();
+    expect(afterPaid.status).toBe(409);
+    expect(afterPaid.body.code).toBe('INVOICE_ALREADY_PAID');
+  });
+
+  test('rejects a bad or stale signature', async () => {
+    const payment = await pendingPayment();
+    const event = { reference: payment.provider_reference, status: 'succeeded', amount: 525, currency: 'AED' };
+    const staleTimestamp = Math.floor(Date.now() / 1000) - 10 * 60;
+
+    const forged = await sendWebhook(event, { signature: signWebhook(JSON.stringify({ ...event, amount: 1 })) });
+    const stale = await sendWebhook(event, { signature: signWebhook(JSON.stringify(event), staleTimestamp) });
+
+    expect(forged.status).toBe(400);
+    expect(forged.body.code).toBe('INVALID_WEBHOOK_SIGNATURE');
+    expect(stale.status).toBe(400);
+    expect((await getInvoice(payment.invoice_id)).status).toBe('unpaid');
+  });
+
+  test('rejects unknown payments and providers', async () => {
+    const unknownPayment = await sendWebhook({ reference: 'mock_unknown', status: 'succeeded', amount: 525, currency: 'AED' });
+    const unknownProvider = await sendWebhook({ reference: 'mock_unknown', status: 'succeeded' }, { provider: 'stripe' });
+
+    expect(unknownPayment.status).toBe(404);
+    expect(unknownPayment.body.code).toBe('PAYMENT_NOT_FOUND');
+    expect(unknownProvider.status).toBe(404);
+    expect(unknownProvider.body.code).toBe('PAYMENT_PROVIDER_NOT_FOUND');
+  });
+
+  test('the mock checkout records its outcome through the webhook handler', async () => {
+    const payment = await pendingPayment();
+    const checkout = `/api/payments/mock/checkout/${payment.provider_reference}`;
+
+    const completed = await request(app).post(checkout).set('Accept', 'application/json').send({ outcome: 'succeeded' });
+    const again = await request(app).post(checkout).set('Accept', 'application/json').send({ outcome: 'succeeded' });
+
+    expect(completed.status).toBe(200);
+    expect(completed.body.data.payment_status).toBe('succeeded');
+    expect((await getInvoice(payment.invoice_id)).status).toBe('paid');
+    expect(again.status).toBe(409);
+  });
+});
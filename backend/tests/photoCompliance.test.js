@@ -0,0 +1,98 @@
+jest.mock('../utils/emailService');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const request = require('supertest');
+const app = require('../server');
+const { THUMBNAIL_SIZE, inspectPhoto, createThumbnail } = require('../utils/photoCompliance');
+const { useTestDatabase, submitApplication, passportPhoto, staffToken, PDF_DOCUMENT } = require('./helpers');
+
+describe('passport photo compliance', () => {
+  let directory;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uae-visa-photos-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  async function inspect(name, content) {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, content);
+    return inspectPhoto(filePath, content.length);
+  }
+
+  test('accepts a large enough portrait photo on a plain light background', async () => {
+    const result = await inspect('good.png', await passportPhoto());
+
+    expect(result.errors).toEqual([]);
+    expect(result).toMatchObject({ width: 700, height: 900 });
+  });
+
+  test('refuses small and landscape photos', async () => {
+    const small = await inspect('small.png', await passportPhoto({ width: 280, height: 360 }));
+    const landscape = await inspect('landscape.png', await passportPhoto({ width: 900, height: 700 }));
+
+    expect(small.errors).toContain('Photo is 280x360 pixels; it must be at least 350x450 pixels');
+    expect(landscape.errors).toContain('Photo must be portrait with passport proportions (35:45); a 900x700 photo is too wide');
+  });
+
+  test('refuses a dark or busy background', async () => {
+    const dark = await inspect('dark.png', await passportPhoto({ background: 60 }));
+    // Light, but in grey and white stripes
+    const stripes = Buffer.alloc(700 * 900 * 3, 255);
+    for (let offset = 0; offset < stripes.length; offset += 3) {
+      if (Math.floor((offset / 3) % 700 / 40) % 2 === 0) {
+        stripes.fill(140, offset, offset + 3);
+      }
+    }
+    const busy = await sharp(stripes, { raw: { width: 700, height: 900, channels: 3 } }).png().toBuffer();
+
+    expect(dark.errors).toContain('Photo background is too dark; use a plain white or light background');
+    expect((await inspect('busy.png', busy)).errors)
+      .toContain('Photo background is not uniform; use a plain white or light background without shadows or objects');
+  });
+
+  test('makes a passport-proportioned JPEG thumbnail', async () => {
+    const source = path.join(directory, 'source.png');
+    const thumbnail = path.join(directory, 'thumbnail.jpg');
+    fs.writeFileSync(source, await passportPhoto({ width: 800, height: 900 }));
+
+    await createThumbnail(source, thumbnail);
+
+    expect(await sharp(thumbnail).metadata()).toMatchObject({ format: 'jpeg', ...THUMBNAIL_SIZE });
+  });
+
+  describe('on upload', () => {
+    useTestDatabase();
+
+    test('rejects a non-compliant photo with the reasons', async () => {
+      const res = await submitApplication(request, app, { passport_number: 'PH1000001' }, {
+        passport_copy: { content: PDF_DOCUMENT, filename: 'passport.pdf', contentType: 'application/pdf' },
+        photo: { content: await passportPhoto({ background: 60 }), filename: 'photo.png', contentType: 'image/png' }
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('PHOTO_NOT_COMPLIANT');
+      expect(res.body.errors).toEqual([
+        { field: 'photo', message: 'Photo background is too dark; use a plain white or light background' }
+      ]);
+    });
+
+    test('stores a thumbnail that staff see with the application', async () => {
+      const submitted = await submitApplication(request, app, { passport_number: 'PH1000002' });
+      const res = await request(app)
+        .get(`/api/visa/applications/${submitted.body.data.application_id}`)
+        .set('Authorization', `Bearer ${await staffToken(request, app, 'case_officer')}`);
+
+      const thumbnail = res.body.data.documents.find(document => document.document_type === 'photo_thumbnail');
+
+      expect(thumbnail).toMatchObject({ mime_type: 'image/jpeg' });
+      expect(res.body.data.photo_thumbnail_path).toBe(thumbnail.download_path);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+jest.mock('../utils/emailService');
+
+const request = require('supertest');
+const app = require('../server');
+const { getRow, getRows, runQuery } = require('../config/database');
+const { sendEmail } = require('../utils/emailService');
+const { eraseApplicantData } = require('../utils/applicantData');
+const { createInvoice, startPayment } = require('../utils/invoices');
+const { useTestDatabase, createApplication } = require('./helpers');
+
+describe('privacy request tokens', () => {
+  useTestDatabase();
+
+  beforeEach(() => {
+    sendEmail.mockReset();
+    sendEmail.mockResolvedValue({ success: true });
+  });
+
+  // Make a request and return the confirmation link from its email
+  async function requestLink(type, email = 'applicant@example.com') {
+    const res = await request(app)
+      .post('/api/privacy/requests')
+      .send({ email, type });
+
+    expect(res.status).toBe(202);
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+
+    const { data } = sendEmail.mock.calls[0][0];
+    const link = new URL(type === 'export' ? data.export_url : data.erasure_url);
+
+    return {
+      requestId: res.body.data.request_id,
+      link,
+      token: type === 'export' ? link.pathname.split('/')[4] : link.searchParams.get('token')
+    };
+  }
+
+  test('emails an export link on the configured API URL and stores only a hash of the token', async () => {
+    const { requestId, link, token } = await requestLink('export');
+    const stored = await getRow('SELECT token_hash FROM privacy_requests WHERE request_id = ?', [requestId]);
+
+    expect(link.origin).toBe('https://api.example.test');
+    expect(link.pathname).toBe(`/api/privacy/requests/${token}/export`);
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(stored.token_hash).not.toBe(token);
+  });
+
+  test('the export link downloads an archive and can be used again', async () => {
+    const { token } = await requestLink('export');
+
+    const first = await request(app).get(`/api/privacy/requests/${token}/export`);
+    const second = await request(app).get(`/api/privacy/requests/${token}/export`);
+
+    expect(first.status).toBe(200);
+    expect(first.headers['content-type']).toBe('application/zip');
+    expect(second.status).toBe(200);
+  });
+
+  test('rejects unknown tokens, expired tokens and tokens for the other request type', async () => {
+    const { requestId, token } = await requestLink('export');
+
+    const unknown = await request(app).get(`/api/privacy/requests/${'0'.repeat(64)}/export`);
+    const wrongType = await request(app).post(`/api/privacy/requests/${token}/erasure`);
+
+    await runQuery(`UPDATE privacy_requests SET expires_at = '2000-01-01 00:00:00' WHERE request_id = ?`, [requestId]);
+    const expired = await request(app).get(`/api/privacy/requests/${token}/export`);
+
+    expect(unknown.status).toBe(403);
+    expect(unknown.body.code).toBe('INVALID_PRIVACY_LINK');
+    expect(wrongType.status).toBe(403);
+    expect(expired.status).toBe(403);
+  });
+
+  test('the erasure link opens the confirmation page and works once', async () => {
+    const { link, token } = await requestLink('erasure', 'erase-me@example.com');
+
+    expect(`${link.origin}${link.pathname}`).toBe('https://www.example.test/pages/data-erasure.html');
+
+    const erased = await request(app).post(`/api/privacy/requests/${token}/erasure`);
+    const again = await request(app).post(`/api/privacy/requests/${token}/erasure`);
+
+    expect(erased.status).toBe(200);
+    expect(again.status).toBe(403);
+    expect(await getRow('SELECT id FROM privacy_requests WHERE email = ?', ['erase-me@example.com'])).toBeUndefined();
+  });
+
+  describe('erasure', () => {
+    function insertAuditEntry({ actor, ipAddress, entity, entityId, changes = null }) {
+      return runQuery(`
+        INSERT INTO audit_log (actor, ip_address, method, path, entity, entity_id, action, changes, status_code)
+        VALUES (?, ?, 'GET', '/api/test', ?, ?, 'test', ?, 200)
+      `, [actor, ipAddress, entity, entityId, changes && JSON.stringify(changes)]);
+    }
+
+    test('keeps invoices and payments without the gateway reference of settled payments', async () => {
+      const application = await createApplication({ email: 'payer-erased@example.com', status: 'approved' });
+      const invoice = await createInvoice(application.application_id, { currency: 'AED', items: [], subtotal: 525, vat: 0, total: 525 });
+      const settled = await startPayment(invoice);
+      const pending = await startPayment(invoice);
+      await runQuery(`UPDATE payments SET status = 'succeeded' WHERE payment_id = ?`, [settled.payment_id]);
+      const { provider_reference: pendingReference } = await getRow('SELECT provider_reference FROM payments WHERE payment_id = ?', [pending.payment_id]);
+
+      const summary = await eraseApplicantData('payer-erased@example.com');
+      const payments = await getRows('SELECT payment_id, provider_reference, amount FROM payments WHERE application_id = ? ORDER BY id', [application.application_id]);
+
+      expect(summary).toMatchObject({ invoices_retained: 1, payments_anonymised: 1 });
+      expect(await getRow('SELECT total FROM invoices WHERE invoice_id = ?', [invoice.invoice_id])).toEqual({ total: 525 });
+      expect(payments).toEqual([
+        { payment_id: settled.payment_id, provider_reference: `erased:${settled.payment_id}`, amount: 525 },
+        { payment_id: pending.payment_id, provider_reference: pendingReference, amount: 525 }
+      ]);
+    });
+
+    test('clears applicant IP addresses and notes from audit entries and nothing else', async () => {
+      const application = await createApplication({ email: 'audited@example.com', status: 'rejected' });
+      await runQuery(`
+        INSERT INTO contact_messages (message_id, full_name, email, inquiry_type, subject, message)
+        VALUES ('CONTACT-ERASE-1', 'Jane Doe', 'audited@example.com', 'visa', 'Visa', 'Question about my visa')
+      `);
+      await insertAuditEntry({ actor: 'signed-link', ipAddress: '203.0.113.7', entity: 'visa_applications', entityId: application.application_id });
+      await insertAuditEntry({ actor: 'officer@example.com', ipAddress: '198.51.100.1', entity: 'visa_applications', entityId: application.application_id, changes: { status: { from: 'submitted', to: 'rejected' } } });
+      await insertAuditEntry({ actor: 'officer@example.com', ipAddress: '198.51.100.1', entity: 'contact_messages', entityId: 'CONTACT-ERASE-1', changes: { admin_notes: { from: null, to: 'Called Jane about her divorce' } } });
+
+      const summary = await eraseApplicantData('audited@example.com');
+      const entries = await getRows(`
+        SELECT actor, ip_address, entity, changes FROM audit_log
+        WHERE entity_id IN (?, 'CONTACT-ERASE-1') ORDER BY id
+      `, [application.application_id]);
+
+      expect(summary.audit_entries_redacted).toBe(2);
+      expect(entries).toEqual([
+        { actor: 'signed-link', ip_address: null, entity: 'visa_applications', changes: null },
+        { actor: 'officer@example.com', ip_address: '198.51.100.1', entity: 'visa_applications', changes: JSON.stringify({ status: { from: 'submitted', to: 'rejected' } }) },
+        { actor: 'officer@example.com', ip_address: '198.51.100.1', entity: 'contact_messages', changes: null }
+      ]);
+    });
+
+    test('audit entries still cannot be rewritten or deleted', async () => {
+      await insertAuditEntry({ actor: 'officer@example.com', ipAddress: '198.51.100.1', entity: 'feedback', entityId: 'FB-1', changes: { status: { from: 'new', to: 'read' } } });
+      const { id } = await getRow(`SELECT id FROM audit_log WHERE entity_id = 'FB-1'`);
+
+      await expect(runQuery(`UPDATE audit_log SET actor = 'someone-else' WHERE id = ?`, [id])).rejects.toThrow('append-only');
+      await expect(runQuery(`UPDATE audit_log SET ip_address = '192.0.2.1' WHERE id = ?`, [id])).rejects.toThrow('append-only');
+      await expect(runQuery(`UPDATE audit_log SET changes = '{}' WHERE id = ?`, [id])).rejects.toThrow('append-only');
+      await expect(runQuery('DELETE FROM audit_log WHERE id = ?', [id])).rejects.toThrow('append-only');
+      await expect(runQuery('UPDATE audit_log SET ip_address = NULL, changes = NULL WHERE id = ?', [id])).resolves.toMatchObject({ changes: 1 });
+    });
+  });
+});
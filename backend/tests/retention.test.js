@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const { getRow, getRows, runQuery } = require('../config/database');
+const { getRetentionPolicy } = require('../config/retention');
+const { purgeExpiredRecords } = require('../utils/dataRetention');
+const { UPLOADS_DIR } = require('../utils/uploadStorage');
+const { useTestDatabase, createApplication, staffToken } = require('./helpers');
+
+describe('data retention', () => {
+  afterEach(() => {
+    delete process.env.RETENTION_POLICY;
+  });
+
+  test('RETENTION_POLICY overrides single periods', () => {
+    process.env.RETENTION_POLICY = JSON.stringify({ visa_applications: { rejected: 6 } });
+
+    expect(getRetentionPolicy().visa_applications).toEqual({ rejected: 6, approved: 36, default: null });
+  });
+
+  test('RETENTION_POLICY must name known entities and whole months', () => {
+    process.env.RETENTION_POLICY = JSON.stringify({ invoices: { default: 12 } });
+    expect(() => getRetentionPolicy()).toThrow('unknown entity "invoices"');
+
+    process.env.RETENTION_POLICY = JSON.stringify({ feedback: { closed: 1.5 } });
+    expect(() => getRetentionPolicy()).toThrow('feedback.closed must be a whole number of months or null');
+  });
+
+  describe('purge', () => {
+    useTestDatabase();
+
+    const LONG_AGO = '2020-01-01 00:00:00';
+    const now = new Date('2026-10-01T00:00:00Z');
+    let expired;
+    let recent;
+    let approved;
+    let pending;
+
+    beforeAll(async () => {
+      expired = await createApplication({ status: 'rejected', updated_at: LONG_AGO });
+      recent = await createApplication({ status: 'rejected' });
+      approved = await createApplication({ status: 'approved', updated_at: '2025-06-01 00:00:00' });
+      pending = await createApplication({ status: 'pending', updated_at: LONG_AGO });
+
+      fs.writeFileSync(path.join(UPLOADS_DIR, 'passport_copy-expired.pdf'), 'passport');
+      await runQuery(`
+        INSERT INTO application_documents (document_id, application_id, document_type, stored_name, original_name, mime_type, size_bytes)
+        VALUES ('doc-expired', ?, 'passport_copy', 'passport_copy-expired.pdf', 'passport.pdf', 'application/pdf', 8)
+      `, [expired.application_id]);
+    });
+
+    function remaining() {
+      return getRows('SELECT application_id FROM visa_applications ORDER BY id')
+        .then(rows => rows.map(row => row.application_id));
+    }
+
+    test('a dry run reports what has expired and changes nothing', async () => {
+      const result = await purgeExpiredRecords({ dryRun: true, now });
+      const rejected = result.groups.find(group => group.entity === 'visa_applications' && group.status === 'rejected');
+
+      expect(result.records_removed).toBe(1);
+      expect(rejected).toMatchObject({ record_ids: [expired.application_id], files_removed: 1, cutoff: '2025-10-01 00:00:00' });
+      expect(await remaining()).toHaveLength(4);
+      expect(fs.existsSync(path.join(UPLOADS_DIR, 'passport_copy-expired.pdf'))).toBe(true);
+    });
+
+    test('deletes expired records with their dependents and files, and logs the run', async () => {
+      const result = await purgeExpiredRecords({ triggeredBy: 'admin@example.com', now });
+
+      expect(result).toMatchObject({ dry_run: false, records_removed: 1, files_removed: 1 });
+      expect(await remaining()).toEqual([recent.application_id, approved.application_id, pending.application_id]);
+      expect(await getRow('SELECT COUNT(*) as total FROM application_documents WHERE application_id = ?', [expired.application_id])).toEqual({ total: 0 });
+      expect(fs.existsSync(path.join(UPLOADS_DIR, 'passport_copy-expired.pdf'))).toBe(false);
+      expect(await getRow('SELECT entity, status, records_removed, files_removed, record_ids, triggered_by FROM purge_log WHERE run_id = ?', [result.run_id]))
+        .toEqual({
+          entity: 'visa_applications',
+          status: 'rejected',
+          records_removed: 1,
+          files_removed: 1,
+          record_ids: JSON.stringify([expired.application_id]),
+          triggered_by: 'admin@example.com'
+        });
+    });
+
+    test('the endpoint dry-runs unless told otherwise and is for admins only', async () => {
+      const purge = (token, body) => request(app)
+        .post('/api/admin/retention/purge')
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+
+      const admin = await staffToken(request, app, 'admin');
+      const dryRun = await purge(admin, {});
+      const forbidden = await purge(await staffToken(request, app, 'supervisor'), { dry_run: false });
+
+      expect(dryRun.status).toBe(200);
+      expect(dryRun.body.data.dry_run).toBe(true);
+      expect(forbidden.status).toBe(403);
+    });
+  });
+});
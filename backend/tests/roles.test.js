@@ -0,0 +1,74 @@
+const request = require('supertest');
+const app = require('../server');
+const { runQuery } = require('../config/database');
+const { PERMISSIONS, ROLES, getPermissionsForRole, roleHasPermission } = require('../config/roles');
+const { useTestDatabase, staffToken } = require('./helpers');
+
+describe('staff roles', () => {
+  test('only admins hold every permission', () => {
+    expect(getPermissionsForRole('admin').sort()).toEqual(Object.values(PERMISSIONS).sort());
+
+    for (const role of Object.keys(ROLES).filter(name => name !== 'admin')) {
+      expect(roleHasPermission(role, PERMISSIONS.AUDIT_READ)).toBe(false);
+      expect(roleHasPermission(role, PERMISSIONS.DATA_RETENTION)).toBe(false);
+    }
+  });
+
+  test('only supervisors and admins decide applications', () => {
+    const deciders = Object.keys(ROLES).filter(role => roleHasPermission(role, PERMISSIONS.VISA_DECIDE));
+
+    expect(deciders.sort()).toEqual(['admin', 'supervisor']);
+  });
+
+  test('an unknown role grants nothing', () => {
+    expect(getPermissionsForRole('superuser')).toEqual([]);
+    expect(getPermissionsForRole('constructor')).toEqual([]);
+    expect(roleHasPermission('toString', PERMISSIONS.VISA_READ)).toBe(false);
+  });
+
+  describe('on the admin endpoints', () => {
+    useTestDatabase();
+
+    function get(path, token) {
+      return request(app)
+        .get(path)
+        .set('Authorization', `Bearer ${token}`);
+    }
+
+    test('each role reaches only its own lists', async () => {
+      const expected = {
+        case_officer: { '/api/visa/applications': 200, '/api/contact/messages': 403, '/api/feedback': 403, '/api/newsletter/subscriptions': 403 },
+        support: { '/api/visa/applications': 403, '/api/contact/messages': 200, '/api/feedback': 200, '/api/newsletter/subscriptions': 403 },
+        marketing: { '/api/visa/applications': 403, '/api/contact/messages': 403, '/api/feedback': 200, '/api/newsletter/subscriptions': 200 },
+        admin: { '/api/visa/applications': 200, '/api/contact/messages': 200, '/api/feedback': 200, '/api/newsletter/subscriptions': 200 }
+      };
+
+      for (const [role, paths] of Object.entries(expected)) {
+        const token = await staffToken(request, app, role);
+        const actual = {};
+
+        for (const path of Object.keys(paths)) {
+          actual[path] = (await get(path, token)).status;
+        }
+
+        expect({ role, statuses: actual }).toEqual({ role, statuses: paths });
+      }
+    });
+
+    test('refuses with 403 INSUFFICIENT_PERMISSIONS', async () => {
+      const res = await get('/api/admin/audit-log', await staffToken(request, app, 'supervisor'));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('INSUFFICIENT_PERMISSIONS');
+    });
+
+    test('a role change applies to tokens already issued', async () => {
+      const token = await staffToken(request, app, 'support');
+      expect((await get('/api/contact/messages', token)).status).toBe(200);
+
+      await runQuery(`UPDATE staff_users SET role = 'case_officer' WHERE email LIKE 'support-%'`);
+
+      expect((await get('/api/contact/messages', token)).status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const request = require('supertest');
+const app = require('../server');
+const { runQuery } = require('../config/database');
+const { useTestDatabase, staffToken, createApplication } = require('./helpers');
+
+describe('admin search', () => {
+  useTestDatabase();
+
+  let admin;
+
+  beforeAll(async () => {
+    admin = await staffToken(request, app, 'admin');
+
+    await createApplication({ application_id: 'UAE-SEARCH-1', full_name: 'Amira Haddad', email: 'amira@example.com', passport_number: 'XY9876543' });
+    await createApplication({ application_id: 'UAE-SEARCH-2', full_name: 'Omar Haddad', email: 'omar@example.com', passport_number: 'ZZ1111111' });
+    await runQuery(`
+      INSERT INTO contact_messages (message_id, full_name, email, inquiry_type, subject, message)
+      VALUES ('CONTACT-SEARCH-1', 'Lena Haddad', 'lena@example.com', 'visa', 'Visa question', 'When will Amira hear back?')
+    `);
+  });
+
+  function search(token, query) {
+    return request(app)
+      .get('/api/admin/search')
+      .query(query)
+      .set('Authorization', `Bearer ${token}`);
+  }
+
+  test('matches every word as a prefix across types', async () => {
+    const res = await search(admin, { q: 'hadd' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.totals).toEqual({ visa_application: 2, contact_message: 1, feedback: 0 });
+    expect(res.body.data.results.map(result => result.id).sort())
+      .toEqual(['CONTACT-SEARCH-1', 'UAE-SEARCH-1', 'UAE-SEARCH-2']);
+
+    const both = await search(admin, { q: 'amira hadd', types: 'visa_application' });
+    expect(both.body.data.results.map(result => result.id)).toEqual(['UAE-SEARCH-1']);
+    expect(both.body.data.results[0].snippet).toContain('[Amira]');
+  });
+
+  test('finds an encrypted passport number through its hash, however it is typed', async () => {
+    const res = await search(admin, { q: 'xy98-76543', types: 'visa_application' });
+
+    expect(res.body.data.results).toHaveLength(1);
+    expect(res.body.data.results[0]).toMatchObject({ id: 'UAE-SEARCH-1', snippet: 'Passport number match' });
+    expect(res.body.data.results[0]).not.toHaveProperty('passport_number_hash');
+  });
+
+  test('treats search syntax in the query as text', async () => {
+    const res = await search(admin, { q: 'Haddad OR "NEAR(' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.results).toEqual([]);
+  });
+
+  test('only searches the types the role can read', async () => {
+    const caseOfficer = await staffToken(request, app, 'case_officer');
+    const marketing = await staffToken(request, app, 'marketing');
+
+    const officer = await search(caseOfficer, { q: 'haddad' });
+    const forbidden = await search(marketing, { q: 'haddad', types: 'visa_application,contact_message' });
+
+    expect(officer.body.data.types).toEqual(['visa_application']);
+    expect(officer.body.data.results.every(result => result.type === 'visa_application')).toBe(true);
+    expect(forbidden.status).toBe(403);
+  });
+});
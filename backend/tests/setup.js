@@ -0,0 +1,22 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+const testRun = `${process.pid}-${crypto.randomBytes(6).toString('hex')}`;
+
+// Runs before each test file: every file gets its own SQLite database and
+// upload directory, and the secrets the server refuses to start without
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  DATABASE_PATH: path.join(os.tmpdir(), `uae-visa-test-${testRun}.sqlite`),
+  UPLOAD_PATH: path.join(os.tmpdir(), `uae-visa-uploads-${testRun}`),
+  JWT_SECRET: 'test-jwt-secret',
+  FIELD_ENCRYPTION_KEYS: `1:${crypto.randomBytes(32).toString('base64')}`,
+  FIELD_BLIND_INDEX_KEY: 'test-blind-index-key',
+  PAYMENT_PROVIDER: 'mock',
+  MOCK_PAYMENT_WEBHOOK_SECRET: 'test-webhook-secret',
+  API_URL: 'https://api.example.test',
+  FRONTEND_URL: 'https://www.example.test',
+  RATE_LIMIT_MAX_REQUESTS: '10000',
+  LOGIN_RATE_LIMIT_MAX: '10000'
+});
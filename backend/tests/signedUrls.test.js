@@ -0,0 +1,98 @@
+jest.mock('../utils/emailService');
+
+const request = require('supertest');
+const app = require('../server');
+const { sendEmail } = require('../utils/emailService');
+const { DOCUMENT_URL_TTL_MINUTES, signPath, verifySignedPath } = require('../utils/signedUrls');
+const { useTestDatabase, submitApplication, staffToken, PDF_DOCUMENT } = require('./helpers');
+
+// The path and the expires/signature pair of a signed link
+function parseLink(link) {
+  const url = new URL(link, 'http://localhost');
+  return [url.pathname, url.searchParams.get('expires'), url.searchParams.get('signature')];
+}
+
+// Pretend the clock has moved on while fn runs
+async function later(minutes, fn) {
+  const now = Date.now();
+  const clock = jest.spyOn(Date, 'now').mockReturnValue(now + minutes * 60 * 1000);
+  try {
+    return await fn();
+  } finally {
+    clock.mockRestore();
+  }
+}
+
+describe('signed download links', () => {
+  test('verify only for the signed path until they expire', async () => {
+    const [resourcePath, expires, signature] = parseLink(signPath('/api/visa/applications/UAE-1/documents/doc-1'));
+
+    expect(verifySignedPath(resourcePath, expires, signature)).toBe(true);
+    expect(verifySignedPath('/api/visa/applications/UAE-1/documents/doc-2', expires, signature)).toBe(false);
+    expect(verifySignedPath(resourcePath, String(Number(expires) + 3600), signature)).toBe(false);
+    expect(verifySignedPath(resourcePath, `${expires}.0`, signature)).toBe(false);
+    expect(verifySignedPath(resourcePath, expires, signature.slice(0, -2))).toBe(false);
+    expect(verifySignedPath(resourcePath, expires, undefined)).toBe(false);
+    expect(await later(DOCUMENT_URL_TTL_MINUTES + 1, () => verifySignedPath(resourcePath, expires, signature))).toBe(false);
+  });
+
+  describe('from the status lookup', () => {
+    useTestDatabase();
+
+    let links;
+
+    beforeAll(async () => {
+      sendEmail.mockResolvedValue({ success: true });
+
+      const submitted = await submitApplication(request, app, { email: 'links@example.com', passport_number: 'SL1000001' });
+      const res = await request(app)
+        .post('/api/visa/status')
+        .send({ applicationId: submitted.body.data.application_id, email: 'links@example.com' });
+
+      links = res.body.data.application;
+    });
+
+    test('download the document they were issued for', async () => {
+      const passport = links.documents.find(document => document.type === 'passport_copy');
+      const res = await request(app).get(passport.downloadUrl).buffer(true).parse((response, callback) => {
+        const chunks = [];
+        response.on('data', chunk => chunks.push(chunk));
+        response.on('end', () => callback(null, Buffer.concat(chunks)));
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['cache-control']).toBe('private, no-store');
+      expect(res.body.equals(PDF_DOCUMENT)).toBe(true);
+    });
+
+    test('cannot be pointed at another document', async () => {
+      const [passport, photo] = ['passport_copy', 'photo'].map(type => links.documents.find(document => document.type === type));
+      const [, expires, signature] = parseLink(passport.downloadUrl);
+      const [photoPath] = parseLink(photo.downloadUrl);
+
+      const res = await request(app).get(`${photoPath}?expires=${expires}&signature=${signature}`);
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('INVALID_DOWNLOAD_LINK');
+    });
+
+    test('stop working once expired', async () => {
+      const res = await later(DOCUMENT_URL_TTL_MINUTES + 1, () => request(app).get(links.documents[0].downloadUrl));
+
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe('INVALID_DOWNLOAD_LINK');
+    });
+
+    test('are needed without a staff token, which works instead of one', async () => {
+      const [documentPath] = parseLink(links.documents[0].downloadUrl);
+
+      const anonymous = await request(app).get(documentPath);
+      const staff = await request(app)
+        .get(documentPath)
+        .set('Authorization', `Bearer ${await staffToken(request, app, 'case_officer')}`);
+
+      expect(anonymous.status).toBe(401);
+      expect(staff.status).toBe(200);
+    });
+  });
+});
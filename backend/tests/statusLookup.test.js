@@ -0,0 +1,51 @@
+const request = require('supertest');
+const app = require('../server');
+const { useTestDatabase, createApplication } = require('./helpers');
+
+describe('application status lookup', () => {
+  useTestDatabase();
+
+  let application;
+
+  beforeAll(async () => {
+    application = await createApplication({ full_name: 'Jane Van Doe', email: 'Jane@Example.com' });
+  });
+
+  const lookUp = body => request(app).post('/api/visa/status').send(body);
+
+  test('returns the application when the ID and email match', async () => {
+    const res = await lookUp({ applicationId: application.application_id.toLowerCase(), email: 'jane@example.com' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.application).toMatchObject({
+      applicationId: application.application_id,
+      firstName: 'Jane',
+      lastName: 'Van Doe',
+      status: 'pending'
+    });
+  });
+
+  test('gives the same answer for a wrong email and an unknown ID', async () => {
+    const wrongEmail = await lookUp({ applicationId: application.application_id, email: 'someone@example.com' });
+    const unknownId = await lookUp({ applicationId: 'UAE-0-UNKNOWN', email: 'jane@example.com' });
+
+    expect(wrongEmail.status).toBe(404);
+    expect(unknownId.status).toBe(404);
+    expect(wrongEmail.body.code).toBe('APPLICATION_NOT_FOUND');
+    expect(wrongEmail.body.message).toBe(unknownId.body.message);
+  });
+
+  test('requires both the ID and the email', async () => {
+    const res = await lookUp({ applicationId: application.application_id });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('VALIDATION_ERROR');
+  });
+
+  test('has no lookup by application ID alone', async () => {
+    const res = await request(app).get(`/api/visa/status/${application.application_id}`);
+
+    expect(res.status).toBe(404);
+    expect(JSON.stringify(res.body)).not.toContain('Jane');
+  });
+});
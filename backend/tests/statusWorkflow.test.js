@@ -0,0 +1,98 @@
+jest.mock('../utils/emailService');
+
+const request = require('supertest');
+const app = require('../server');
+const { getRow, getRows } = require('../config/database');
+const { sendEmail } = require('../utils/emailService');
+const { canTransition, STATUSES } = require('../config/visaStatus');
+const { useTestDatabase, staffToken, createApplication } = require('./helpers');
+
+describe('application status workflow', () => {
+  test('approved and rejected are final', () => {
+    for (const status of STATUSES) {
+      expect(canTransition('approved', status)).toBe(false);
+      expect(canTransition('rejected', status)).toBe(false);
+    }
+  });
+
+  test('approval only follows a review', () => {
+    expect(canTransition('pending', 'approved')).toBe(false);
+    expect(canTransition('additional_info_required', 'approved')).toBe(false);
+    expect(canTransition('reviewing', 'approved')).toBe(true);
+  });
+
+  describe('PATCH /api/visa/applications/:id/status', () => {
+    useTestDatabase();
+
+    let officer;
+    let supervisor;
+
+    beforeAll(async () => {
+      officer = await staffToken(request, app, 'case_officer');
+      supervisor = await staffToken(request, app, 'supervisor');
+    });
+
+    beforeEach(() => {
+      sendEmail.mockReset();
+      sendEmail.mockResolvedValue({ success: true });
+    });
+
+    function changeStatus(token, applicationId, body) {
+      return request(app)
+        .patch(`/api/visa/applications/${applicationId}/status`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(body);
+    }
+
+    test('moves the application on, logs it and emails the applicant', async () => {
+      const { application_id: id } = await createApplication();
+
+      const res = await changeStatus(officer, id, { status: 'reviewing' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ old_status: 'pending', new_status: 'reviewing' });
+      expect((await getRow('SELECT status FROM visa_applications WHERE application_id = ?', [id])).status).toBe('reviewing');
+      expect(await getRows('SELECT old_status, new_status, changed_by FROM application_status_log WHERE application_id = ?', [id]))
+        .toEqual([{ old_status: 'pending', new_status: 'reviewing', changed_by: expect.stringMatching(/^case_officer-/) }]);
+      expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: 'jane@example.com', template: 'visa-status-reviewing' }));
+    });
+
+    test('refuses a transition the workflow does not allow', async () => {
+      const { application_id: id } = await createApplication({ status: 'approved' });
+
+      const res = await changeStatus(supervisor, id, { status: 'reviewing' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('INVALID_STATUS_TRANSITION');
+      expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    test('only a supervisor can approve or reject', async () => {
+      const { application_id: id } = await createApplication({ status: 'reviewing' });
+
+      const byOfficer = await changeStatus(officer, id, { status: 'approved' });
+      const bySupervisor = await changeStatus(supervisor, id, { status: 'approved' });
+
+      expect(byOfficer.status).toBe(403);
+      expect(bySupervisor.status).toBe(200);
+    });
+
+    test('asks for notes when the applicant needs an explanation', async () => {
+      const { application_id: id } = await createApplication({ status: 'reviewing' });
+
+      const withoutNotes = await changeStatus(officer, id, { status: 'additional_info_required', notes: '  ' });
+      const withNotes = await changeStatus(officer, id, { status: 'additional_info_required', notes: 'Please upload a clearer passport scan' });
+
+      expect(withoutNotes.status).toBe(400);
+      expect(withNotes.status).toBe(200);
+      expect((await getRow('SELECT notes FROM application_status_log WHERE application_id = ?', [id])).notes)
+        .toBe('Please upload a clearer passport scan');
+    });
+
+    test('returns 404 for an unknown application', async () => {
+      const res = await changeStatus(officer, 'UAE-NOPE', { status: 'reviewing' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+});
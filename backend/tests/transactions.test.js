@@ -0,0 +1,85 @@
+const { runQuery, getRows, withTransaction, inTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { useTestDatabase } = require('./helpers');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('withTransaction', () => {
+  useTestDatabase();
+
+  beforeAll(() => runQuery('CREATE TABLE transaction_test (value INTEGER)'));
+  beforeEach(() => runQuery('DELETE FROM transaction_test'));
+
+  const insert = value => runQuery('INSERT INTO transaction_test (value) VALUES (?)', [value]);
+  const values = async () => (await getRows('SELECT value FROM transaction_test ORDER BY value')).map(row => row.value);
+
+  test('commits and returns the callback result', async () => {
+    const result = await withTransaction(async () => {
+      await insert(1);
+      await insert(2);
+      return inTransaction();
+    });
+
+    expect(result).toBe(true);
+    expect(inTransaction()).toBe(false);
+    expect(await values()).toEqual([1, 2]);
+  });
+
+  test('rolls back and re-throws when the callback throws', async () => {
+    const failure = withTransaction(async () => {
+      await insert(1);
+      throw new AppError('Not allowed', 409, 'CONFLICT');
+    });
+
+    await expect(failure).rejects.toMatchObject({ statusCode: 409, code: 'CONFLICT' });
+    expect(await values()).toEqual([]);
+  });
+
+  test('a nested call that fails only undoes its own work', async () => {
+    await withTransaction(async () => {
+      await insert(1);
+      await withTransaction(async () => {
+        await insert(2);
+        throw new Error('inner');
+      }).catch(() => {});
+      await withTransaction(() => insert(3));
+    });
+
+    expect(await values()).toEqual([1, 3]);
+  });
+
+  test('statements outside the transaction wait for it to finish', async () => {
+    const transaction = withTransaction(async () => {
+      await insert(1);
+      await sleep(30);
+      throw new Error('rolled back');
+    }).catch(() => {});
+
+    await sleep(5);
+    const seen = await values();
+    await transaction;
+
+    expect(seen).toEqual([]);
+  });
+
+  test('transactions waiting on the same one run one at a time', async () => {
+    const first = withTransaction(async () => {
+      await insert(1);
+      await sleep(30);
+    });
+    await sleep(5);
+
+    const waiting = [2, 3, 4].map(value => withTransaction(async () => {
+      await insert(value);
+      await sleep(5);
+      if (value === 3) {
+        throw new Error('rolled back');
+      }
+    }));
+    const results = await Promise.allSettled([first, ...waiting]);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected', 'fulfilled']);
+    expect(results[2].reason.message).toBe('rolled back');
+    expect(await values()).toEqual([1, 2, 4]);
+  });
+});
@@ -0,0 +1,70 @@
+jest.mock('../utils/emailService');
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../server');
+const { getRows } = require('../config/database');
+const { sendEmail } = require('../utils/emailService');
+const { UPLOADS_DIR, QUARANTINE_DIR, sweepQuarantine } = require('../utils/uploadStorage');
+const { useTestDatabase, submitApplication } = require('./helpers');
+
+describe('upload quarantine', () => {
+  useTestDatabase();
+
+  beforeEach(() => {
+    sendEmail.mockResolvedValue({ success: true });
+  });
+
+  function quarantined() {
+    return fs.readdirSync(QUARANTINE_DIR);
+  }
+
+  function stored() {
+    return fs.readdirSync(UPLOADS_DIR).filter(name => name !== path.basename(QUARANTINE_DIR));
+  }
+
+  // Unpromoted files are discarded once the response has been sent
+  async function quarantineEmptied() {
+    for (let attempt = 0; attempt < 50 && quarantined().length > 0; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return quarantined();
+  }
+
+  test('promotes the files of a stored application out of quarantine', async () => {
+    const res = await submitApplication(request, app, { passport_number: 'QA1000001' });
+
+    expect(res.status).toBe(201);
+
+    const documents = await getRows('SELECT document_type, stored_name FROM application_documents WHERE application_id = ?', [res.body.data.application_id]);
+
+    expect(documents.map(document => document.document_type).sort()).toEqual(['passport_copy', 'photo', 'photo_thumbnail']);
+    expect(stored().sort()).toEqual(documents.map(document => document.stored_name).sort());
+    expect(await quarantineEmptied()).toEqual([]);
+  });
+
+  test('discards the files of a rejected submission', async () => {
+    const before = stored();
+    const res = await submitApplication(request, app, { passport_number: 'QA1000002', first_name: '' });
+
+    expect(res.status).toBe(400);
+    expect(await quarantineEmptied()).toEqual([]);
+    expect(stored()).toEqual(before);
+  });
+
+  test('the sweeper removes only stale quarantined files', async () => {
+    const stale = path.join(QUARANTINE_DIR, 'photo-stale.png');
+    const fresh = path.join(QUARANTINE_DIR, 'photo-fresh.png');
+    fs.writeFileSync(stale, 'stale');
+    fs.writeFileSync(fresh, 'fresh');
+
+    const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    fs.utimesSync(stale, twoHoursAgo, twoHoursAgo);
+
+    expect(await sweepQuarantine(60)).toBe(1);
+    expect(quarantined()).toEqual(['photo-fresh.png']);
+
+    fs.unlinkSync(fresh);
+  });
+});
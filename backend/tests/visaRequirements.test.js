@@ -0,0 +1,81 @@
+jest.mock('../utils/emailService');
+
+const request = require('supertest');
+const app = require('../server');
+const { getVisaRequirements, findMissingRequirements } = require('../utils/visaRequirements');
+const { useTestDatabase, submitApplication } = require('./helpers');
+
+function names(list) {
+  return list.map(item => item.name);
+}
+
+describe('visa requirements', () => {
+  test('everyone needs a passport copy and photo, and each visa type adds its own', () => {
+    const tourist = getVisaRequirements({ nationality: 'us', visa_type: 'tourist' });
+    const work = getVisaRequirements({ nationality: 'US', visa_type: 'work' });
+    const medical = getVisaRequirements({ nationality: 'US', visa_type: 'medical' });
+
+    expect(tourist).toMatchObject({ nationality: 'US', eligible: true, reasons: [] });
+    expect(names(tourist.required_documents)).toEqual(['passport_copy', 'photo']);
+    expect(names(tourist.required_fields)).not.toContain('company_name');
+    expect(names(work.required_fields)).toEqual(expect.arrayContaining(['company_name', 'company_address', 'sponsor_name', 'sponsor_phone']));
+    expect(names(work.required_documents)).toEqual(['passport_copy', 'photo', 'cv']);
+    expect(names(medical.required_documents)).toEqual(['passport_copy', 'photo', 'hospital_letter']);
+  });
+
+  test('GCC nationals are not eligible', () => {
+    expect(getVisaRequirements({ nationality: 'SA', visa_type: 'tourist' })).toMatchObject({
+      eligible: false,
+      reasons: ['Citizens of the UAE and other GCC countries do not need a visa to enter the UAE.']
+    });
+  });
+
+  test('reports blank fields and missing documents by field', () => {
+    const requirements = getVisaRequirements({ nationality: 'US', visa_type: 'work' });
+    const missing = findMissingRequirements(requirements, { company_name: ' ', company_address: 'Dubai' }, { passport_copy: [{}], photo: [{}] });
+
+    expect(missing).toEqual(expect.arrayContaining([
+      { field: 'company_name', message: 'Company name is required for a work visa' },
+      { field: 'cv', message: 'CV/Resume is required for a work visa' }
+    ]));
+    expect(missing.map(error => error.field)).not.toContain('company_address');
+  });
+
+  describe('through the API', () => {
+    useTestDatabase();
+
+    test('lists the requirements for a nationality and visa type', async () => {
+      const res = await request(app)
+        .get('/api/visa/requirements')
+        .query({ nationality: 'US', visa_type: 'medical' });
+
+      expect(res.status).toBe(200);
+      expect(names(res.body.data.requirements.required_documents)).toContain('hospital_letter');
+    });
+
+    test('refuses an unknown visa type', async () => {
+      const res = await request(app)
+        .get('/api/visa/requirements')
+        .query({ nationality: 'US', visa_type: 'holiday' });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('submission refuses GCC nationals', async () => {
+      const res = await submitApplication(request, app, { nationality: 'AE', passport_number: 'RQ1000001' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('NOT_ELIGIBLE');
+    });
+
+    test('submission refuses a medical visa without the hospital letter', async () => {
+      const res = await submitApplication(request, app, { visa_type: 'medical', passport_number: 'RQ1000002' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('MISSING_REQUIREMENTS');
+      expect(res.body.errors).toEqual([
+        { field: 'hospital_letter', message: 'Hospital letter is required for a medical visa' }
+      ]);
+    });
+  });
+});
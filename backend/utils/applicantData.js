@@ -0,0 +1,253 @@
+const fs = require('fs').promises;
+const path = require('path');
+const archiver = require('archiver');
+const { runQuery, getRows, withTransaction } = require('../config/database');
+const { UPLOADS_DIR } = require('./uploadStorage');
+
+// Everything stored about one applicant email address, for privacy export
+// and erasure requests (routes/privacy.js)
+
+// Placeholder written to required columns of an anonymised application
+const ERASED = '[erased]';
+
+// Personal columns of visa_applications. Erasure keeps the rest (visa type,
+// nationality, travel dates, status) for statistics.
+const REQUIRED_PERSONAL_COLUMNS = ['full_name', 'email', 'phone', 'passport_number'];
+const OPTIONAL_PERSONAL_COLUMNS = [
+  'first_name', 'last_name', 'date_of_birth', 'gender', 'marital_status',
+  'place_of_birth', 'occupation', 'address', 'city', 'country',
+  'passport_issue_date', 'passport_expiry_date', 'passport_issue_place',
+  'company_name', 'company_address', 'hotel_name', 'tour_operator',
+  'relative_name', 'relative_relation', 'sponsor_name', 'sponsor_phone', 'sponsor_address',
+  'accommodation_details', 'sponsor_information', 'previous_uae_visit',
+  'criminal_record', 'medical_conditions',
+  'emergency_contact_name', 'emergency_contact_phone', 'emergency_contact_relationship',
+  'passport_copy_path', 'photo_path', 'cv_path', 'additional_documents_path',
+  'passport_number_hash'
+];
+
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+// Drop internal columns that mean nothing to the applicant
+function omit(row, columns) {
+  const copy = { ...row };
+  columns.forEach(column => delete copy[column]);
+  return copy;
+}
+
+function findByEmail(table, email) {
+  return getRows(`SELECT * FROM ${table} WHERE LOWER(email) = LOWER(?) ORDER BY id`, [email]);
+}
+
+async function findByApplication(table, applicationIds) {
+  if (applicationIds.length === 0) {
+    return [];
+  }
+
+  return getRows(`
+    SELECT * FROM ${table}
+    WHERE application_id IN (${placeholders(applicationIds)})
+    ORDER BY id
+  `, applicationIds);
+}
+
+async function collectApplicantData(email) {
+  const applications = await findByEmail('visa_applications', email);
+  const applicationIds = applications.map(application => application.application_id);
+
+  return {
+    visa_applications: applications,
+    application_documents: await findByApplication('application_documents', applicationIds),
+    application_status_log: await findByApplication('application_status_log', applicationIds),
+    invoices: await findByApplication('invoices', applicationIds),
+    payments: await findByApplication('payments', applicationIds),
+    contact_messages: await findByEmail('contact_messages', email),
+    feedback: await findByEmail('feedback', email),
+    newsletter_subscriptions: await findByEmail('newsletter_subscriptions', email)
+  };
+}
+
+async function fileExists(filePath) {
+  try {
+    return (await fs.stat(filePath)).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+// Write the data as a ZIP archive to `output` (e.g. the response): one JSON
+// file per table, the uploaded documents under documents/<application id>/,
+// and export.json describing the export. Resolves once the archive is written.
+async function writeExportArchive(data, output, details = {}) {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('finish', resolve);
+    archive.on('error', reject);
+  });
+
+  archive.pipe(output);
+
+  const documents = [];
+  for (const document of data.application_documents) {
+    const source = path.join(UPLOADS_DIR, path.basename(document.stored_name));
+    const name = `documents/${document.application_id}/${document.document_id}-${path.basename(document.original_name || document.stored_name)}`;
+    const included = await fileExists(source);
+
+    if (included) {
+      archive.file(source, { name });
+    }
+
+    documents.push({
+      ...omit(document, ['id', 'stored_name']),
+      file: included ? name : null
+    });
+  }
+
+  const tables = {
+    visa_applications: data.visa_applications.map(row => omit(row, [
+      'id', 'passport_number_hash', 'passport_copy_path', 'photo_path', 'cv_path', 'additional_documents_path'
+    ])),
+    application_documents: documents,
+    application_status_log: data.application_status_log.map(row => omit(row, ['id'])),
+    invoices: data.invoices.map(row => ({ ...omit(row, ['id']), items: JSON.parse(row.items) })),
+    payments: data.payments.map(row => omit(row, ['id'])),
+    contact_messages: data.contact_messages.map(row => omit(row, ['id'])),
+    feedback: data.feedback.map(row => omit(row, ['id'])),
+    newsletter_subscriptions: data.newsletter_subscriptions.map(row => omit(row, ['id', 'unsubscribe_token']))
+  };
+
+  const counts = {};
+  for (const [table, rows] of Object.entries(tables)) {
+    archive.append(JSON.stringify(rows, null, 2), { name: `${table}.json` });
+    counts[table] = rows.length;
+  }
+
+  archive.append(JSON.stringify({
+    ...details,
+    generated_at: new Date().toISOString(),
+    records: counts
+  }, null, 2), { name: 'export.json' });
+
+  await archive.finalize();
+  await finished;
+  return counts;
+}
+
+// Payment statuses that are settled: nothing more will arrive from the
+// gateway and nothing is owed back
+const SETTLED_PAYMENT_STATUSES = ['succeeded', 'failed'];
+
+function inClause(column, values) {
+  return values.length > 0 ? `${column} IN (${placeholders(values)})` : 'FALSE';
+}
+
+// Clear what audit_log holds about the applicant (migrations/012 allows only
+// this): the IP address of their signed-link downloads and the change diffs
+// of their contact messages and feedback, which carry staff notes about them.
+// Staff IP addresses and visa status diffs are not the applicant's and stay.
+async function redactAuditEntries(data) {
+  const applicationIds = data.visa_applications.map(application => application.application_id);
+  const documentIds = data.application_documents.map(document => document.document_id);
+  const messageIds = data.contact_messages.map(message => message.message_id);
+  const feedbackIds = data.feedback.map(feedback => feedback.feedback_id);
+
+  const downloads = await runQuery(`
+    UPDATE audit_log SET ip_address = NULL
+    WHERE actor = 'signed-link' AND ip_address IS NOT NULL
+      AND ((entity = 'visa_applications' AND ${inClause('entity_id', applicationIds)})
+        OR (entity = 'application_documents' AND ${inClause('entity_id', documentIds)}))
+  `, [...applicationIds, ...documentIds]);
+  const notes = await runQuery(`
+    UPDATE audit_log SET changes = NULL
+    WHERE changes IS NOT NULL
+      AND ((entity = 'contact_messages' AND ${inClause('entity_id', messageIds)})
+        OR (entity = 'feedback' AND ${inClause('entity_id', feedbackIds)}))
+  `, [...messageIds, ...feedbackIds]);
+
+  return downloads.changes + notes.changes;
+}
+
+// Delete contact messages, feedback, newsletter subscriptions and uploaded
+// documents for the email address, anonymise its visa applications and
+// status notes, and clear its payment references and audit entry details.
+// Files are unlinked once the transaction has committed. Returns how many
+// records of each kind were changed.
+//
+// Invoices and payments are kept: they are the accounting and VAT records of
+// money taken, which must be retained for the statutory period whatever the
+// applicant asks. Invoices hold no personal data beyond the application ID,
+// which then points at the anonymised application. A payment's
+// provider_reference is the gateway's ID for the charge, under which the
+// gateway holds the payer's name and card; it is replaced once the payment
+// is settled (the gateway can still find it by payment_id, sent as the
+// merchant reference). Pending and refund_required payments keep theirs so
+// late webhooks and refunds can still be matched.
+async function eraseApplicantData(email) {
+  const data = await collectApplicantData(email);
+  const applicationIds = data.visa_applications.map(application => application.application_id);
+  let paymentsAnonymised = 0;
+  let auditEntriesRedacted = 0;
+
+  await withTransaction(async () => {
+    if (applicationIds.length > 0) {
+      const inList = `application_id IN (${placeholders(applicationIds)})`;
+
+      await runQuery(`DELETE FROM application_documents WHERE ${inList}`, applicationIds);
+      await runQuery(`UPDATE application_status_log SET notes = NULL WHERE ${inList}`, applicationIds);
+      await runQuery(`
+        UPDATE visa_applications
+        SET ${REQUIRED_PERSONAL_COLUMNS.map(column => `${column} = ?`).join(', ')},
+            ${OPTIONAL_PERSONAL_COLUMNS.map(column => `${column} = NULL`).join(', ')},
+            updated_at = CURRENT_TIMESTAMP
+        WHERE ${inList}
+      `, [...REQUIRED_PERSONAL_COLUMNS.map(() => ERASED), ...applicationIds]);
+
+      const payments = await runQuery(`
+        UPDATE payments
+        SET provider_reference = 'erased:' || payment_id, updated_at = CURRENT_TIMESTAMP
+        WHERE ${inList} AND status IN (${placeholders(SETTLED_PAYMENT_STATUSES)})
+          AND provider_reference NOT LIKE 'erased:%'
+      `, [...applicationIds, ...SETTLED_PAYMENT_STATUSES]);
+      paymentsAnonymised = payments.changes;
+    }
+
+    auditEntriesRedacted = await redactAuditEntries(data);
+
+    for (const table of ['contact_messages', 'feedback', 'newsletter_subscriptions']) {
+      await runQuery(`DELETE FROM ${table} WHERE LOWER(email) = LOWER(?)`, [email]);
+    }
+  });
+
+  let filesRemoved = 0;
+  for (const document of data.application_documents) {
+    try {
+      await fs.unlink(path.join(UPLOADS_DIR, path.basename(document.stored_name)));
+      filesRemoved++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to remove erased upload ${document.stored_name}:`, error.message);
+      }
+    }
+  }
+
+  return {
+    visa_applications_anonymised: data.visa_applications.length,
+    documents_deleted: data.application_documents.length,
+    files_removed: filesRemoved,
+    contact_messages_deleted: data.contact_messages.length,
+    feedback_deleted: data.feedback.length,
+    newsletter_subscriptions_deleted: data.newsletter_subscriptions.length,
+    invoices_retained: data.invoices.length,
+    payments_anonymised: paymentsAnonymised,
+    audit_entries_redacted: auditEntriesRedacted
+  };
+}
+
+module.exports = {
+  collectApplicantData,
+  writeExportArchive,
+  eraseApplicantData
+};
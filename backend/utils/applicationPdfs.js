@@ -0,0 +1,181 @@
+const PDFDocument = require('pdfkit');
+const moment = require('moment');
+const { findCountry } = require('./countries');
+
+// Server-rendered PDFs for applicants: the receipt for a submitted
+// application and the invoice for its fee. Both take the visa_applications
+// row (or the record being inserted) and the invoice from formatInvoice(),
+// and resolve to a Buffer.
+
+const BRAND_COLOR = '#c41e3a';
+const MUTED_COLOR = '#666666';
+const PAGE_MARGIN = 50;
+
+function formatDate(value) {
+  return value ? moment(value).format('MMMM DD, YYYY') : '-';
+}
+
+function formatMoney(currency, amount) {
+  return `${currency} ${Number(amount).toFixed(2)}`;
+}
+
+function capitalize(value) {
+  return value ? value.charAt(0).toUpperCase() + value.slice(1).replace(/_/g, ' ') : '-';
+}
+
+// Only the last four characters of the passport number are printed
+function maskPassport(passportNumber) {
+  return passportNumber ? `${'*'.repeat(Math.max(passportNumber.length - 4, 0))}${passportNumber.slice(-4)}` : '-';
+}
+
+function renderPdf(title, draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: { Title: title, Author: 'UAE Visa Services' }
+    });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    draw(doc);
+    doc.end();
+  });
+}
+
+function drawHeader(doc, title, reference) {
+  doc.fillColor(BRAND_COLOR).fontSize(20).font('Helvetica-Bold').text('UAE Visa Services');
+  doc.fillColor(MUTED_COLOR).fontSize(10).font('Helvetica').text('Your trusted visa processing partner');
+  doc.moveDown(1.5);
+  doc.fillColor('black').fontSize(16).font('Helvetica-Bold').text(title);
+  doc.fontSize(10).font('Helvetica').text(reference);
+  doc.moveDown();
+}
+
+function drawSection(doc, heading, rows) {
+  doc.fillColor(BRAND_COLOR).fontSize(12).font('Helvetica-Bold').text(heading, PAGE_MARGIN);
+  doc.moveDown(0.3);
+
+  rows.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.fillColor(MUTED_COLOR).fontSize(10).font('Helvetica').text(label, PAGE_MARGIN, y, { width: 150 });
+    doc.fillColor('black').text(String(value), PAGE_MARGIN + 160, y);
+  });
+
+  doc.moveDown();
+}
+
+// Line items with their VAT, then subtotal, VAT and total
+function drawFees(doc, invoice) {
+  const columns = { label: PAGE_MARGIN, amount: 330, vat: 430 };
+  const row = (label, amount, vat, font = 'Helvetica') => {
+    const y = doc.y;
+    doc.fillColor('black').fontSize(10).font(font);
+    doc.text(amount, columns.amount, y, { width: 90, align: 'right' });
+    doc.text(vat, columns.vat, y, { width: 90, align: 'right' });
+    // Last, so the next row starts below the label however it wraps
+    doc.text(label, columns.label, y, { width: 270 });
+  };
+
+  doc.fillColor(BRAND_COLOR).fontSize(12).font('Helvetica-Bold').text('Fee Breakdown', PAGE_MARGIN);
+  doc.moveDown(0.3);
+  row('Description', 'Amount', 'VAT', 'Helvetica-Bold');
+
+  invoice.items.forEach(item => {
+    row(
+      item.label,
+      formatMoney(invoice.currency, item.amount),
+      item.vat_rate ? `${formatMoney(invoice.currency, item.vat)} (${item.vat_rate * 100}%)` : '-'
+    );
+  });
+
+  doc.moveDown(0.5);
+  row('Subtotal', formatMoney(invoice.currency, invoice.subtotal), '');
+  row('VAT', formatMoney(invoice.currency, invoice.vat), '');
+  row('Total', formatMoney(invoice.currency, invoice.total), '', 'Helvetica-Bold');
+  doc.moveDown();
+}
+
+function drawFooter(doc, note) {
+  doc.moveDown();
+  doc.fillColor(MUTED_COLOR).fontSize(9).font('Helvetica').text(note, PAGE_MARGIN);
+  doc.text(`Generated on ${moment().format('MMMM DD, YYYY [at] HH:mm')}. Questions: ${process.env.SUPPORT_EMAIL || 'support@uaevisaservices.com'}`);
+}
+
+function applicantRows(application) {
+  return [
+    ['Name', application.full_name],
+    ['Email', application.email],
+    ['Phone', application.phone || '-'],
+    ['Nationality', countryName(application.nationality)],
+    ['Passport number', maskPassport(application.passport_number)]
+  ];
+}
+
+function countryName(code) {
+  const country = findCountry(code);
+  return country ? country.name : code || '-';
+}
+
+function paymentStatus(invoice) {
+  return invoice.status === 'paid' ? `Paid on ${formatDate(invoice.paid_at)}` : 'Awaiting payment';
+}
+
+function renderReceipt(application, invoice) {
+  return renderPdf(`Application receipt ${application.application_id}`, (doc) => {
+    drawHeader(doc, 'Application Receipt', `Application ID: ${application.application_id}`);
+
+    drawSection(doc, 'Application', [
+      ['Application ID', application.application_id],
+      ['Submitted', formatDate(application.created_at)],
+      ['Status', capitalize(application.status)]
+    ]);
+    drawSection(doc, 'Applicant', applicantRows(application));
+    drawSection(doc, 'Travel', [
+      ['Visa type', capitalize(application.visa_type)],
+      ['Arrival date', formatDate(application.arrival_date)],
+      ['Departure date', formatDate(application.departure_date)],
+      ['Duration of stay', `${application.duration_of_stay} days`]
+    ]);
+
+    if (invoice) {
+      drawFees(doc, invoice);
+      drawSection(doc, 'Payment', [
+        ['Invoice', invoice.invoice_id],
+        ['Status', paymentStatus(invoice)]
+      ]);
+    }
+
+    drawFooter(doc, 'Keep this receipt and your Application ID for status enquiries.');
+  });
+}
+
+function renderInvoice(application, invoice) {
+  return renderPdf(`Invoice ${invoice.invoice_id}`, (doc) => {
+    drawHeader(doc, 'Tax Invoice', `Invoice number: ${invoice.invoice_id}`);
+
+    drawSection(doc, 'Invoice', [
+      ['Invoice number', invoice.invoice_id],
+      ['Issued', formatDate(invoice.created_at)],
+      ['Application ID', application.application_id],
+      ['Status', paymentStatus(invoice)]
+    ]);
+    drawSection(doc, 'Billed to', applicantRows(application));
+    drawSection(doc, 'Travel', [
+      ['Visa type', capitalize(application.visa_type)],
+      ['Travel dates', `${formatDate(application.arrival_date)} to ${formatDate(application.departure_date)}`],
+      ['Duration of stay', `${application.duration_of_stay} days`]
+    ]);
+    drawFees(doc, invoice);
+
+    drawFooter(doc, 'Government visa fees are not subject to VAT. Your application is reviewed once this invoice is paid.');
+  });
+}
+
+module.exports = {
+  renderReceipt,
+  renderInvoice
+};
@@ -0,0 +1,65 @@
+const { COUNTRIES } = require('../config/countries');
+
+// Lookups over the ISO 3166 reference data in config/countries.js. Input is
+// matched on the alpha-2 or alpha-3 code, the name, an alias or the demonym,
+// ignoring case and accents, so "gb", "GBR", "United Kingdom", "UK" and
+// "British" all resolve to GB.
+
+function normaliseKey(value) {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+const byKey = new Map();
+
+COUNTRIES.forEach((country) => {
+  [country.code, country.alpha3, country.name, ...(country.aliases || [])].forEach((key) => {
+    byKey.set(normaliseKey(key), country);
+  });
+});
+
+// Demonyms shared by several entries ("Dominican", "Congolese") can't say
+// which country is meant, so only unique ones are matched. Where a territory
+// shares its state's demonym the state lists it as an alias instead.
+const demonymCounts = COUNTRIES.reduce((counts, { demonym }) => {
+  const key = normaliseKey(demonym);
+  counts.set(key, (counts.get(key) || 0) + 1);
+  return counts;
+}, new Map());
+
+COUNTRIES.forEach((country) => {
+  const key = normaliseKey(country.demonym);
+  if (demonymCounts.get(key) === 1 && !byKey.has(key)) {
+    byKey.set(key, country);
+  }
+});
+
+function findCountry(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+  return byKey.get(normaliseKey(value)) || null;
+}
+
+// The ISO alpha-2 code for a nationality given in any accepted form, or null
+function normaliseNationality(value) {
+  const country = findCountry(value);
+  return country ? country.code : null;
+}
+
+function isCountryCode(value) {
+  return typeof value === 'string' && COUNTRIES.some(country => country.code === value);
+}
+
+// Public listing for GET /api/reference/countries, sorted by name
+function listCountries() {
+  return COUNTRIES
+    .map(({ code, alpha3, name, demonym, dialling_code }) => ({ code, alpha3, name, demonym, dialling_code }))
+    .sort((a, b) => a.name.localeCompare(b.name, 'en'));
+}
+
+module.exports = {
+  findCountry,
+  normaliseNationality,
+  isCountryCode,
+  listCountries
+};
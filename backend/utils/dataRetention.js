@@ -0,0 +1,213 @@
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment');
+const { v4: uuidv4 } = require('uuid');
+const { runQuery, getRows, withTransaction } = require('../config/database');
+const { RETENTION_ENTITIES, getRetentionPolicy } = require('../config/retention');
+const { UPLOADS_DIR } = require('./uploadStorage');
+
+// Purges records that have outlived their retention period (config/retention.js).
+// Rows, their dependents and the purge_log entries are written in one
+// transaction; the uploaded files are unlinked once that has committed.
+
+const RETENTION_PURGE_INTERVAL_HOURS = process.env.RETENTION_PURGE_INTERVAL_HOURS === undefined
+  ? 24
+  : parseFloat(process.env.RETENTION_PURGE_INTERVAL_HOURS);
+
+// Keeps IN (...) lists well under SQLite's bound parameter limit
+const CHUNK_SIZE = 200;
+
+function chunk(values) {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += CHUNK_SIZE) {
+    chunks.push(values.slice(i, i + CHUNK_SIZE));
+  }
+  return chunks;
+}
+
+function placeholders(values) {
+  return values.map(() => '?').join(', ');
+}
+
+// One group per status with a retention period, plus the entity's default
+// for every status not listed
+function buildGroups(policy, now) {
+  const groups = [];
+
+  for (const [entity, periods] of Object.entries(policy)) {
+    const listed = Object.keys(periods).filter(status => status !== 'default');
+
+    for (const [status, months] of Object.entries(periods)) {
+      if (months === null || months === undefined) {
+        continue;
+      }
+
+      const cutoff = moment.utc(now).subtract(months, 'months').format('YYYY-MM-DD HH:mm:ss');
+      groups.push({ entity, status, months, cutoff, listed });
+    }
+  }
+
+  return groups;
+}
+
+async function findExpired(group) {
+  const { table, key } = RETENTION_ENTITIES[group.entity];
+  const conditions = ['COALESCE(updated_at, created_at) < ?'];
+  const params = [group.cutoff];
+
+  if (group.status === 'default') {
+    if (group.listed.length > 0) {
+      conditions.push(`(status IS NULL OR status NOT IN (${placeholders(group.listed)}))`);
+      params.push(...group.listed);
+    }
+  } else {
+    conditions.push('status = ?');
+    params.push(group.status);
+  }
+
+  const rows = await getRows(`
+    SELECT ${key} as record_id FROM ${table}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY id
+  `, params);
+
+  return rows.map(row => row.record_id);
+}
+
+async function findFiles(entity, ids) {
+  const { key, files } = RETENTION_ENTITIES[entity];
+  if (!files) {
+    return [];
+  }
+
+  const names = [];
+  for (const batch of chunk(ids)) {
+    const rows = await getRows(`
+      SELECT ${files.column} as stored_name FROM ${files.table}
+      WHERE ${key} IN (${placeholders(batch)})
+    `, batch);
+    names.push(...rows.map(row => row.stored_name).filter(Boolean));
+  }
+  return names;
+}
+
+async function deleteRecords(entity, ids) {
+  const { table, key, dependents } = RETENTION_ENTITIES[entity];
+
+  for (const batch of chunk(ids)) {
+    for (const dependent of dependents) {
+      await runQuery(`DELETE FROM ${dependent} WHERE ${key} IN (${placeholders(batch)})`, batch);
+    }
+    await runQuery(`DELETE FROM ${table} WHERE ${key} IN (${placeholders(batch)})`, batch);
+  }
+}
+
+// Unlink stored files; returns how many were removed. A missing file has
+// nothing left to remove and is not counted.
+async function removeFiles(names) {
+  let removed = 0;
+
+  for (const name of names) {
+    try {
+      await fs.unlink(path.join(UPLOADS_DIR, path.basename(name)));
+      removed++;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to remove purged upload ${name}:`, error.message);
+      }
+    }
+  }
+
+  return removed;
+}
+
+// Find and delete expired records. With dryRun nothing is changed and the
+// result reports what would have been removed.
+async function purgeExpiredRecords({ dryRun = false, triggeredBy = 'system', now = new Date() } = {}) {
+  const runId = uuidv4();
+  const groups = buildGroups(getRetentionPolicy(), now);
+  const results = [];
+
+  for (const group of groups) {
+    const ids = await findExpired(group);
+    const files = ids.length > 0 ? await findFiles(group.entity, ids) : [];
+    results.push({
+      entity: group.entity,
+      status: group.status,
+      retention_months: group.months,
+      cutoff: group.cutoff,
+      record_ids: ids,
+      records_removed: ids.length,
+      files,
+      // In a dry run, the files that would be removed
+      files_removed: files.length
+    });
+  }
+
+  const purged = results.filter(result => result.records_removed > 0);
+
+  if (!dryRun && purged.length > 0) {
+    await withTransaction(async () => {
+      for (const result of purged) {
+        await deleteRecords(result.entity, result.record_ids);
+        await runQuery(`
+          INSERT INTO purge_log (
+            run_id, entity, status, retention_months, cutoff,
+            records_removed, record_ids, triggered_by
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+          runId, result.entity, result.status, result.retention_months, result.cutoff,
+          result.records_removed, JSON.stringify(result.record_ids), triggeredBy
+        ]);
+      }
+    });
+
+    // Files go only once their rows are gone for good
+    for (const result of purged) {
+      result.files_removed = await removeFiles(result.files);
+
+      if (result.files_removed > 0) {
+        await runQuery(`
+          UPDATE purge_log SET files_removed = ?
+          WHERE run_id = ? AND entity = ? AND status = ?
+        `, [result.files_removed, runId, result.entity, result.status]);
+      }
+    }
+  }
+
+  return {
+    run_id: runId,
+    dry_run: dryRun,
+    records_removed: purged.reduce((total, result) => total + result.records_removed, 0),
+    files_removed: purged.reduce((total, result) => total + result.files_removed, 0),
+    groups: results.map(({ files, ...result }) => result)
+  };
+}
+
+// Purge on an interval for the lifetime of the process.
+// RETENTION_PURGE_INTERVAL_HOURS=0 turns the schedule off.
+function startRetentionSchedule() {
+  if (!(RETENTION_PURGE_INTERVAL_HOURS > 0)) {
+    return null;
+  }
+
+  const purge = () => {
+    purgeExpiredRecords()
+      .then((result) => {
+        if (result.records_removed > 0) {
+          console.log(`🗑️  Retention purge removed ${result.records_removed} record(s) and ${result.files_removed} file(s)`);
+        }
+      })
+      .catch(error => console.error('Retention purge failed:', error.message));
+  };
+
+  purge();
+  const timer = setInterval(purge, RETENTION_PURGE_INTERVAL_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  purgeExpiredRecords,
+  startRetentionSchedule
+};
@@ -0,0 +1,51 @@
+const { getRows } = require('../config/database');
+
+// An application conflicts with an earlier one for the same passport and
+// visa type whose travel dates overlap its own. Rejected applications don't
+// count, so a refused applicant can apply again. What happens on a match is
+// set by DUPLICATE_APPLICATION_ACTION:
+//   flag    store it with is_flagged_duplicate for staff to review (default)
+//   reject  refuse the submission with 409 DUPLICATE_APPLICATION
+
+const DUPLICATE_ACTIONS = ['flag', 'reject'];
+
+function getDuplicateAction() {
+  const action = process.env.DUPLICATE_APPLICATION_ACTION || 'flag';
+
+  if (!DUPLICATE_ACTIONS.includes(action)) {
+    throw new Error(`DUPLICATE_APPLICATION_ACTION must be one of: ${DUPLICATE_ACTIONS.join(', ')}`);
+  }
+
+  return action;
+}
+
+// IDs of the conflicting applications, oldest first. Matches on the
+// passport number's blind index, as the number itself is encrypted.
+async function findConflictingApplications({ passport_number_hash, visa_type, arrival_date, departure_date }) {
+  if (!passport_number_hash) {
+    return [];
+  }
+
+  const rows = await getRows(`
+    SELECT application_id FROM visa_applications
+    WHERE passport_number_hash = ?
+      AND visa_type = ?
+      AND status != 'rejected'
+      AND arrival_date <= ?
+      AND departure_date >= ?
+    ORDER BY id ASC
+  `, [passport_number_hash, visa_type, departure_date, arrival_date]);
+
+  return rows.map(row => row.application_id);
+}
+
+// duplicate_of is stored as a comma-separated list
+function parseDuplicateOf(value) {
+  return value ? value.split(',') : [];
+}
+
+module.exports = {
+  getDuplicateAction,
+  findConflictingApplications,
+  parseDuplicateOf
+};
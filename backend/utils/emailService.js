@@ -23,7 +23,7 @@ const createTransporter = () => {
 
   // For development, use ethereal email if no SMTP config
   if (!process.env.EMAIL_USER && process.env.NODE_ENV === 'development') {
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       host: 'smtp.ethereal.email',
       port: 587,
       auth: {
@@ -33,7 +33,7 @@ const createTransporter = () => {
     });
   }
 
-  return nodemailer.createTransporter(config);
+  return nodemailer.createTransport(config);
 };
 
 // Load and compile email template
@@ -50,6 +50,13 @@ const loadTemplate = async (templateName) => {
     templateCache.set(templateName, compiledTemplate);
     return compiledTemplate;
   } catch (error) {
+    // Use the inline default when there is no template file
+    if (defaultTemplates[templateName]) {
+      const compiledTemplate = handlebars.compile(defaultTemplates[templateName]);
+      templateCache.set(templateName, compiledTemplate);
+      return compiledTemplate;
+    }
+
     console.error(`Failed to load email template: ${templateName}`, error);
     // Return a basic template as fallback
     return handlebars.compile(`
@@ -96,8 +103,11 @@ const defaultTemplates = {
             <p><strong>Duration of Stay:</strong> {{duration_of_stay}} days</p>
           </div>
           
+          <p>Your application receipt and the invoice for the application fee are attached to this email as PDFs.</p>
+          
           <h3 style="color: #2c5530;">What happens next?</h3>
           <ul>
+            <li>Pay the application fee invoice; review starts once it is paid</li>
             <li>Your application is being reviewed by our team</li>
             <li>You will receive email updates on the progress</li>
             <li>Additional documents may be requested if needed</li>
@@ -253,6 +263,278 @@ const defaultTemplates = {
         </div>
       </body>
     </html>
+  `,
+  
+  'visa-status-reviewing': `
+    <html>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #c41e3a; margin: 0;">UAE Visa Services</h1>
+            <p style="color: #666; margin: 5px 0;">Your trusted visa processing partner</p>
+          </div>
+          
+          <h2 style="color: #2c5530;">Your Application Is Under Review</h2>
+          
+          <p>Dear {{full_name}},</p>
+          
+          <p>Good news - a case officer has started reviewing your {{visa_type}} visa application. We will contact you if anything else is needed.</p>
+          {{#if notes}}
+          <div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Notes from our team:</strong></p>
+            <p style="margin: 10px 0 0 0;">{{notes}}</p>
+          </div>
+          {{/if}}
+
+          <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Application ID:</strong> {{application_id}}</p>
+            <p style="margin: 5px 0 0 0;"><strong>Updated:</strong> {{updated_at}}</p>
+          </div>
+          
+          <p>You can follow your application at any time on our <a href="{{status_check_url}}" style="color: #c41e3a;">status page</a>.</p>
+          
+          <p>Best regards,<br>UAE Visa Services Team</p>
+          
+          <hr style="border: 1px solid #eee; margin: 30px 0;">
+          <p style="font-size: 12px; color: #666; text-align: center;">
+            This is an automated email. Please do not reply to this email.<br>
+            For support, contact us at support@uaevisaservices.com
+          </p>
+        </div>
+      </body>
+    </html>
+  `,
+  
+  'visa-status-additional-info-required': `
+    <html>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #c41e3a; margin: 0;">UAE Visa Services</h1>
+            <p style="color: #666; margin: 5px 0;">Your trusted visa processing partner</p>
+          </div>
+          
+          <h2 style="color: #2c5530;">Additional Information Required</h2>
+          
+          <p>Dear {{full_name}},</p>
+          
+          <p>To continue processing your {{visa_type}} visa application, we need some additional information or documents from you.</p>
+          {{#if notes}}
+          <div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Notes from our team:</strong></p>
+            <p style="margin: 10px 0 0 0;">{{notes}}</p>
+          </div>
+          {{/if}}
+          
+          <p>Please reply with the requested information as soon as possible. Processing is paused until we receive it.</p>
+
+          <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Application ID:</strong> {{application_id}}</p>
+            <p style="margin: 5px 0 0 0;"><strong>Updated:</strong> {{updated_at}}</p>
+          </div>
+          
+          <p>You can follow your application at any time on our <a href="{{status_check_url}}" style="color: #c41e3a;">status page</a>.</p>
+          
+          <p>Best regards,<br>UAE Visa Services Team</p>
+          
+          <hr style="border: 1px solid #eee; margin: 30px 0;">
+          <p style="font-size: 12px; color: #666; text-align: center;">
+            This is an automated email. Please do not reply to this email.<br>
+            For support, contact us at support@uaevisaservices.com
+          </p>
+        </div>
+      </body>
+    </html>
+  `,
+  
+  'visa-status-approved': `
+    <html>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #c41e3a; margin: 0;">UAE Visa Services</h1>
+            <p style="color: #666; margin: 5px 0;">Your trusted visa processing partner</p>
+          </div>
+          
+          <h2 style="color: #2c5530;">Your Visa Application Has Been Approved</h2>
+          
+          <p>Dear {{full_name}},</p>
+          
+          <p>We are pleased to let you know that your {{visa_type}} visa application has been approved. Your visa will be issued shortly.</p>
+          {{#if notes}}
+          <div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Notes from our team:</strong></p>
+            <p style="margin: 10px 0 0 0;">{{notes}}</p>
+          </div>
+          {{/if}}
+
+          <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Application ID:</strong> {{application_id}}</p>
+            <p style="margin: 5px 0 0 0;"><strong>Updated:</strong> {{updated_at}}</p>
+          </div>
+          
+          <p>You can follow your application at any time on our <a href="{{status_check_url}}" style="color: #c41e3a;">status page</a>.</p>
+          
+          <p>Best regards,<br>UAE Visa Services Team</p>
+          
+          <hr style="border: 1px solid #eee; margin: 30px 0;">
+          <p style="font-size: 12px; color: #666; text-align: center;">
+            This is an automated email. Please do not reply to this email.<br>
+            For support, contact us at support@uaevisaservices.com
+          </p>
+        </div>
+      </body>
+    </html>
+  `,
+  
+  'visa-status-rejected': `
+    <html>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #c41e3a; margin: 0;">UAE Visa Services</h1>
+            <p style="color: #666; margin: 5px 0;">Your trusted visa processing partner</p>
+          </div>
+          
+          <h2 style="color: #2c5530;">Update on Your Visa Application</h2>
+          
+          <p>Dear {{full_name}},</p>
+          
+          <p>We regret to inform you that your {{visa_type}} visa application has not been approved.</p>
+          {{#if notes}}
+          <div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Notes from our team:</strong></p>
+            <p style="margin: 10px 0 0 0;">{{notes}}</p>
+          </div>
+          {{/if}}
+          
+          <p>If you have questions about this decision, please contact our support team quoting your Application ID.</p>
+
+          <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Application ID:</strong> {{application_id}}</p>
+            <p style="margin: 5px 0 0 0;"><strong>Updated:</strong> {{updated_at}}</p>
+          </div>
+          
+          <p>You can follow your application at any time on our <a href="{{status_check_url}}" style="color: #c41e3a;">status page</a>.</p>
+          
+          <p>Best regards,<br>UAE Visa Services Team</p>
+          
+          <hr style="border: 1px solid #eee; margin: 30px 0;">
+          <p style="font-size: 12px; color: #666; text-align: center;">
+            This is an automated email. Please do not reply to this email.<br>
+            For support, contact us at support@uaevisaservices.com
+          </p>
+        </div>
+      </body>
+    </html>
+  `,
+  'privacy-export-request': `
+    <html>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #c41e3a; margin: 0;">UAE Visa Services</h1>
+            <p style="color: #666; margin: 5px 0;">Your trusted visa processing partner</p>
+          </div>
+          
+          <h2 style="color: #2c5530;">Your Data Export Request</h2>
+          
+          <p>We received a request for a copy of the personal data we hold for this email address.</p>
+          
+          <p style="text-align: center; margin: 30px 0;">
+            <a href="{{export_url}}" style="background: #c41e3a; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Download my data</a>
+          </p>
+          
+          <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Request ID:</strong> {{request_id}}</p>
+            <p style="margin: 5px 0 0 0;"><strong>Link expires:</strong> {{expires_at}}</p>
+          </div>
+          
+          <p>The download is a ZIP archive with your applications, uploaded documents, messages, feedback and newsletter subscription. If you did not make this request, you can ignore this email.</p>
+          
+          <p>Best regards,<br>UAE Visa Services Team</p>
+          
+          <hr style="border: 1px solid #eee; margin: 30px 0;">
+          <p style="font-size: 12px; color: #666; text-align: center;">
+            This is an automated email. Please do not reply to this email.<br>
+            For support, contact us at support@uaevisaservices.com
+          </p>
+        </div>
+      </body>
+    </html>
+  `,
+  'privacy-erasure-request': `
+    <html>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #c41e3a; margin: 0;">UAE Visa Services</h1>
+            <p style="color: #666; margin: 5px 0;">Your trusted visa processing partner</p>
+          </div>
+          
+          <h2 style="color: #2c5530;">Confirm Your Data Erasure Request</h2>
+          
+          <p>We received a request to erase the personal data we hold for this email address. Nothing is deleted until you confirm.</p>
+          
+          <p style="text-align: center; margin: 30px 0;">
+            <a href="{{erasure_url}}" style="background: #c41e3a; color: #fff; padding: 12px 24px; border-radius: 5px; text-decoration: none;">Review and confirm erasure</a>
+          </p>
+          
+          <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Request ID:</strong> {{request_id}}</p>
+            <p style="margin: 5px 0 0 0;"><strong>Link expires:</strong> {{expires_at}}</p>
+          </div>
+          
+          <div style="background: #fff3cd; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Important:</strong> Erasure cannot be undone. Your contact messages, feedback, newsletter subscription and uploaded documents are deleted, and your visa applications are anonymised. Applications still being processed must be decided first.</p>
+          </div>
+          
+          <p>If you did not make this request, you can ignore this email.</p>
+          
+          <p>Best regards,<br>UAE Visa Services Team</p>
+          
+          <hr style="border: 1px solid #eee; margin: 30px 0;">
+          <p style="font-size: 12px; color: #666; text-align: center;">
+            This is an automated email. Please do not reply to this email.<br>
+            For support, contact us at support@uaevisaservices.com
+          </p>
+        </div>
+      </body>
+    </html>
+  `,
+  'privacy-erasure-completed': `
+    <html>
+      <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
+        <div style="max-width: 600px; margin: 0 auto; padding: 20px; border: 1px solid #ddd;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #c41e3a; margin: 0;">UAE Visa Services</h1>
+            <p style="color: #666; margin: 5px 0;">Your trusted visa processing partner</p>
+          </div>
+          
+          <h2 style="color: #2c5530;">Your Data Has Been Erased</h2>
+          
+          <p>As requested, we have erased the personal data held for this email address. This is the last email we will send to it.</p>
+          
+          <div style="background: #f8f9fa; padding: 20px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 0;"><strong>Request ID:</strong> {{request_id}}</p>
+            <p style="margin: 5px 0 0 0;"><strong>Visa applications anonymised:</strong> {{visa_applications_anonymised}}</p>
+            <p style="margin: 5px 0 0 0;"><strong>Documents deleted:</strong> {{documents_deleted}}</p>
+            <p style="margin: 5px 0 0 0;"><strong>Contact messages deleted:</strong> {{contact_messages_deleted}}</p>
+            <p style="margin: 5px 0 0 0;"><strong>Feedback deleted:</strong> {{feedback_deleted}}</p>
+            <p style="margin: 5px 0 0 0;"><strong>Newsletter subscriptions deleted:</strong> {{newsletter_subscriptions_deleted}}</p>
+            <p style="margin: 5px 0 0 0;"><strong>Completed:</strong> {{completed_at}}</p>
+          </div>
+          
+          <p>Best regards,<br>UAE Visa Services Team</p>
+          
+          <hr style="border: 1px solid #eee; margin: 30px 0;">
+          <p style="font-size: 12px; color: #666; text-align: center;">
+            This is an automated email. Please do not reply to this email.<br>
+            For support, contact us at support@uaevisaservices.com
+          </p>
+        </div>
+      </body>
+    </html>
   `
 };
 
@@ -0,0 +1,74 @@
+const {
+  CURRENCY, VAT_RATE, VISA_FEES, NATIONALITY_FEES, SERVICE_FEES, PROCESSING_TIMES
+} = require('../config/visaFees');
+
+// Itemised visa fee quotes from the schedule in config/visaFees.js.
+// Amounts are worked out in fils and returned in AED with two decimals.
+
+function toFils(amount) {
+  return Math.round(amount * 100);
+}
+
+function toAed(fils) {
+  return fils / 100;
+}
+
+function feeTiers(nationality, visaType) {
+  const overrides = NATIONALITY_FEES[nationality] || {};
+  return overrides[visaType] || VISA_FEES[visaType] || [];
+}
+
+function lineItem(code, label, amount, vatable) {
+  const amountFils = toFils(amount);
+  const vatRate = vatable ? VAT_RATE : 0;
+
+  return {
+    code,
+    label,
+    amountFils,
+    vatFils: Math.round(amountFils * vatRate),
+    vatRate
+  };
+}
+
+// Quote for an application, or null when the visa type is not available for
+// a stay that long
+function quoteVisaFee({ nationality, visa_type: visaType, duration_of_stay: durationOfStay }) {
+  const tier = feeTiers(nationality, visaType).find(candidate => durationOfStay <= candidate.maxDays);
+
+  if (!tier) {
+    return null;
+  }
+
+  const typeLabel = visaType.charAt(0).toUpperCase() + visaType.slice(1);
+  const items = [
+    lineItem('visa_fee', `${typeLabel} visa (up to ${tier.maxDays} days)`, tier.fee, false),
+    ...SERVICE_FEES.map(fee => lineItem(fee.code, fee.label, fee.amount, fee.vatable))
+  ];
+
+  const subtotal = items.reduce((total, item) => total + item.amountFils, 0);
+  const vat = items.reduce((total, item) => total + item.vatFils, 0);
+
+  return {
+    currency: CURRENCY,
+    nationality,
+    visa_type: visaType,
+    duration_of_stay: durationOfStay,
+    processing_time: PROCESSING_TIMES[nationality] || PROCESSING_TIMES.default,
+    items: items.map(item => ({
+      code: item.code,
+      label: item.label,
+      amount: toAed(item.amountFils),
+      vat_rate: item.vatRate,
+      vat: toAed(item.vatFils)
+    })),
+    subtotal: toAed(subtotal),
+    vat_rate: VAT_RATE,
+    vat: toAed(vat),
+    total: toAed(subtotal + vat)
+  };
+}
+
+module.exports = {
+  quoteVisaFee
+};
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+// AES-256-GCM encryption of individual column values. Ciphertexts look like
+//   enc:v<keyId>:<iv>:<auth tag>:<ciphertext>   (base64 parts)
+// so the key that wrote a value is known when reading it back. Keys come from
+//   FIELD_ENCRYPTION_KEYS=2:<base64 32 bytes>,1:<base64 32 bytes>
+// New values use FIELD_ENCRYPTION_ACTIVE_KEY (default: the first key listed);
+// older keys stay listed until scripts/rotate-encryption-key.js has
+// re-encrypted everything with the active one.
+//
+// Encrypted values cannot be compared, so columns that must be looked up
+// (passport numbers) also get a blind index: an HMAC of the normalised value
+// keyed with FIELD_BLIND_INDEX_KEY, which is required. Changing that key
+// invalidates every stored index.
+
+const PREFIX = 'enc:v';
+const ENCRYPTED_VALUE = /^enc:v(\d+):[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]*$/;
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+let keyring = null;
+
+// A stored value that its key can't decrypt: tampered with or corrupt
+class DecryptionError extends Error {
+  constructor(keyId) {
+    super(`Value encrypted with key ${keyId} failed authentication`);
+    this.name = 'DecryptionError';
+  }
+}
+
+function loadKeyring() {
+  const keys = new Map();
+  const entries = (process.env.FIELD_ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+  for (const entry of entries) {
+    const match = entry.match(/^(\d+):(.+)$/);
+    if (!match) {
+      throw new Error('FIELD_ENCRYPTION_KEYS entries must look like <id>:<base64 key>');
+    }
+
+    const key = Buffer.from(match[2], 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Encryption key ${match[1]} must be 32 bytes (base64 encoded)`);
+    }
+
+    keys.set(match[1], key);
+  }
+
+  const activeKeyId = process.env.FIELD_ENCRYPTION_ACTIVE_KEY || (entries[0] || '').split(':')[0] || null;
+
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(`FIELD_ENCRYPTION_ACTIVE_KEY ${activeKeyId} is not in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  return { keys, activeKeyId };
+}
+
+function getKeyring() {
+  if (!keyring) {
+    keyring = loadKeyring();
+  }
+  return keyring;
+}
+
+// Forget the cached keys (after changing the environment, e.g. in scripts)
+function resetKeyring() {
+  keyring = null;
+}
+
+function isEncryptionEnabled() {
+  return Boolean(getKeyring().activeKeyId);
+}
+
+// Startup check: loads (and so validates) the keys. Production refuses to run
+// without any, since values would be stored in plain text.
+function checkEncryptionConfig() {
+  if (!isEncryptionEnabled() && process.env.NODE_ENV === 'production') {
+    throw new Error('FIELD_ENCRYPTION_KEYS must be set in production; sensitive applicant fields would be stored unencrypted');
+  }
+}
+
+function getActiveKeyId() {
+  return getKeyring().activeKeyId;
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && ENCRYPTED_VALUE.test(value);
+}
+
+// Key id of an encrypted value, or null for plaintext
+function getKeyId(value) {
+  const match = typeof value === 'string' && value.match(ENCRYPTED_VALUE);
+  return match ? match[1] : null;
+}
+
+// Encrypt with the active key. null/undefined are stored as-is, and without
+// configured keys (allowed outside production) values are stored in plain text.
+function encryptValue(value) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  const { keys, activeKeyId } = getKeyring();
+  if (!activeKeyId) {
+    return value;
+  }
+
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return [
+    `${PREFIX}${activeKeyId}`,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+// The blind index key has no fallback: a hash keyed with another secret (and
+// rotated with it) would quietly stop matching stored hashes
+function getBlindIndexKey() {
+  const key = process.env.FIELD_BLIND_INDEX_KEY;
+  if (!key) {
+    throw new Error('FIELD_BLIND_INDEX_KEY must be set to index passport numbers for search and duplicate checks');
+  }
+  return key;
+}
+
+// Keyed hash for exact-match lookups of an encrypted value. Case, spaces and
+// hyphens are ignored. null when there is no value.
+function blindIndex(value) {
+  const normalized = value === null || value === undefined ? '' : String(value).toUpperCase().replace(/[\s-]+/g, '');
+
+  if (!normalized) {
+    return null;
+  }
+
+  return crypto.createHmac('sha256', getBlindIndexKey()).update(normalized).digest('hex');
+}
+
+// Decrypt a value written by encryptValue; plaintext passes through
+function decryptValue(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [, iv, tag, ciphertext] = value.split(':').slice(1);
+  const keyId = getKeyId(value);
+  const key = getKeyring().keys.get(keyId);
+
+  if (!key) {
+    throw new Error(`Encryption key ${keyId} is needed to read stored data but is not in FIELD_ENCRYPTION_KEYS`);
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    throw new DecryptionError(keyId);
+  }
+}
+
+module.exports = {
+  DecryptionError,
+  isEncryptionEnabled,
+  checkEncryptionConfig,
+  getActiveKeyId,
+  resetKeyring,
+  isEncrypted,
+  getKeyId,
+  encryptValue,
+  decryptValue,
+  getBlindIndexKey,
+  blindIndex
+};
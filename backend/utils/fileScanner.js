@@ -0,0 +1,96 @@
+const fs = require('fs');
+const net = require('net');
+
+// Malware scanning for uploads. A scanner is an async function
+// (filePath) => ({ clean: true }) or ({ clean: false, threat: 'name' }).
+// The clamd scanner is used when CLAMD_SOCKET or CLAMD_HOST is set;
+// otherwise files are not scanned. setScanner() swaps in another engine.
+
+const CLAMD_TIMEOUT_MS = parseInt(process.env.CLAMD_TIMEOUT_MS, 10) || 10000;
+const CHUNK_SIZE = 64 * 1024;
+
+// Stream a file to clamd with the INSTREAM command
+function scanWithClamd(filePath) {
+  const connectOptions = process.env.CLAMD_SOCKET ?
+    { path: process.env.CLAMD_SOCKET } :
+    { host: process.env.CLAMD_HOST, port: parseInt(process.env.CLAMD_PORT, 10) || 3310 };
+
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection(connectOptions);
+    let reply = '';
+    let settled = false;
+
+    const finish = (error, result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      socket.destroy();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    };
+
+    socket.setTimeout(CLAMD_TIMEOUT_MS, () => finish(new Error('clamd did not respond in time')));
+    socket.on('error', error => finish(error));
+    socket.on('data', (data) => {
+      reply += data.toString();
+    });
+    socket.on('end', () => {
+      // "stream: OK" or "stream: <threat> FOUND"
+      const message = reply.replace(/\0/g, '').trim();
+      const found = message.match(/^stream: (.+) FOUND$/);
+
+      if (message === 'stream: OK') {
+        finish(null, { clean: true });
+      } else if (found) {
+        finish(null, { clean: false, threat: found[1] });
+      } else {
+        finish(new Error(`Unexpected clamd reply: ${message}`));
+      }
+    });
+
+    socket.on('connect', () => {
+      socket.write('zINSTREAM\0');
+
+      const stream = fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE });
+      stream.on('error', error => finish(error));
+      stream.on('data', (chunk) => {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        socket.write(size);
+        socket.write(chunk);
+      });
+      stream.on('end', () => {
+        socket.write(Buffer.alloc(4));
+      });
+    });
+  });
+}
+
+async function skipScan() {
+  return { clean: true };
+}
+
+let scanner = process.env.CLAMD_SOCKET || process.env.CLAMD_HOST ? scanWithClamd : skipScan;
+
+function setScanner(fn) {
+  scanner = fn || skipScan;
+}
+
+function isScanningEnabled() {
+  return scanner !== skipScan;
+}
+
+function scanFile(filePath) {
+  return scanner(filePath);
+}
+
+module.exports = {
+  scanWithClamd,
+  setScanner,
+  isScanningEnabled,
+  scanFile
+};
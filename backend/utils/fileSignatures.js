@@ -0,0 +1,130 @@
+const fs = require('fs').promises;
+
+// Identify an uploaded file from its leading bytes rather than the
+// client-supplied Content-Type, which is trivially spoofed.
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  pdf: 'application/pdf',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+// Browsers and older clients still send image/jpg
+const MIME_ALIASES = {
+  'image/jpg': MIME_TYPES.jpeg,
+  'image/pjpeg': MIME_TYPES.jpeg
+};
+
+const JPEG = Buffer.from([0xFF, 0xD8, 0xFF]);
+const PNG = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const PDF = Buffer.from('%PDF-');
+const OLE2 = Buffer.from([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1]);
+const ZIP = Buffer.from([0x50, 0x4B, 0x03, 0x04]);
+
+const UTF8_BOM = Buffer.from([0xEF, 0xBB, 0xBF]);
+const PDF_LEADING_WHITESPACE = new Set([0x00, 0x09, 0x0A, 0x0C, 0x0D, 0x20]);
+
+// ZIP end of central directory and central directory file header records
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054B50;
+const ZIP_END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const ZIP_MAX_COMMENT_LENGTH = 0xFFFF;
+const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014B50;
+const ZIP_CENTRAL_DIRECTORY_HEADER_SIZE = 46;
+
+function startsWith(buffer, signature) {
+  return buffer.length >= signature.length && buffer.subarray(0, signature.length).equals(signature);
+}
+
+// The PDF header must open the file; only a byte order mark or whitespace
+// may come before it
+function isPdf(buffer) {
+  let offset = startsWith(buffer, UTF8_BOM) ? UTF8_BOM.length : 0;
+  while (offset < buffer.length && PDF_LEADING_WHITESPACE.has(buffer[offset])) {
+    offset++;
+  }
+  return startsWith(buffer.subarray(offset), PDF);
+}
+
+// Names of the entries listed in a ZIP archive's central directory, or null
+// when the directory is missing or malformed (including ZIP64 archives)
+function readZipEntryNames(buffer) {
+  const searchStart = Math.max(0, buffer.length - ZIP_END_OF_CENTRAL_DIRECTORY_SIZE - ZIP_MAX_COMMENT_LENGTH);
+  let end = -1;
+  for (let offset = buffer.length - ZIP_END_OF_CENTRAL_DIRECTORY_SIZE; offset >= searchStart; offset--) {
+    if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+      end = offset;
+      break;
+    }
+  }
+  if (end === -1) {
+    return null;
+  }
+
+  const entryCount = buffer.readUInt16LE(end + 10);
+  const directoryOffset = buffer.readUInt32LE(end + 16);
+  const names = [];
+  let offset = directoryOffset;
+
+  for (let i = 0; i < entryCount; i++) {
+    if (offset + ZIP_CENTRAL_DIRECTORY_HEADER_SIZE > end || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_HEADER) {
+      return null;
+    }
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const nameStart = offset + ZIP_CENTRAL_DIRECTORY_HEADER_SIZE;
+    if (nameStart + nameLength > end) {
+      return null;
+    }
+    names.push(buffer.toString('utf8', nameStart, nameStart + nameLength));
+    offset = nameStart + nameLength + extraLength + commentLength;
+  }
+
+  return names;
+}
+
+// DOCX is a ZIP package whose central directory lists [Content_Types].xml
+// and the word/document.xml main part
+function isWordPackage(buffer) {
+  const names = readZipEntryNames(buffer);
+  return Boolean(names) && names.includes('[Content_Types].xml') && names.includes('word/document.xml');
+}
+
+// Returns the detected MIME type, or null when the content is none of the
+// supported document formats
+function detectMimeType(buffer) {
+  if (startsWith(buffer, JPEG)) {
+    return MIME_TYPES.jpeg;
+  }
+  if (startsWith(buffer, PNG)) {
+    return MIME_TYPES.png;
+  }
+  if (isPdf(buffer)) {
+    return MIME_TYPES.pdf;
+  }
+  if (startsWith(buffer, OLE2)) {
+    return MIME_TYPES.doc;
+  }
+  if (startsWith(buffer, ZIP) && isWordPackage(buffer)) {
+    return MIME_TYPES.docx;
+  }
+  return null;
+}
+
+async function detectFileMimeType(filePath) {
+  return detectMimeType(await fs.readFile(filePath));
+}
+
+function normalizeMimeType(mimeType) {
+  const type = String(mimeType || '').toLowerCase();
+  return MIME_ALIASES[type] || type;
+}
+
+module.exports = {
+  MIME_TYPES,
+  detectMimeType,
+  detectFileMimeType,
+  normalizeMimeType
+};
@@ -0,0 +1,287 @@
+const { body } = require('express-validator');
+const moment = require('moment');
+const { normaliseNationality, isCountryCode } = require('./countries');
+
+// Form schemas (see schemas/) are plain data so they can be sent to the browser
+// unchanged. compileSchema() resolves each field into an ordered list of rules
+// with their final messages; the server builds express-validator chains from
+// that list and FormHandler (frontend/js/forms.js) interprets the same list.
+
+const PHONE_PATTERN = '^[+]?[1-9]\\d{1,14}$';
+
+// Characters people type between phone digits, removed before matching
+const PHONE_FORMATTING = '[\\s\\-().]';
+
+const DEFAULT_MESSAGES = {
+  required: '{label} is required',
+  length: '{label} must be between {min} and {max} characters',
+  minLength: '{label} must be at least {min} characters',
+  maxLength: '{label} cannot exceed {max} characters',
+  pattern: '{label} is not in a valid format',
+  email: 'Please provide a valid email address',
+  phone: 'Please provide a valid {field}',
+  enum: 'Please select a valid {field}',
+  country: 'Please select a valid {field}',
+  integer: '{label} must be between {min} and {max}',
+  date: 'Please provide a valid {field}',
+  past: '{label} must be in the past',
+  notFuture: '{label} cannot be in the future',
+  notPast: '{label} cannot be in the past',
+  after: '{label} must be after the {otherField}',
+  monthsAfter: '{label} must be at least {months} months after the {otherField}',
+  array: '{label} must be a list',
+  maxItems: '{label} cannot contain more than {max} items',
+  each: 'Invalid {field} option'
+};
+
+function formatMessage(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (
+    values[key] !== undefined ? String(values[key]) : match
+  ));
+}
+
+// Resolve a schema into the serializable form shared with the browser
+function compileSchema(schema) {
+  const fields = {};
+
+  Object.entries(schema.fields).forEach(([name, definition]) => {
+    fields[name] = compileField(name, definition, schema.fields);
+  });
+
+  return {
+    name: schema.name,
+    version: schema.version || 1,
+    fields
+  };
+}
+
+function compileField(name, definition, allFields) {
+  const label = definition.label || name.replace(/_/g, ' ');
+  const messages = { ...DEFAULT_MESSAGES, ...definition.messages };
+  const base = { label, field: label.toLowerCase() };
+  const message = (key, extra = {}) => formatMessage(messages[key], { ...base, ...extra });
+  const labelOf = (other) => (allFields[other] && allFields[other].label) || other.replace(/_/g, ' ');
+
+  const sanitize = [];
+  const rules = [];
+
+  switch (definition.type) {
+    case 'email':
+      sanitize.push('trim');
+      rules.push({ rule: 'email', message: message('email') });
+      break;
+
+    case 'phone':
+      sanitize.push('trim', 'phone');
+      rules.push({ rule: 'pattern', pattern: PHONE_PATTERN, message: message('phone') });
+      break;
+
+    case 'enum':
+      rules.push({ rule: 'enum', values: definition.values, message: message('enum', { values: definition.values.join(', ') }) });
+      break;
+
+    // ISO 3166 alpha-2 code; names, alpha-3 codes and demonyms are accepted and
+    // normalised to the code on the server (utils/countries.js)
+    case 'country':
+      sanitize.push('trim', 'country');
+      rules.push({ rule: 'country', message: message('country') });
+      break;
+
+    case 'integer':
+      rules.push({ rule: 'integer', min: definition.min, max: definition.max, message: message('integer', definition) });
+      break;
+
+    case 'date':
+      rules.push({ rule: 'date', message: message('date') });
+      if (definition.past) rules.push({ rule: 'past', message: message('past') });
+      if (definition.notFuture) rules.push({ rule: 'notFuture', message: message('notFuture') });
+      if (definition.notPast) rules.push({ rule: 'notPast', message: message('notPast') });
+      if (definition.after) {
+        rules.push({
+          rule: 'after',
+          field: definition.after,
+          message: message('after', { otherField: labelOf(definition.after).toLowerCase() })
+        });
+      }
+      if (definition.monthsAfter) {
+        const { field: other, months } = definition.monthsAfter;
+        rules.push({
+          rule: 'monthsAfter',
+          field: other,
+          months,
+          message: message('monthsAfter', { months, otherField: labelOf(other).toLowerCase() })
+        });
+      }
+      break;
+
+    case 'array':
+      rules.push({ rule: 'array', message: message('array') });
+      if (definition.maxItems !== undefined) {
+        rules.push({ rule: 'maxItems', max: definition.maxItems, message: message('maxItems', { max: definition.maxItems }) });
+      }
+      if (definition.values) {
+        rules.push({ rule: 'each', values: definition.values, message: message('each') });
+      }
+      break;
+
+    default:
+      sanitize.push('trim');
+  }
+
+  if (definition.minLength !== undefined || definition.maxLength !== undefined) {
+    const { minLength: min, maxLength: max } = definition;
+    let key = 'length';
+    if (min === undefined) key = 'maxLength';
+    if (max === undefined) key = 'minLength';
+    rules.push({ rule: 'length', min, max, message: message(key, { min, max }) });
+  }
+
+  if (definition.pattern) {
+    rules.push({ rule: 'pattern', pattern: definition.pattern, message: message('pattern') });
+  }
+
+  if (definition.uppercase) {
+    sanitize.push('uppercase');
+  }
+
+  return {
+    label,
+    type: definition.type || 'text',
+    required: Boolean(definition.required),
+    requiredMessage: message('required'),
+    sanitize,
+    rules
+  };
+}
+
+// Dates compare by calendar day, matching the browser's YYYY-MM-DD inputs
+function isoDay(value) {
+  return moment(value, moment.ISO_8601, true).isValid() ? moment(value).startOf('day') : null;
+}
+
+function applyRule(chain, rule) {
+  switch (rule.rule) {
+    case 'email':
+      return chain.isEmail().withMessage(rule.message);
+
+    case 'pattern':
+      return chain.matches(new RegExp(rule.pattern)).withMessage(rule.message);
+
+    case 'enum':
+      return chain.isIn(rule.values).withMessage(rule.message);
+
+    case 'country':
+      return chain.custom(value => isCountryCode(value)).withMessage(rule.message);
+
+    case 'integer':
+      return chain.isInt({ min: rule.min, max: rule.max }).withMessage(rule.message);
+
+    case 'length':
+      return chain.isLength({ min: rule.min || 0, max: rule.max }).withMessage(rule.message);
+
+    case 'date':
+      return chain.isISO8601().withMessage(rule.message).bail();
+
+    case 'past':
+      return chain.custom(value => moment(value).isBefore(moment(), 'day')).withMessage(rule.message);
+
+    case 'notFuture':
+      return chain.custom(value => !moment(value).isAfter(moment(), 'day')).withMessage(rule.message);
+
+    case 'notPast':
+      return chain.custom(value => !moment(value).isBefore(moment(), 'day')).withMessage(rule.message);
+
+    // Cross-field date rules are skipped until the other field is a valid date;
+    // that field reports its own error
+    case 'after':
+      return chain.custom((value, { req }) => {
+        const other = isoDay(req.body[rule.field]);
+        return !other || moment(value).isAfter(other, 'day');
+      }).withMessage(rule.message);
+
+    case 'monthsAfter':
+      return chain.custom((value, { req }) => {
+        const other = isoDay(req.body[rule.field]);
+        return !other || !moment(value).isBefore(other.add(rule.months, 'months'), 'day');
+      }).withMessage(rule.message);
+
+    case 'array':
+      return chain.isArray().withMessage(rule.message).bail();
+
+    case 'maxItems':
+      return chain.isArray({ max: rule.max }).withMessage(rule.message);
+
+    default:
+      return chain;
+  }
+}
+
+function applySanitizer(chain, sanitizer) {
+  switch (sanitizer) {
+    case 'trim':
+      return chain.trim();
+    case 'uppercase':
+      return chain.toUpperCase();
+    case 'phone':
+      return chain.customSanitizer(value => (
+        typeof value === 'string' ? value.replace(new RegExp(PHONE_FORMATTING, 'g'), '') : value
+      ));
+    // Unknown values are left as given so the country rule reports them
+    case 'country':
+      return chain.customSanitizer(value => normaliseNationality(value) || value);
+    default:
+      return chain;
+  }
+}
+
+// Build the express-validator chains for a schema
+function buildValidationChains(schema) {
+  const compiled = compileSchema(schema);
+  const chains = [];
+
+  Object.entries(compiled.fields).forEach(([name, field]) => {
+    let chain = body(name);
+
+    if (!field.required) {
+      chain = chain.optional({ checkFalsy: true });
+    }
+
+    field.sanitize.forEach(sanitizer => {
+      chain = applySanitizer(chain, sanitizer);
+    });
+
+    if (field.required) {
+      chain = chain.notEmpty().withMessage(field.requiredMessage).bail();
+    }
+
+    field.rules
+      .filter(rule => rule.rule !== 'each')
+      .forEach(rule => {
+        chain = applyRule(chain, rule);
+      });
+
+    if (field.type === 'email') {
+      chain = chain.normalizeEmail();
+    }
+
+    if (field.type === 'integer') {
+      chain = chain.toInt();
+    }
+
+    chains.push(chain);
+
+    field.rules
+      .filter(rule => rule.rule === 'each')
+      .forEach(rule => {
+        chains.push(body(`${name}.*`).isIn(rule.values).withMessage(rule.message));
+      });
+  });
+
+  return chains;
+}
+
+module.exports = {
+  PHONE_PATTERN,
+  compileSchema,
+  buildValidationChains
+};
@@ -0,0 +1,155 @@
+const { v4: uuidv4 } = require('uuid');
+const { runQuery, getRow, withTransaction } = require('../config/database');
+const { getPaymentProvider } = require('./paymentProviders');
+
+// Application fee invoices, raised from the fee quote when an application is
+// submitted, and the payments made against them through the configured
+// payment provider (utils/paymentProviders)
+
+const PAYMENT_OUTCOMES = ['succeeded', 'failed'];
+
+function toFils(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+// Public shape of an invoices row
+function formatInvoice(invoice) {
+  return {
+    invoice_id: invoice.invoice_id,
+    application_id: invoice.application_id,
+    currency: invoice.currency,
+    items: JSON.parse(invoice.items),
+    subtotal: Number(invoice.subtotal),
+    vat: Number(invoice.vat),
+    total: Number(invoice.total),
+    status: invoice.status,
+    paid_at: invoice.paid_at,
+    created_at: invoice.created_at
+  };
+}
+
+function getInvoice(invoiceId) {
+  return getRow('SELECT * FROM invoices WHERE invoice_id = ?', [invoiceId]);
+}
+
+function getApplicationInvoice(applicationId) {
+  return getRow(`
+    SELECT * FROM invoices
+    WHERE application_id = ?
+    ORDER BY id DESC
+    LIMIT 1
+  `, [applicationId]);
+}
+
+// Raise the invoice for a new application from its quote (utils/feeQuote.js)
+async function createInvoice(applicationId, quote) {
+  const invoiceId = `INV-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
+
+  await runQuery(`
+    INSERT INTO invoices (invoice_id, application_id, currency, items, subtotal, vat, total, status, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'unpaid', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+  `, [invoiceId, applicationId, quote.currency, JSON.stringify(quote.items), quote.subtotal, quote.vat, quote.total]);
+
+  return getInvoice(invoiceId);
+}
+
+// Applications are held in pending until their invoice is paid. Ones
+// submitted before invoicing was introduced have no invoice and are not held.
+async function isAwaitingPayment(applicationId) {
+  const invoice = await getApplicationInvoice(applicationId);
+  return Boolean(invoice) && invoice.status !== 'paid';
+}
+
+// Start a checkout for the invoice's total with the payment provider
+async function startPayment(invoice) {
+  const provider = getPaymentProvider();
+  const paymentId = uuidv4();
+  const amount = Number(invoice.total);
+
+  const { reference, checkoutUrl } = await provider.createPayment({
+    paymentId,
+    invoiceId: invoice.invoice_id,
+    amount,
+    currency: invoice.currency,
+    description: `UAE visa application ${invoice.application_id}`
+  });
+
+  await runQuery(`
+    INSERT INTO payments (
+      payment_id, invoice_id, application_id, provider, provider_reference, amount, currency, status, created_at, updated_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+  `, [paymentId, invoice.invoice_id, invoice.application_id, provider.name, reference, amount, invoice.currency]);
+
+  return {
+    payment_id: paymentId,
+    provider: provider.name,
+    amount,
+    currency: invoice.currency,
+    checkout_url: checkoutUrl
+  };
+}
+
+function getPaymentByReference(providerName, reference) {
+  return getRow(`
+    SELECT * FROM payments
+    WHERE provider = ? AND provider_reference = ?
+  `, [providerName, reference]);
+}
+
+// Apply a verified webhook event to its payment, and pay the invoice on
+// success. Payments that already have an outcome are left alone so gateway
+// retries are harmless, and a success for the wrong amount or currency is
+// recorded as a failure. An invoice can have several checkouts open at once,
+// so a success for an invoice that another payment has already paid is
+// recorded as refund_required: the applicant was charged twice.
+// Returns the payment, or null for an unknown reference.
+async function recordPaymentEvent(providerName, event) {
+  return withTransaction(async () => {
+    const payment = await getPaymentByReference(providerName, event.reference);
+
+    if (!payment || payment.status !== 'pending' || !PAYMENT_OUTCOMES.includes(event.status)) {
+      return payment || null;
+    }
+
+    let { status } = event;
+    let failureReason = status === 'failed' ? (event.failureReason || 'payment_failed') : null;
+
+    if (status === 'succeeded' && (toFils(event.amount) !== toFils(payment.amount) || event.currency !== payment.currency)) {
+      status = 'failed';
+      failureReason = 'amount_mismatch';
+    }
+
+    if (status === 'succeeded' && (await getInvoice(payment.invoice_id)).status === 'paid') {
+      status = 'refund_required';
+      failureReason = 'invoice_already_paid';
+    }
+
+    await runQuery(`
+      UPDATE payments
+      SET status = ?, failure_reason = ?, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [status, failureReason, payment.id]);
+
+    if (status === 'succeeded') {
+      await runQuery(`
+        UPDATE invoices
+        SET status = 'paid', paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE invoice_id = ? AND status = 'unpaid'
+      `, [payment.invoice_id]);
+    }
+
+    return { ...payment, status, failure_reason: failureReason };
+  });
+}
+
+module.exports = {
+  formatInvoice,
+  getInvoice,
+  getApplicationInvoice,
+  createInvoice,
+  isAwaitingPayment,
+  startPayment,
+  getPaymentByReference,
+  recordPaymentEvent
+};
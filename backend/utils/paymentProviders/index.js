@@ -0,0 +1,37 @@
+// Payment providers, chosen with PAYMENT_PROVIDER (default mock outside
+// production; production must name one). Each one implements the same
+// interface so routes and utils/invoices.js never talk to a gateway directly:
+//
+//   name
+//   checkConfig()
+//     Throw when the provider's settings are missing; called at startup.
+//   createPayment({ paymentId, invoiceId, amount, currency, description })
+//     Start a checkout with the gateway. Resolves to { reference, checkoutUrl }:
+//     the gateway's ID for the payment and where to send the applicant.
+//   parseWebhook(rawBody, headers)
+//     Check the signature of a callback to POST /api/payments/webhooks/<name>
+//     and return { reference, status: 'succeeded' | 'failed', amount, currency,
+//     failureReason }, or null when the signature is missing or wrong.
+
+const PROVIDERS = {
+  mock: () => require('./mock')
+};
+
+function getPaymentProvider(name = process.env.PAYMENT_PROVIDER) {
+  if (!name) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('PAYMENT_PROVIDER must be set in production');
+    }
+    name = 'mock';
+  }
+
+  if (!PROVIDERS[name]) {
+    throw new Error(`PAYMENT_PROVIDER must be one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return PROVIDERS[name]();
+}
+
+module.exports = {
+  getPaymentProvider
+};
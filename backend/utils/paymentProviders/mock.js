@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { apiUrl } = require('../publicUrls');
+
+// Local stand-in for a payment gateway, for development and tests. The
+// checkout page is served by this API outside production (routes/payments.js);
+// completing it builds the callback a real gateway would send, with an
+// X-Mock-Signature header of the form t=<unix time>,v1=<HMAC-SHA256 of
+// "<t>.<body>"> keyed with MOCK_PAYMENT_WEBHOOK_SECRET, and hands it to the
+// webhook handler in-process.
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+// Callbacks signed longer ago than this are refused, so a captured one can't
+// be replayed later
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+function getWebhookSecret() {
+  const secret = process.env.MOCK_PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new Error('MOCK_PAYMENT_WEBHOOK_SECRET must be set to sign mock payment callbacks');
+  }
+  return secret;
+}
+
+function checkConfig() {
+  getWebhookSecret();
+}
+
+function computeSignature(timestamp, body) {
+  return crypto
+    .createHmac('sha256', getWebhookSecret())
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+function signWebhook(body, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${computeSignature(timestamp, body)}`;
+}
+
+async function createPayment() {
+  const reference = `mock_${uuidv4()}`;
+
+  return {
+    reference,
+    checkoutUrl: apiUrl(`/api/payments/mock/checkout/${reference}`)
+  };
+}
+
+function parseWebhook(rawBody, headers) {
+  const header = headers[SIGNATURE_HEADER];
+  if (!rawBody || typeof header !== 'string') {
+    return null;
+  }
+
+  const parts = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+
+  if (!Number.isInteger(timestamp) || Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+    return null;
+  }
+
+  const body = rawBody.toString('utf8');
+  const expected = Buffer.from(computeSignature(timestamp, body), 'hex');
+  const provided = Buffer.from(parts.v1 || '', 'hex');
+
+  if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+    return null;
+  }
+
+  const event = JSON.parse(body);
+
+  return {
+    reference: event.reference,
+    status: event.status,
+    amount: event.amount,
+    currency: event.currency,
+    failureReason: event.failure_reason || null
+  };
+}
+
+// Finish a checkout as the applicant would on a real gateway: the signed
+// callback for the outcome, as { rawBody, headers } for the webhook handler
+function buildCallback({ reference, outcome, amount, currency }) {
+  const body = JSON.stringify({
+    reference,
+    status: outcome,
+    amount,
+    currency,
+    failure_reason: outcome === 'failed' ? 'card_declined' : null
+  });
+
+  return {
+    rawBody: Buffer.from(body),
+    headers: { [SIGNATURE_HEADER]: signWebhook(body) }
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  checkConfig,
+  createPayment,
+  parseWebhook,
+  signWebhook,
+  buildCallback
+};
@@ -0,0 +1,118 @@
+const sharp = require('sharp');
+
+// Passport photo rules applied to the `photo` upload. The proportions are
+// those of a 35 x 45 mm passport photo; the background check looks at the
+// strip above and beside the head, which should be plain and light.
+const PHOTO_REQUIREMENTS = {
+  minWidth: 350,
+  minHeight: 450,
+  maxWidth: 6000,
+  maxHeight: 6000,
+  aspectRatio: 35 / 45,
+  aspectTolerance: 0.05,
+  minBytes: 20 * 1024,
+  maxBytes: 2 * 1024 * 1024,
+  minBackgroundBrightness: 170,
+  maxBackgroundDeviation: 28
+};
+
+const THUMBNAIL_SIZE = { width: 210, height: 270 };
+
+// Width of the border strips sampled for the background, as a share of the image
+const BACKGROUND_STRIP = 0.12;
+const SAMPLE_WIDTH = 140;
+
+function formatBytes(bytes) {
+  return bytes >= 1024 * 1024 ?
+    `${(bytes / (1024 * 1024)).toFixed(1)}MB` :
+    `${Math.round(bytes / 1024)}KB`;
+}
+
+// Mean and standard deviation of the brightness of the top strip and the
+// left and right strips of the upper half of the photo
+async function measureBackground(filePath) {
+  const { data, info } = await sharp(filePath)
+    .rotate()
+    .resize({ width: SAMPLE_WIDTH })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const strip = Math.max(1, Math.round(info.width * BACKGROUND_STRIP));
+  const topRows = Math.max(1, Math.round(info.height * BACKGROUND_STRIP));
+  const upperHalf = Math.round(info.height / 2);
+  const values = [];
+
+  for (let y = 0; y < upperHalf; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (y < topRows || x < strip || x >= info.width - strip) {
+        values.push(data[y * info.width + x]);
+      }
+    }
+  }
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+
+  return { brightness: Math.round(mean), deviation: Math.round(Math.sqrt(variance)) };
+}
+
+// Check a photo against PHOTO_REQUIREMENTS; returns the measurements and a
+// list of problems (empty when the photo is acceptable)
+async function inspectPhoto(filePath, sizeBytes) {
+  const rules = PHOTO_REQUIREMENTS;
+  const errors = [];
+  const metadata = await sharp(filePath).metadata();
+
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+  const aspectRatio = width / height;
+
+  if (sizeBytes < rules.minBytes) {
+    errors.push(`Photo file is too small (${formatBytes(sizeBytes)}); upload a higher quality photo of at least ${formatBytes(rules.minBytes)}`);
+  }
+  if (sizeBytes > rules.maxBytes) {
+    errors.push(`Photo file is too large (${formatBytes(sizeBytes)}); the maximum is ${formatBytes(rules.maxBytes)}`);
+  }
+
+  if (width < rules.minWidth || height < rules.minHeight) {
+    errors.push(`Photo is ${width}x${height} pixels; it must be at least ${rules.minWidth}x${rules.minHeight} pixels`);
+  }
+  if (width > rules.maxWidth || height > rules.maxHeight) {
+    errors.push(`Photo is ${width}x${height} pixels; it must be at most ${rules.maxWidth}x${rules.maxHeight} pixels`);
+  }
+
+  if (Math.abs(aspectRatio - rules.aspectRatio) > rules.aspectTolerance) {
+    errors.push(`Photo must be portrait with passport proportions (35:45); a ${width}x${height} photo is ${aspectRatio > rules.aspectRatio ? 'too wide' : 'too tall'}`);
+  }
+
+  const background = await measureBackground(filePath);
+
+  if (background.brightness < rules.minBackgroundBrightness) {
+    errors.push('Photo background is too dark; use a plain white or light background');
+  } else if (background.deviation > rules.maxBackgroundDeviation) {
+    errors.push('Photo background is not uniform; use a plain white or light background without shadows or objects');
+  }
+
+  return { width, height, aspectRatio, background, errors };
+}
+
+// Write a THUMBNAIL_SIZE JPEG of the photo, cropped to passport proportions
+async function createThumbnail(filePath, destination) {
+  const info = await sharp(filePath)
+    .rotate()
+    .resize(THUMBNAIL_SIZE.width, THUMBNAIL_SIZE.height, { fit: 'cover', position: 'north' })
+    .jpeg({ quality: 80 })
+    .toFile(destination);
+
+  return { size: info.size };
+}
+
+module.exports = {
+  PHOTO_REQUIREMENTS,
+  THUMBNAIL_SIZE,
+  inspectPhoto,
+  createThumbnail
+};
@@ -0,0 +1,25 @@
+// Absolute links to this API for emails and payment gateways. They are built
+// from API_URL, never from the request's Host header, which the client sets.
+
+function getApiUrl() {
+  const apiUrl = process.env.API_URL;
+
+  if (!apiUrl) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('API_URL must be set to the public URL of this API in production');
+    }
+    return `http://localhost:${process.env.PORT || 5000}`;
+  }
+
+  return apiUrl.replace(/\/+$/, '');
+}
+
+// Absolute URL for an API path such as /api/payments/...
+function apiUrl(resourcePath) {
+  return `${getApiUrl()}${resourcePath}`;
+}
+
+module.exports = {
+  getApiUrl,
+  apiUrl
+};
@@ -0,0 +1,185 @@
+const { getRow, getRows, dialect } = require('../config/database');
+const { blindIndex } = require('./fieldEncryption');
+
+// Ranked full-text search. On SQLite it queries the FTS5 tables created by
+// migration 008, which triggers keep in step with their source tables; on
+// PostgreSQL it queries the source tables through the GIN expression indexes
+// of migration 013. Nothing here writes.
+
+// Result types: the FTS5 table, its source table, the text columns searched
+// and the source columns returned with each hit
+const SEARCH_TYPES = {
+  visa_application: {
+    index: 'search_visa_applications',
+    table: 'visa_applications',
+    textColumns: ['full_name', 'email'],
+    fields: 'application_id as id, full_name as title, email, visa_type, status, created_at, passport_number_hash'
+  },
+  contact_message: {
+    index: 'search_contact_messages',
+    table: 'contact_messages',
+    textColumns: ['full_name', 'email', 'subject', 'message'],
+    fields: 'message_id as id, subject as title, full_name, email, inquiry_type, status, created_at'
+  },
+  feedback: {
+    index: 'search_feedback',
+    table: 'feedback',
+    textColumns: ['full_name', 'email', 'feedback_title', 'feedback_message'],
+    fields: 'feedback_id as id, feedback_title as title, full_name, email, service_rating as rating, status, created_at'
+  }
+};
+
+// Marks around the matched words in snippets
+const HIGHLIGHT_START = '[';
+const HIGHLIGHT_END = ']';
+
+// PostgreSQL text search configuration: no stemming or stop words, which
+// suit names and email addresses
+const TS_CONFIG = 'simple';
+
+// The indexed tsvector of a PostgreSQL search type. Migration 013 indexes
+// exactly this expression, so the two must not drift apart. Punctuation
+// becomes spaces so that email addresses split into words as they do in FTS5.
+function textVector(type) {
+  const text = SEARCH_TYPES[type].textColumns.map(column => `coalesce(${column}, '')`).join(` || ' ' || `);
+  return `to_tsvector('${TS_CONFIG}', regexp_replace(${text}, '[^[:alnum:]]+', ' ', 'g'))`;
+}
+
+// Each word becomes a quoted prefix term, so FTS5 syntax in the query is
+// taken literally; all words must match
+function textTerms(query) {
+  return query
+    .split(/\s+/)
+    .filter(word => /[\p{L}\p{N}]/u.test(word))
+    .map(word => `"${word.replace(/"/g, '""')}"*`);
+}
+
+// Something that could be a passport number: one token of letters and digits
+function passportHash(query) {
+  const candidate = query.trim();
+  return /^[A-Za-z0-9-]{5,20}$/.test(candidate) && /\d/.test(candidate) ? blindIndex(candidate) : null;
+}
+
+function matchExpression(type, terms, hash) {
+  const { textColumns } = SEARCH_TYPES[type];
+  const clauses = [];
+
+  if (terms.length > 0) {
+    clauses.push(`{${textColumns.join(' ')}} : (${terms.join(' AND ')})`);
+  }
+
+  // Passport numbers are encrypted, so they are found by their exact hash
+  if (hash && type === 'visa_application') {
+    clauses.push(`passport_number_hash : "${hash}"`);
+  }
+
+  return clauses.map(clause => `(${clause})`).join(' OR ');
+}
+
+// Every letter and digit run of the query as a prefix term; all must match
+function tsQuery(query) {
+  return (query.match(/[\p{L}\p{N}]+/gu) || [])
+    .map(word => `${word.toLowerCase()}:*`)
+    .join(' & ');
+}
+
+function withSnippets(type, hash, rows) {
+  return rows.map(({ passport_number_hash: rowHash, ...row }) => ({
+    type,
+    ...row,
+    snippet: hash && rowHash === hash ? 'Passport number match' : row.snippet
+  }));
+}
+
+async function searchSqlite(type, query, hash, limit) {
+  const { index, table, fields } = SEARCH_TYPES[type];
+  const match = matchExpression(type, textTerms(query), hash);
+
+  if (!match) {
+    return { total: 0, results: [] };
+  }
+
+  const rows = await getRows(`
+    SELECT ${fields.split(', ').map(field => `${table}.${field}`).join(', ')},
+           bm25(${index}) as score,
+           snippet(${index}, -1, ?, ?, '…', 12) as snippet
+    FROM ${index}
+    JOIN ${table} ON ${table}.id = ${index}.rowid
+    WHERE ${index} MATCH ?
+    ORDER BY score
+    LIMIT ?
+  `, [HIGHLIGHT_START, HIGHLIGHT_END, match, limit]);
+
+  const total = await getRow(`SELECT COUNT(*) as total FROM ${index} WHERE ${index} MATCH ?`, [match]);
+
+  return { total: total.total, results: withSnippets(type, hash, rows) };
+}
+
+// ts_rank is higher for better matches; it is negated so that scores sort
+// the same way as bm25
+async function searchPostgres(type, query, hash, limit) {
+  const { table, textColumns, fields } = SEARCH_TYPES[type];
+  const terms = tsQuery(query);
+  const conditions = [];
+  const params = [];
+
+  if (terms) {
+    conditions.push(`${textVector(type)} @@ terms`);
+  }
+
+  if (hash && type === 'visa_application') {
+    conditions.push('passport_number_hash = ?');
+    params.push(hash);
+  }
+
+  if (conditions.length === 0) {
+    return { total: 0, results: [] };
+  }
+
+  const from = `
+    FROM ${table}, to_tsquery('${TS_CONFIG}', ?) AS terms
+    WHERE ${conditions.join(' OR ')}
+  `;
+  const text = textColumns.map(column => `coalesce(${column}, '')`).join(` || ' ' || `);
+  const headline = `StartSel="${HIGHLIGHT_START}", StopSel="${HIGHLIGHT_END}", MaxWords=12, MinWords=4`;
+
+  const rows = await getRows(`
+    SELECT ${fields},
+           -ts_rank(${textVector(type)}, terms) as score,
+           ts_headline('${TS_CONFIG}', ${text}, terms, ?) as snippet
+    ${from}
+    ORDER BY score
+    LIMIT ?
+  `, [headline, terms, ...params, limit]);
+
+  const total = await getRow(`SELECT COUNT(*) as total ${from}`, [terms, ...params]);
+
+  return { total: total.total, results: withSnippets(type, hash, rows) };
+}
+
+// Search the given types and merge the hits, best first (lowest score)
+async function search(query, { types = Object.keys(SEARCH_TYPES), limit = 20 } = {}) {
+  const hash = passportHash(query);
+  const searchType = dialect.name === 'postgres' ? searchPostgres : searchSqlite;
+  const totals = {};
+  let results = [];
+
+  for (const type of types) {
+    const found = await searchType(type, query, hash, limit);
+    totals[type] = found.total;
+    results = results.concat(found.results);
+  }
+
+  results.sort((a, b) => a.score - b.score);
+
+  return {
+    totals,
+    results: results.slice(0, limit)
+  };
+}
+
+module.exports = {
+  SEARCH_TYPES,
+  textVector,
+  search
+};
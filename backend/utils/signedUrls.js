@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// Short-lived download links for applicants, who have no account. The link
+// carries an expiry and an HMAC of the path and expiry, so it cannot be
+// altered to point at another document or extended.
+
+const DOCUMENT_URL_TTL_MINUTES = parseInt(process.env.DOCUMENT_URL_TTL_MINUTES, 10) || 15;
+
+function getSigningSecret() {
+  const secret = process.env.DOCUMENT_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('DOCUMENT_URL_SECRET (or JWT_SECRET) must be set to sign download links');
+  }
+  return secret;
+}
+
+function computeSignature(resourcePath, expires) {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${resourcePath}\n${expires}`)
+    .digest('hex');
+}
+
+// Append expires and signature query parameters to an API path
+function signPath(resourcePath, ttlMinutes = DOCUMENT_URL_TTL_MINUTES) {
+  const expires = Math.floor(Date.now() / 1000) + ttlMinutes * 60;
+  return `${resourcePath}?expires=${expires}&signature=${computeSignature(resourcePath, expires)}`;
+}
+
+// Check the expires/signature pair for a path; returns false when either is
+// missing, malformed, wrong or past its expiry
+function verifySignedPath(resourcePath, expires, signature) {
+  const expiresAt = parseInt(expires, 10);
+
+  if (!Number.isInteger(expiresAt) || String(expiresAt) !== String(expires) || typeof signature !== 'string') {
+    return false;
+  }
+
+  if (expiresAt < Math.floor(Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(computeSignature(resourcePath, expiresAt), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = {
+  DOCUMENT_URL_TTL_MINUTES,
+  signPath,
+  verifySignedPath
+};
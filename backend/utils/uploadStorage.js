@@ -0,0 +1,132 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Uploaded files are written to the quarantine directory first and only
+// moved into uploads/ once the record that references them has committed.
+// Anything left in quarantine (rejected submissions, crashes) is removed by
+// the sweeper. The quarantine lives inside uploads/ so promotion is a rename
+// on the same filesystem; express.static never serves dot-directories.
+// UPLOAD_PATH is relative to the backend directory.
+const UPLOADS_DIR = path.resolve(__dirname, '..', process.env.UPLOAD_PATH || 'uploads');
+const QUARANTINE_DIR = path.join(UPLOADS_DIR, '.quarantine');
+
+const QUARANTINE_MAX_AGE_MINUTES = parseInt(process.env.QUARANTINE_MAX_AGE_MINUTES, 10) || 60;
+const QUARANTINE_SWEEP_INTERVAL_MINUTES = parseInt(process.env.QUARANTINE_SWEEP_INTERVAL_MINUTES, 10) || 15;
+
+// Create uploads/ and the quarantine directory if they are missing
+async function ensureUploadDirectories() {
+  await fs.mkdir(QUARANTINE_DIR, { recursive: true });
+}
+
+// multer's req.file, req.files array or { field: [file, ...] } as a flat list
+function listFiles(files) {
+  if (!files) {
+    return [];
+  }
+  if (Array.isArray(files)) {
+    return files;
+  }
+  return files.path ? [files] : Object.values(files).flat();
+}
+
+function isQuarantined(file) {
+  return path.dirname(file.path) === QUARANTINE_DIR;
+}
+
+// Move staged files into uploads/. Call after the owning row has committed.
+async function promoteFiles(files) {
+  for (const file of listFiles(files).filter(isQuarantined)) {
+    const destination = path.join(UPLOADS_DIR, file.filename);
+    await fs.rename(file.path, destination);
+    file.destination = UPLOADS_DIR;
+    file.path = destination;
+  }
+}
+
+// Delete files that are still in quarantine
+async function discardFiles(files) {
+  for (const file of listFiles(files).filter(isQuarantined)) {
+    try {
+      await fs.unlink(file.path);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Failed to discard quarantined upload:', error.message);
+      }
+    }
+  }
+}
+
+// Middleware for routes that accept uploads: whatever was not promoted by
+// the time the response is sent (validation errors, failed inserts) is
+// deleted. If the client disconnects first the sweeper cleans up instead, as
+// the route may still be about to promote the files.
+function discardUnpromotedUploads(req, res, next) {
+  res.on('finish', () => {
+    discardFiles(req.files || req.file);
+  });
+  next();
+}
+
+// Remove quarantined files older than maxAgeMinutes; returns how many were removed
+async function sweepQuarantine(maxAgeMinutes = QUARANTINE_MAX_AGE_MINUTES) {
+  const cutoff = Date.now() - maxAgeMinutes * 60 * 1000;
+  let removed = 0;
+  let entries;
+
+  try {
+    entries = await fs.readdir(QUARANTINE_DIR);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return 0;
+    }
+    throw error;
+  }
+
+  for (const entry of entries) {
+    const filePath = path.join(QUARANTINE_DIR, entry);
+
+    try {
+      const stats = await fs.stat(filePath);
+      if (stats.isFile() && stats.mtimeMs < cutoff) {
+        await fs.unlink(filePath);
+        removed++;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to sweep ${entry}:`, error.message);
+      }
+    }
+  }
+
+  return removed;
+}
+
+// Sweep on an interval for the lifetime of the process
+function startQuarantineSweeper() {
+  const sweep = () => {
+    sweepQuarantine()
+      .then((removed) => {
+        if (removed > 0) {
+          console.log(`🧹 Removed ${removed} stale quarantined upload(s)`);
+        }
+      })
+      .catch(error => console.error('Quarantine sweep failed:', error.message));
+  };
+
+  sweep();
+  const timer = setInterval(sweep, QUARANTINE_SWEEP_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  UPLOADS_DIR,
+  QUARANTINE_DIR,
+  ensureUploadDirectories,
+  listFiles,
+  promoteFiles,
+  discardFiles,
+  discardUnpromotedUploads,
+  sweepQuarantine,
+  startQuarantineSweeper
+};
@@ -1,5 +1,10 @@
 const { body, param, query, validationResult } = require('express-validator');
 const moment = require('moment');
+const schemas = require('../schemas');
+const { buildValidationChains } = require('./formSchema');
+const { normaliseNationality } = require('./countries');
+const { REQUIREMENT_RULES } = require('../config/visaRequirements');
+const { catchAsync } = require('../middleware/errorHandler');
 
 // Common validation patterns
 const patterns = {
@@ -65,6 +70,17 @@ const validators = {
       .toUpperCase();
   },
 
+  // Nationality validation: accepts an ISO 3166 code, country name or
+  // demonym and normalises it to the alpha-2 code (utils/countries.js)
+  nationality: (field = 'nationality', options = {}) => {
+    const validator = options.query ? query(field) : body(field);
+
+    return validator
+      .customSanitizer(value => normaliseNationality(value) || value)
+      .custom(value => normaliseNationality(value) === value)
+      .withMessage(options.message || 'Please select a valid nationality');
+  },
+
   // Date validation
   date: (field, options = {}) => {
     let validator = body(field)
@@ -337,29 +353,6 @@ const customValidators = {
         throw new Error('Email address is already in use');
       }
       
-      return true;
-    });
-  },
-
-  // Check if passport number is unique
-  uniquePassport: (excludeField = null) => {
-    return body('passport_number').custom(async (value, { req }) => {
-      const { getRow } = require('../config/database');
-      
-      let query = 'SELECT passport_number FROM visa_applications WHERE passport_number = ?';
-      const params = [value];
-      
-      if (excludeField && req.body[excludeField]) {
-        query += ` AND ${excludeField} != ?`;
-        params.push(req.body[excludeField]);
-      }
-      
-      const existingRecord = await getRow(query, params);
-      
-      if (existingRecord) {
-        throw new Error('Passport number is already associated with another application');
-      }
-      
       return true;
     });
   }
@@ -441,73 +434,66 @@ const sanitizers = {
   }
 };
 
-// Common validation rule sets
+// Form rule sets, generated from the declarative schemas in schemas/ so the
+// browser (GET /api/forms/:formName/schema) validates with the same rules
 const rulesets = {
-  // Visa application validation
-  visaApplication: [
-    validators.name('full_name'),
-    validators.email('email'),
-    validators.phone('phone'),
-    validators.text('nationality', { minLength: 2, maxLength: 50 }),
-    validators.passport('passport_number'),
-    validators.enum('visa_type', ['tourist', 'business', 'transit', 'work', 'student', 'family', 'medical']),
-    validators.text('purpose_of_visit', { minLength: 10, maxLength: 500 }),
-    validators.number('duration_of_stay', { min: 1, max: 365 }),
-    validators.date('arrival_date', { futureOnly: true }),
-    validators.date('departure_date', { futureOnly: true }),
-    customValidators.departureDateAfterArrival(),
-    customValidators.durationMatchesDates(),
-    validators.text('accommodation_details', { optional: true, maxLength: 500 }),
-    validators.text('sponsor_information', { optional: true, maxLength: 500 }),
-    validators.enum('previous_uae_visit', ['yes', 'no']),
-    validators.enum('criminal_record', ['yes', 'no']),
-    validators.text('medical_conditions', { optional: true, maxLength: 500 }),
-    validators.name('emergency_contact_name'),
-    validators.phone('emergency_contact_phone'),
-    validators.text('emergency_contact_relationship', { minLength: 2, maxLength: 50 })
-  ],
-
-  // Contact form validation
-  contactForm: [
-    validators.name('name'),
-    validators.email('email'),
-    validators.phone('phone', { optional: true }),
-    validators.text('subject', { minLength: 5, maxLength: 200 }),
-    validators.text('message', { minLength: 10, maxLength: 2000 }),
-    validators.enum('inquiry_type', ['general', 'visa_inquiry', 'application_status', 'technical_support', 'complaint', 'suggestion'], { optional: true }),
-    validators.enum('preferred_contact_method', ['email', 'phone', 'both'], { optional: true })
-  ],
-
-  // Feedback form validation
-  feedbackForm: [
-    validators.name('name'),
-    validators.email('email'),
-    validators.enum('service_used', ['visa_application', 'document_verification', 'consultation', 'status_inquiry', 'other'], { optional: true }),
-    validators.number('rating', { min: 1, max: 5 }),
-    validators.enum('feedback_type', ['compliment', 'complaint', 'suggestion', 'general']),
-    validators.text('subject', { minLength: 5, maxLength: 200 }),
-    validators.text('message', { minLength: 10, maxLength: 2000 }),
-    validators.enum('would_recommend', ['yes', 'no', 'maybe']),
-    validators.applicationId('application_id', { optional: true, body: true })
-  ],
-
-  // Newsletter subscription validation
-  newsletterSubscription: [
-    validators.email('email'),
-    validators.name('name', { optional: true }),
-    validators.array('preferences', { optional: true }),
-    body('preferences.*')
-      .optional()
-      .isIn(['visa_updates', 'policy_changes', 'travel_tips', 'promotions', 'general_news'])
-      .withMessage('Invalid preference option')
-  ]
+  visaApplication: buildValidationChains(schemas.visaApplication),
+  contactForm: buildValidationChains(schemas.contact),
+  feedbackForm: buildValidationChains(schemas.feedback),
+  newsletterSubscription: buildValidationChains(schemas.newsletter)
+};
+
+// Fields each visa type makes required, from the visa-type rules in
+// config/visaRequirements.js. The schema chains above already check their
+// format when filled in, so these only check presence. Rules limited to some
+// nationalities are left to the requirements check in routes/visa.js.
+function visaTypeRules(schema) {
+  const rules = {};
+
+  schema.fields.visa_type.values.forEach(visaType => {
+    const fields = new Set();
+
+    REQUIREMENT_RULES
+      .filter(rule => !rule.nationalities && rule.visaTypes && rule.visaTypes.includes(visaType))
+      .forEach(rule => (rule.fields || []).forEach(name => fields.add(name)));
+
+    rules[visaType] = [...fields].map(name => body(name)
+      .trim()
+      .notEmpty()
+      .withMessage(`${schema.fields[name].label} is required for a ${visaType} visa`));
+  });
+
+  return rules;
+}
+
+// Rule sets that depend on another field's value: `rules` is keyed by that value
+const conditionalRulesets = {
+  visaApplication: {
+    field: 'visa_type',
+    rules: visaTypeRules(schemas.visaApplication)
+  }
 };
 
+// Run the rule set for the request's value of the ruleset's field; its errors
+// are reported with the others by handleValidationErrors. Only the ruleset's
+// own keys count, so values such as "constructor" match nothing.
+const applyConditionalRules = ({ field, rules }) => catchAsync(async (req, res, next) => {
+  const value = req.body[field];
+  const chains = Object.prototype.hasOwnProperty.call(rules, value) ? rules[value] : [];
+
+  for (const chain of chains) {
+    await chain.run(req);
+  }
+  next();
+});
+
 module.exports = {
   patterns,
   validators,
   customValidators,
   sanitizers,
   rulesets,
+  conditionalRulesets,
+  applyConditionalRules,
   handleValidationErrors
 };
\ No newline at end of file
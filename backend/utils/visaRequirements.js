@@ -0,0 +1,64 @@
+const { DOCUMENT_TYPES, REQUIREMENT_RULES } = require('../config/visaRequirements');
+const schemas = require('../schemas');
+
+// Evaluates the rules in config/visaRequirements.js for a nationality and
+// visa type. The fields the form schema always requires are included, so the
+// result is the complete list for the application.
+
+const { fields: APPLICATION_FIELDS } = schemas.visaApplication;
+
+function matches(list, value) {
+  return !list || list.includes(value);
+}
+
+function getVisaRequirements({ nationality, visa_type: visaType }) {
+  const code = (nationality || '').toUpperCase();
+  const rules = REQUIREMENT_RULES.filter(rule => matches(rule.visaTypes, visaType) && matches(rule.nationalities, code));
+
+  const fields = new Set(Object.keys(APPLICATION_FIELDS).filter(name => APPLICATION_FIELDS[name].required));
+  const documents = new Set();
+  const reasons = [];
+
+  rules.forEach(rule => {
+    (rule.fields || []).forEach(name => fields.add(name));
+    (rule.documents || []).forEach(name => documents.add(name));
+    if (rule.eligible === false) {
+      reasons.push(rule.reason);
+    }
+  });
+
+  return {
+    nationality: code,
+    visa_type: visaType,
+    eligible: reasons.length === 0,
+    reasons,
+    required_fields: [...fields].map(name => ({ name, label: APPLICATION_FIELDS[name].label })),
+    required_documents: [...documents].map(name => ({ name, label: DOCUMENT_TYPES[name].label }))
+  };
+}
+
+// Required fields left blank and required documents not uploaded, in the
+// validation error shape ({ field, message })
+function findMissingRequirements(requirements, values, files = {}) {
+  const missing = [];
+
+  requirements.required_fields.forEach(({ name, label }) => {
+    const value = values[name];
+    if (value === undefined || value === null || String(value).trim() === '') {
+      missing.push({ field: name, message: `${label} is required for a ${requirements.visa_type} visa` });
+    }
+  });
+
+  requirements.required_documents.forEach(({ name, label }) => {
+    if (!files[name] || files[name].length === 0) {
+      missing.push({ field: name, message: `${label} is required for a ${requirements.visa_type} visa` });
+    }
+  });
+
+  return missing;
+}
+
+module.exports = {
+  getVisaRequirements,
+  findMissingRequirements
+};
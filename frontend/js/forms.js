@@ -1,5 +1,141 @@
 // Forms JavaScript for UAE Visa Services
 
+// Form Schema
+// Compiled form schemas come from the API (GET /forms/:formName/schema) and are
+// the same rules the server validates with, so both sides report the same errors.
+class FormSchema {
+    constructor(schema) {
+        this.name = schema.name;
+        this.fields = schema.fields;
+    }
+
+    static load(formName) {
+        if (!FormSchema.cache[formName]) {
+            FormSchema.cache[formName] = fetch(`${window.UaeVisaApp.CONFIG.API_BASE_URL}/forms/${formName}/schema`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Could not load the ${formName} form schema`);
+                    }
+                    return response.json();
+                })
+                .then(data => new FormSchema(data.data.schema))
+                .catch(error => {
+                    delete FormSchema.cache[formName];
+                    throw error;
+                });
+        }
+        return FormSchema.cache[formName];
+    }
+
+    hasField(name) {
+        return Object.prototype.hasOwnProperty.call(this.fields, name);
+    }
+
+    isList(name) {
+        return this.hasField(name) && this.fields[name].type === 'array';
+    }
+
+    // Apply the field's sanitizers, as the server does before validating
+    sanitize(name, value) {
+        if (typeof value !== 'string') return value;
+
+        return this.fields[name].sanitize.reduce((result, sanitizer) => {
+            if (sanitizer === 'trim') return result.trim();
+            if (sanitizer === 'uppercase') return result.toUpperCase();
+            if (sanitizer === 'phone') return result.replace(/[\s\-().]/g, '');
+            return result;
+        }, value);
+    }
+
+    // Returns the first error message for a field, or null when it is valid
+    validateField(name, values) {
+        const field = this.fields[name];
+        const value = values[name];
+        const isEmpty = Array.isArray(value) ? value.length === 0 : !value;
+
+        if (isEmpty) {
+            return field.required ? field.requiredMessage : null;
+        }
+
+        const failed = field.rules.find(rule => !this.checkRule(rule, value, values));
+        return failed ? failed.message : null;
+    }
+
+    checkRule(rule, value, values) {
+        switch (rule.rule) {
+            case 'email':
+                return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+            case 'pattern':
+                return new RegExp(rule.pattern).test(value);
+            case 'enum':
+                return rule.values.includes(value);
+            // The country selects only offer codes from GET /reference/countries;
+            // the server checks the code against the full list
+            case 'country':
+                return /^[A-Z]{2}$/.test(value);
+            case 'integer': {
+                if (!/^[-+]?\d+$/.test(value)) return false;
+                const number = parseInt(value, 10);
+                return (rule.min === undefined || number >= rule.min) &&
+                    (rule.max === undefined || number <= rule.max);
+            }
+            case 'length':
+                return value.length >= (rule.min || 0) &&
+                    (rule.max === undefined || value.length <= rule.max);
+            case 'date':
+                return FormSchema.isDate(value);
+            case 'past':
+                return FormSchema.day(value) < FormSchema.today();
+            case 'notFuture':
+                return FormSchema.day(value) <= FormSchema.today();
+            case 'notPast':
+                return FormSchema.day(value) >= FormSchema.today();
+            // Cross-field rules wait until the other field holds a valid date
+            case 'after':
+                return !FormSchema.isDate(values[rule.field]) ||
+                    FormSchema.day(value) > FormSchema.day(values[rule.field]);
+            case 'monthsAfter':
+                return !FormSchema.isDate(values[rule.field]) ||
+                    FormSchema.day(value) >= FormSchema.addMonths(values[rule.field], rule.months);
+            case 'array':
+                return Array.isArray(value);
+            case 'maxItems':
+                return value.length <= rule.max;
+            case 'each':
+                return value.every(item => rule.values.includes(item));
+            default:
+                return true;
+        }
+    }
+
+    // Dates are compared as YYYY-MM-DD strings, like the date inputs produce
+    static isDate(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(new Date(value).getTime());
+    }
+
+    static day(value) {
+        return value.slice(0, 10);
+    }
+
+    static formatDay(date) {
+        const pad = (number) => String(number).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    static today() {
+        return FormSchema.formatDay(new Date());
+    }
+
+    // Clamp to the end of the month (31 Aug + 6 months = 28/29 Feb), like the server
+    static addMonths(value, months) {
+        const [year, month, day] = FormSchema.day(value).split('-').map(Number);
+        const lastDay = new Date(year, month - 1 + months + 1, 0).getDate();
+        return FormSchema.formatDay(new Date(year, month - 1 + months, Math.min(day, lastDay)));
+    }
+}
+
+FormSchema.cache = {};
+
 // Form Handler Class
 class FormHandler {
     constructor(formSelector, apiEndpoint, options = {}) {
@@ -9,6 +145,7 @@ class FormHandler {
             showSuccessMessage: true,
             resetOnSuccess: true,
             redirectOnSuccess: null,
+            schema: null,
             customValidation: null,
             beforeSubmit: null,
             afterSubmit: null,
@@ -24,13 +161,76 @@ class FormHandler {
         this.setupEventListeners();
         this.setupFileUpload();
         this.setupDependentFields();
-        
-        // Setup real-time validation if available
+
+        // Validate with the shared form schema, falling back to the generic
+        // HTML-attribute validation if it cannot be loaded
+        if (this.options.schema) {
+            this.setupSchemaValidation();
+        } else {
+            this.setupFallbackValidation();
+        }
+    }
+
+    async setupSchemaValidation() {
+        try {
+            this.schema = await FormSchema.load(this.options.schema);
+        } catch (error) {
+            console.warn('Form schema unavailable, using basic validation:', error);
+            this.setupFallbackValidation();
+            return;
+        }
+
+        // The schema decides what is required; native validation would disagree
+        this.form.noValidate = true;
+
+        this.form.querySelectorAll('input, select, textarea').forEach(field => {
+            if (!this.schema.hasField(field.name)) return;
+
+            field.addEventListener('blur', () => this.validateSchemaField(field.name));
+        });
+    }
+
+    setupFallbackValidation() {
         if (window.UaeVisaApp && window.UaeVisaApp.formValidation) {
             window.UaeVisaApp.formValidation.setupRealTimeValidation(this.form);
         }
     }
 
+    // Current values of the schema's fields, sanitized as the server will see them
+    getSchemaValues() {
+        const values = {};
+
+        Object.keys(this.schema.fields).forEach(name => {
+            const inputs = this.form.querySelectorAll(`[name="${name}"]`);
+            if (inputs.length === 0) return;
+
+            if (this.schema.isList(name)) {
+                values[name] = Array.from(inputs)
+                    .filter(input => input.type !== 'checkbox' || input.checked)
+                    .map(input => input.value);
+            } else {
+                values[name] = this.schema.sanitize(name, inputs[0].value);
+            }
+        });
+
+        return values;
+    }
+
+    validateSchemaField(name, values = this.getSchemaValues()) {
+        const field = this.form.querySelector(`[name="${name}"]`);
+        if (!field || !(name in values)) return true;
+
+        const message = this.schema.validateField(name, values);
+
+        if (message) {
+            this.showFieldError(field, message);
+            return false;
+        }
+
+        this.clearFieldError(field);
+        return true;
+    }
+
     setupEventListeners() {
         this.form.addEventListener('submit', (e) => this.handleSubmit(e));
         
@@ -84,6 +284,8 @@ class FormHandler {
     }
 
     setupDependentFields() {
+        this.loadCountryOptions();
+
         // Visa type dependent fields
         const visaTypeSelect = this.form.querySelector('select[name="visa_type"]');
         if (visaTypeSelect) {
@@ -94,15 +296,61 @@ class FormHandler {
             this.handleVisaTypeChange(visaTypeSelect.value);
         }
 
-        // Country dependent fields
-        const countrySelect = this.form.querySelector('select[name="nationality"]');
-        if (countrySelect) {
-            countrySelect.addEventListener('change', (e) => {
-                this.handleCountryChange(e.target.value);
+        // The fee quote depends on nationality, visa type and length of stay
+        if (this.form.querySelector('.visa-info')) {
+            FormHandler.QUOTE_FIELDS.forEach(name => {
+                const field = this.form.querySelector(`[name="${name}"]`);
+                if (field) {
+                    field.addEventListener('change', () => this.updateFeeQuote());
+                }
             });
+            this.updateFeeQuote();
         }
     }
 
+    // Fill country selects from the ISO reference list, keeping the options
+    // written in the page if it cannot be loaded
+    async loadCountryOptions() {
+        const selects = this.form.querySelectorAll('select[data-options="countries"]');
+        if (selects.length === 0) return;
+
+        let countries;
+        try {
+            countries = await FormHandler.loadCountries();
+        } catch (error) {
+            console.warn('Country list unavailable, using the built-in options:', error);
+            return;
+        }
+
+        selects.forEach(select => {
+            const selected = select.value;
+            const placeholder = select.querySelector('option[value=""]');
+
+            select.innerHTML = '';
+            if (placeholder) select.appendChild(placeholder);
+            countries.forEach(country => select.add(new Option(country.name, country.code)));
+            select.value = selected;
+        });
+    }
+
+    static loadCountries() {
+        if (!FormHandler.countries) {
+            FormHandler.countries = fetch(`${window.UaeVisaApp.CONFIG.API_BASE_URL}/reference/countries`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error('Could not load the country list');
+                    }
+                    return response.json();
+                })
+                .then(data => data.data.countries)
+                .catch(error => {
+                    FormHandler.countries = null;
+                    throw error;
+                });
+        }
+        return FormHandler.countries;
+    }
+
     handleFileSelection(files, input, fileList, maxSize, allowedTypes) {
         const validFiles = [];
         const errors = [];
@@ -193,11 +441,16 @@ class FormHandler {
     }
 
     handleVisaTypeChange(visaType) {
+        // Keep in step with the visa-type rules the server enforces
+        // (config/visaRequirements.js)
         const dependentFields = {
             'business': ['.business-fields', '.sponsor-fields'],
+            'work': ['.business-fields', '.sponsor-fields'],
+            'student': ['.sponsor-fields'],
             'tourist': ['.tourist-fields'],
             'transit': ['.transit-fields'],
-            'family': ['.family-fields', '.sponsor-fields']
+            'family': ['.family-fields', '.sponsor-fields'],
+            'medical': ['.medical-fields']
         };
 
         // Hide all dependent fields
@@ -208,7 +461,10 @@ class FormHandler {
                 // Remove required attribute from hidden fields
                 const inputs = el.querySelectorAll('input, select, textarea');
                 inputs.forEach(input => {
-                    input.dataset.wasRequired = input.hasAttribute('required');
+                    // Record only once: later passes see the attribute already removed
+                    if (input.dataset.wasRequired === undefined) {
+                        input.dataset.wasRequired = input.hasAttribute('required');
+                    }
                     input.removeAttribute('required');
                 });
             });
@@ -232,70 +488,87 @@ class FormHandler {
         }
     }
 
-    handleCountryChange(country) {
-        // Handle country-specific requirements
+    async updateFeeQuote() {
         const visaFeeElement = this.form.querySelector('.visa-fee');
         const processingTimeElement = this.form.querySelector('.processing-time');
-        
-        // This would typically fetch from an API
-        const countryInfo = this.getCountryVisaInfo(country);
-        
-        if (visaFeeElement && countryInfo.fee) {
-            visaFeeElement.textContent = `Visa Fee: ${countryInfo.fee}`;
-        }
-        
-        if (processingTimeElement && countryInfo.processingTime) {
-            processingTimeElement.textContent = `Processing Time: ${countryInfo.processingTime}`;
-        }
-    }
+        const breakdownElement = this.form.querySelector('.fee-breakdown');
+
+        const params = new URLSearchParams();
+        FormHandler.QUOTE_FIELDS.forEach(name => {
+            const field = this.form.querySelector(`[name="${name}"]`);
+            if (field && field.value) {
+                params.set(name, field.value);
+            }
+        });
 
-    getCountryVisaInfo(country) {
-        // Mock data - in real app, this would come from API
-        const countryData = {
-            'US': { fee: '$100', processingTime: '3-5 days' },
-            'UK': { fee: '$85', processingTime: '2-4 days' },
-            'IN': { fee: '$60', processingTime: '1-3 days' },
-            'default': { fee: '$75', processingTime: '2-5 days' }
+        const showQuote = (fee, processingTime, items = []) => {
+            if (visaFeeElement) {
+                visaFeeElement.textContent = `Visa Fee: ${fee}`;
+            }
+            if (processingTimeElement) {
+                processingTimeElement.textContent = processingTime ? `Processing Time: ${processingTime}` : '';
+            }
+            if (breakdownElement) {
+                breakdownElement.innerHTML = '';
+                items.forEach(([label, amount]) => {
+                    const item = document.createElement('li');
+                    const amountElement = document.createElement('span');
+                    item.textContent = label;
+                    amountElement.textContent = amount;
+                    item.appendChild(amountElement);
+                    breakdownElement.appendChild(item);
+                });
+            }
         };
-        
-        return countryData[country] || countryData.default;
+
+        if (FormHandler.QUOTE_FIELDS.some(name => !params.has(name))) {
+            showQuote('select your nationality, visa type and duration of stay', null);
+            return;
+        }
+
+        // Only the latest selection's quote is shown if responses arrive out of order
+        const requestId = (this.quoteRequestId || 0) + 1;
+        this.quoteRequestId = requestId;
+
+        try {
+            const response = await fetch(`${window.UaeVisaApp.CONFIG.API_BASE_URL}/visa/quote?${params}`);
+            const result = await response.json();
+
+            if (requestId !== this.quoteRequestId) {
+                return;
+            }
+
+            if (!response.ok) {
+                showQuote(result.message || 'not available for this selection', null);
+                return;
+            }
+
+            const { quote } = result.data;
+            const format = amount => `${quote.currency} ${amount.toFixed(2)}`;
+
+            showQuote(`${format(quote.total)} (incl. VAT)`, quote.processing_time, [
+                ...quote.items.map(item => [item.label, format(item.amount)]),
+                [`VAT (${quote.vat_rate * 100}%)`, format(quote.vat)],
+                ['Total', format(quote.total)]
+            ]);
+        } catch (error) {
+            if (requestId === this.quoteRequestId) {
+                showQuote('could not be loaded, please try again later', null);
+            }
+        }
     }
 
     handleFieldChange(e) {
         const field = e.target;
         
         // Custom field handling
-        if (field.name === 'dateOfBirth') {
+        if (field.name === 'date_of_birth') {
             this.calculateAge(field.value);
         }
         
-        if (field.name === 'passportExpiry') {
-            this.validatePassportExpiry(field.value);
-        }
-        
-        if (field.name === 'arrival_date') {
-            this.validateArrivalDate(field.value);
-        }
-        
-        if (field.name === 'departure_date') {
-            this.validateDepartureDate(field.value);
-        }
-        
-        // Add validation for new required fields
-        if (field.name === 'previous_uae_visit') {
-            this.validateRequiredSelect(field, 'Please select if you have visited UAE before');
-        }
-        if (field.name === 'criminal_record') {
-            this.validateRequiredSelect(field, 'Please select if you have any criminal record');
-        }
-        if (field.name === 'emergency_contact_name') {
-            this.validateRequiredText(field, 'Emergency contact name is required', 2, 100);
-        }
-        if (field.name === 'emergency_contact_phone') {
-            this.validatePhone(field, 'Please enter a valid emergency contact phone number');
-        }
-        if (field.name === 'emergency_contact_relationship') {
-            this.validateRequiredText(field, 'Emergency contact relationship is required', 2, 50);
+        // Selects and date pickers change without a reliable blur
+        if (this.schema && this.schema.hasField(field.name)) {
+            this.validateSchemaField(field.name);
         }
     }
 
@@ -307,7 +580,7 @@ class FormHandler {
             field.value = this.formatPhoneNumber(field.value);
         }
         
-        if (field.name === 'passportNumber') {
+        if (field.name === 'passport_number') {
             field.value = field.value.toUpperCase();
         }
     }
@@ -328,69 +601,6 @@ class FormHandler {
         if (ageDisplay) {
             ageDisplay.textContent = `Age: ${age} years`;
         }
-        
-        // Validate minimum age
-        if (age < 18) {
-            this.showFieldError(
-                this.form.querySelector('input[name="dateOfBirth"]'),
-                'Applicant must be at least 18 years old'
-            );
-        }
-    }
-
-    validatePassportExpiry(expiryDate) {
-        if (!expiryDate) return;
-        
-        const expiry = new Date(expiryDate);
-        const today = new Date();
-        const sixMonthsFromNow = new Date();
-        sixMonthsFromNow.setMonth(today.getMonth() + 6);
-        
-        const passportField = this.form.querySelector('input[name="passportExpiry"]');
-        
-        if (expiry <= today) {
-            this.showFieldError(passportField, 'Passport has expired');
-        } else if (expiry <= sixMonthsFromNow) {
-            this.showFieldError(passportField, 'Passport should be valid for at least 6 months');
-        } else {
-            this.clearFieldError(passportField);
-        }
-    }
-
-    validateArrivalDate(arrivalDate) {
-        if (!arrivalDate) return;
-        
-        const arrival = new Date(arrivalDate);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0); // Reset time to start of day
-        
-        const field = this.form.querySelector('input[name="arrival_date"]');
-        
-        if (arrival < today) {
-            this.showFieldError(field, 'Arrival date cannot be in the past');
-        } else {
-            this.clearFieldError(field);
-        }
-    }
-    
-    validateDepartureDate(departureDate) {
-        if (!departureDate) return;
-        
-        const departure = new Date(departureDate);
-        const arrivalField = this.form.querySelector('input[name="arrival_date"]');
-        const arrivalDate = arrivalField ? arrivalField.value : null;
-        
-        const field = this.form.querySelector('input[name="departure_date"]');
-        
-        if (arrivalDate) {
-            const arrival = new Date(arrivalDate);
-            if (departure <= arrival) {
-                this.showFieldError(field, 'Departure date must be after arrival date');
-                return;
-            }
-        }
-        
-        this.clearFieldError(field);
     }
 
     formatPhoneNumber(phone) {
@@ -401,7 +611,9 @@ class FormHandler {
     }
 
     showFieldError(field, message) {
-        const formGroup = field.closest('.form-group');
+        const formGroup = field.closest('.form-group, .rating-group');
+        if (!formGroup) return;
+
         formGroup.classList.add('error');
         
         let errorElement = formGroup.querySelector('.error-message');
@@ -414,7 +626,9 @@ class FormHandler {
     }
 
     clearFieldError(field) {
-        const formGroup = field.closest('.form-group');
+        const formGroup = field.closest('.form-group, .rating-group');
+        if (!formGroup) return;
+
         formGroup.classList.remove('error');
         const errorElement = formGroup.querySelector('.error-message');
         if (errorElement) {
@@ -422,49 +636,6 @@ class FormHandler {
         }
     }
 
-    validateRequiredSelect(field, message) {
-        if (!field.value || field.value === '') {
-            this.showFieldError(field, message);
-            return false;
-        } else {
-            this.clearFieldError(field);
-            return true;
-        }
-    }
-
-    validateRequiredText(field, message, minLength = 1, maxLength = 255) {
-        const value = field.value.trim();
-        if (!value) {
-            this.showFieldError(field, message);
-            return false;
-        } else if (value.length < minLength) {
-            this.showFieldError(field, `Minimum ${minLength} characters required`);
-            return false;
-        } else if (value.length > maxLength) {
-            this.showFieldError(field, `Maximum ${maxLength} characters allowed`);
-            return false;
-        } else {
-            this.clearFieldError(field);
-            return true;
-        }
-    }
-
-    validatePhone(field, message) {
-        const phoneRegex = /^[+]?[1-9]?[0-9]{7,15}$/;
-        const value = field.value.replace(/[\s\-\(\)]/g, '');
-        
-        if (!value) {
-            this.showFieldError(field, 'Phone number is required');
-            return false;
-        } else if (!phoneRegex.test(value)) {
-            this.showFieldError(field, message);
-            return false;
-        } else {
-            this.clearFieldError(field);
-            return true;
-        }
-    }
-
     async handleSubmit(e) {
         e.preventDefault();
         
@@ -522,6 +693,13 @@ class FormHandler {
     }
 
     validateForm() {
+        if (this.schema) {
+            const values = this.getSchemaValues();
+            return Object.keys(this.schema.fields)
+                .map(name => this.validateSchemaField(name, values))
+                .every(Boolean);
+        }
+
         if (window.UaeVisaApp && window.UaeVisaApp.formValidation) {
             return window.UaeVisaApp.formValidation.validateForm(this.form);
         }
@@ -541,35 +719,45 @@ class FormHandler {
     }
 
     prepareFormData() {
-        const formData = new FormData(this.form);
-        
-        // Handle file uploads
-        const fileInputs = this.form.querySelectorAll('input[type="file"]');
-        fileInputs.forEach(input => {
-            if (input.files.length > 0) {
-                Array.from(input.files).forEach(file => {
-                    formData.append(input.name, file);
-                });
-            }
-        });
-        
-        return formData;
+        // FormData already includes the selected files
+        return new FormData(this.form);
     }
 
     async submitToAPI(formData) {
+        // Forms without uploads are sent as JSON, which every route accepts
+        const hasFiles = this.form.querySelector('input[type="file"]') !== null;
+        const request = hasFiles ? { body: formData } : {
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(this.serializeFormData(formData))
+        };
+
         const response = await fetch(`${window.UaeVisaApp.CONFIG.API_BASE_URL}${this.apiEndpoint}`, {
             method: 'POST',
-            body: formData
+            ...request
         });
 
         if (!response.ok) {
             const errorData = await response.json();
-            throw new Error(errorData.message || 'Submission failed');
+            const error = new Error(errorData.message || 'Submission failed');
+            error.fieldErrors = errorData.errors || [];
+            throw error;
         }
 
         return await response.json();
     }
 
+    serializeFormData(formData) {
+        const data = {};
+
+        new Set(formData.keys()).forEach(key => {
+            const values = formData.getAll(key);
+            const isList = values.length > 1 || (this.schema && this.schema.isList(key));
+            data[key] = isList ? values : values[0];
+        });
+
+        return data;
+    }
+
     async handleSuccess(response) {
         if (this.options.showSuccessMessage) {
             this.showMessage(
@@ -589,12 +777,21 @@ class FormHandler {
         }
         
         // Store application ID for tracking
-        if (response.applicationId) {
-            localStorage.setItem('lastApplicationId', response.applicationId);
+        if (response.data && response.data.application_id) {
+            localStorage.setItem('lastApplicationId', response.data.application_id);
         }
     }
 
     handleError(error) {
+        // Server validation errors use the schema's field names
+        (error.fieldErrors || []).forEach(fieldError => {
+            const name = fieldError.field.replace(/\[\d+\]$/, '');
+            const field = this.form.querySelector(`[name="${name}"]`);
+            if (field) {
+                this.showFieldError(field, fieldError.message);
+            }
+        });
+
         this.showMessage(
             error.message || 'An error occurred. Please try again.',
             'error'
@@ -626,6 +823,10 @@ class FormHandler {
     }
 }
 
+// Fields sent to GET /api/visa/quote
+FormHandler.QUOTE_FIELDS = ['nationality', 'visa_type', 'duration_of_stay'];
+FormHandler.countries = null;
+
 // Newsletter Subscription Handler
 class NewsletterHandler {
     constructor() {
@@ -634,9 +835,15 @@ class NewsletterHandler {
     }
 
     init() {
+        if (this.forms.length === 0) return;
+
         this.forms.forEach(form => {
             form.addEventListener('submit', (e) => this.handleSubmit(e));
         });
+
+        FormSchema.load('newsletter')
+            .then(schema => { this.schema = schema; })
+            .catch(() => { this.schema = null; });
     }
 
     async handleSubmit(e) {
@@ -644,8 +851,12 @@ class NewsletterHandler {
         const form = e.target;
         const email = form.querySelector('input[type="email"]').value;
         
-        if (!this.isValidEmail(email)) {
-            this.showMessage('Please enter a valid email address', 'error');
+        const error = this.schema ?
+            this.schema.validateField('email', { email: this.schema.sanitize('email', email) }) :
+            (this.isValidEmail(email) ? null : 'Please enter a valid email address');
+
+        if (error) {
+            this.showMessage(error, 'error');
             return;
         }
 
@@ -700,35 +911,28 @@ document.addEventListener('DOMContentLoaded', () => {
     
     if (currentPage.includes('visa-application')) {
         new FormHandler('#visa-application-form', '/visa/application', {
-            redirectOnSuccess: './status-check.html',
-            customValidation: async (form) => {
-                // Add custom visa application validation
-                const passportExpiry = form.querySelector('input[name="passportExpiry"]').value;
-                if (passportExpiry) {
-                    const expiry = new Date(passportExpiry);
-                    const sixMonthsFromNow = new Date();
-                    sixMonthsFromNow.setMonth(sixMonthsFromNow.getMonth() + 6);
-                    
-                    if (expiry <= sixMonthsFromNow) {
-                        return {
-                            isValid: false,
-                            message: 'Passport must be valid for at least 6 months from travel date'
-                        };
-                    }
-                }
-                return { isValid: true };
-            }
+            schema: 'visa-application',
+            redirectOnSuccess: './status-check.html'
         });
     }
     
     if (currentPage.includes('feedback')) {
         new FormHandler('#feedback-form', '/feedback', {
+            schema: 'feedback',
             showSuccessMessage: true,
             resetOnSuccess: true
         });
     }
+
+    // Contact form on the home page and the contact page
+    if (document.querySelector('#contact-form')) {
+        new FormHandler('#contact-form', '/contact', {
+            schema: 'contact'
+        });
+    }
 });
 
 // Export for global use
+window.FormSchema = FormSchema;
 window.FormHandler = FormHandler;
 window.NewsletterHandler = NewsletterHandler;
\ No newline at end of file
@@ -16,8 +16,7 @@ const elements = {
     navToggle: document.getElementById('nav-toggle'),
     navMenu: document.getElementById('nav-menu'),
     backToTop: document.getElementById('back-to-top'),
-    messageContainer: document.getElementById('message-container'),
-    contactForm: document.getElementById('contact-form')
+    messageContainer: document.getElementById('message-container')
 };
 
 // Utility Functions
@@ -392,69 +391,6 @@ const formValidation = {
     }
 };
 
-// Contact Form Handler
-const contactForm = {
-    init() {
-        if (!elements.contactForm) return;
-
-        formValidation.setupRealTimeValidation(elements.contactForm);
-        
-        elements.contactForm.addEventListener('submit', async (e) => {
-            e.preventDefault();
-            await this.handleSubmit(e.target);
-        });
-    },
-
-    async handleSubmit(form) {
-        // Validate form
-        if (!formValidation.validateForm(form)) {
-            utils.showMessage('Please fix the errors in the form', 'error');
-            return;
-        }
-
-        // Get form data
-        const formData = new FormData(form);
-        const data = Object.fromEntries(formData.entries());
-
-        // Show loading state
-        const submitButton = form.querySelector('button[type="submit"]');
-        const originalText = submitButton.innerHTML;
-        submitButton.classList.add('loading');
-        submitButton.disabled = true;
-
-        try {
-            // Submit to API
-            const response = await utils.apiRequest('/contact', {
-                method: 'POST',
-                body: JSON.stringify(data)
-            });
-
-            // Show success message
-            utils.showMessage('Thank you for your message! We will get back to you soon.', 'success');
-            
-            // Reset form
-            form.reset();
-            
-            // Remove validation classes
-            const formGroups = form.querySelectorAll('.form-group');
-            formGroups.forEach(group => {
-                group.classList.remove('error', 'success');
-                const message = group.querySelector('.error-message, .success-message');
-                if (message) message.remove();
-            });
-
-        } catch (error) {
-            console.error('Contact form error:', error);
-            utils.showMessage('Sorry, there was an error sending your message. Please try again.', 'error');
-        } finally {
-            // Reset button state
-            submitButton.classList.remove('loading');
-            submitButton.disabled = false;
-            submitButton.innerHTML = originalText;
-        }
-    }
-};
-
 // Animations
 const animations = {
     init() {
@@ -619,7 +555,6 @@ const app = {
             // Initialize all modules
             navigation.init();
             backToTop.init();
-            contactForm.init();
             animations.init();
             performance.init();
             errorHandler.init();